@@ -8,31 +8,134 @@
 
 // Configuration object with default values and methods
 const Config = {
-    // Default game parameters as specified in the documentation
-    number_of_targets: 10,   // How many targets the player must complete in a session
-    precision_range: 5,      // Acceptable deviation from target percentage (±%)
-    valid_duration: 2.0,     // Time to maintain target within range (seconds)
-    transition_delay: 1.0,   // Time to hold initial position before new target appears (seconds)
+    // Version of the stored configuration format
+    // Increase it whenever stored fields are renamed or reinterpreted, and add a migration below
+    storageVersion: 3,
     
-    // Game mode settings
-    default_game_mode: 'fromZero',  // Default game mode ('fromZero', 'fromHundred', 'continuous')
-    reflex_mode_enabled: false,     // Whether reflex mode is enabled by default
-    
-    // Target generation settings
-    min_target_percentage: 10,      // Minimum target percentage (to avoid targets too close to 0%)
-    max_target_percentage: 90,      // Maximum target percentage (to avoid targets too close to 100%)
-    
-    // Reflex mode settings
-    min_reflex_delay: 0.1,          // Minimum random delay in seconds
-    max_reflex_delay: 3.0,          // Maximum random delay in seconds
+    // Declared schema for every configuration field
+    // Types: 'integer', 'number', 'boolean', 'enum' (one of values), 'list' (up to maxLength items from values)
+    // and 'string' (up to maxLength characters matching pattern)
+    // The current values are kept directly on Config (e.g. Config.precision_range)
+    schema: {
+        // Default game parameters as specified in the documentation
+        number_of_targets: { type: 'integer', min: 5, max: 30, default: 10 },     // How many targets the player must complete in a session
+        precision_range: { type: 'number', min: 1, max: 10, default: 5 },        // Acceptable deviation from target percentage (±%)
+        valid_duration: { type: 'number', min: 0.5, max: 5, default: 2.0 },      // Time to maintain target within range (seconds)
+        transition_delay: { type: 'number', min: 0.5, max: 3, default: 1.0 },    // Time to hold initial position before new target appears (seconds)
+        
+        // Game mode settings
+        default_game_mode: { type: 'enum', values: ['fromZero', 'fromHundred', 'continuous', 'trailBraking', 'tracking', 'thresholdBraking', 'corner', 'heelToe'], default: 'fromZero' },
+        reflex_mode_enabled: { type: 'boolean', default: false },                // Whether reflex mode is enabled by default
+        
+        // Trail braking mode settings
+        trail_brake_peak: { type: 'integer', min: 30, max: 100, default: 90 },    // Brake pressure at the top of the spike (%)
+        trail_brake_attack: { type: 'number', min: 0.05, max: 1, default: 0.15 }, // Time to reach the peak (seconds)
+        trail_brake_release: { type: 'number', min: 0.5, max: 6, default: 2.0 },  // Time to bleed off from the peak to 0% (seconds)
+        
+        // Tracking mode settings
+        tracking_duration: { type: 'number', min: 3, max: 60, default: 10 },     // Length of each tracking run (seconds)
+        tracking_speed: { type: 'number', min: 5, max: 200, default: 30 },       // Average speed of the moving target (%/s)
+        tracking_randomness: { type: 'number', min: 0, max: 1, default: 0.5 },   // How much the speed and the pauses between moves vary (0 = steady)
+        
+        // Threshold braking mode settings
+        threshold_lock_pressure: { type: 'integer', min: 40, max: 100, default: 85 }, // Brake pressure that locks the wheels at full speed (%)
+        threshold_lock_drift: { type: 'integer', min: 0, max: 50, default: 10 },      // How much lower the lock pressure is once the car has stopped (%)
+        threshold_window: { type: 'number', min: 1, max: 20, default: 5 },           // Band below the lock pressure that counts as near the threshold (%)
+        threshold_stop_time: { type: 'number', min: 1, max: 10, default: 3 },         // Time a stop takes when braking at the threshold (seconds)
+        threshold_visible: { type: 'boolean', default: true },                        // Whether the lock pressure is shown
+        threshold_lockup_penalty: { type: 'integer', min: 0, max: 100, default: 20 }, // Points a stop loses for each lock-up
+        
+        // Corner mode settings (needs brake and throttle pedals)
+        corner_brake_pressure: { type: 'integer', min: 20, max: 100, default: 80 },  // Brake pressure in the braking zone (%)
+        corner_brake_time: { type: 'number', min: 0.5, max: 5, default: 1.5 },       // Length of the braking zone (seconds)
+        corner_throttle_pressure: { type: 'integer', min: 20, max: 100, default: 70 }, // Throttle on the exit of the corner (%)
+        corner_throttle_time: { type: 'number', min: 0.5, max: 5, default: 2.0 },    // Length of the throttle zone (seconds)
+        corner_required_overlap: { type: 'number', min: 0, max: 2, default: 0 },     // Time both pedals must be pressed when left-foot braking (seconds, 0 = overlap is a mistake)
+        
+        // Heel-and-toe mode settings (needs brake, clutch and throttle pedals)
+        heel_toe_downshifts: { type: 'integer', min: 1, max: 6, default: 3 },       // Downshifts in each braking zone
+        heel_toe_brake: { type: 'integer', min: 20, max: 100, default: 60 },        // Brake pressure held through the braking zone (%)
+        heel_toe_blip_peak: { type: 'integer', min: 10, max: 100, default: 50 },    // Throttle position each blip should reach (%)
+        heel_toe_tolerance: { type: 'number', min: 2, max: 25, default: 10 },       // Allowed deviation of the brake and the blips (±%)
+        heel_toe_window: { type: 'number', min: 0.5, max: 3, default: 1.2 },        // Time for the clutch dip and the blip of each downshift (seconds)
+        
+        // Target generation settings
+        min_target_percentage: { type: 'integer', min: 0, max: 100, default: 10 },  // Minimum target percentage (to avoid targets too close to 0%)
+        max_target_percentage: { type: 'integer', min: 0, max: 100, default: 90 },  // Maximum target percentage (to avoid targets too close to 100%)
+        
+        // Reflex mode settings
+        min_reflex_delay: { type: 'number', min: 0, max: 10, default: 0.1 },     // Minimum random delay in seconds
+        max_reflex_delay: { type: 'number', min: 0, max: 10, default: 3.0 },     // Maximum random delay in seconds
+        
+        // Input settings
+        input_sample_rate: { type: 'integer', min: 30, max: 1000, default: 250 },      // How many times per second the pedals are polled
+        input_filter_chain: { type: 'list', values: ['ema', 'oneEuro', 'median', 'movingAverage'], maxLength: 3, default: ['ema'] },  // Filters applied to pedal input, in order
+        filter_ema_time_constant: { type: 'number', min: 1, max: 200, default: 10 },   // Exponential smoothing time constant (ms)
+        filter_one_euro_min_cutoff: { type: 'number', min: 0.1, max: 10, default: 1.0 }, // One-Euro cutoff frequency when the pedal is still (Hz)
+        filter_one_euro_beta: { type: 'number', min: 0, max: 0.2, default: 0.01 },     // One-Euro cutoff increase with pedal speed
+        filter_median_size: { type: 'integer', min: 3, max: 15, default: 5 },          // Number of samples for median spike rejection
+        filter_moving_average_window: { type: 'integer', min: 10, max: 300, default: 50 }, // Moving average window (ms)
+        keyboard_press_acceleration: { type: 'number', min: 50, max: 5000, default: 800 }, // How quickly a held key speeds up the pedal (%/s²)
+        keyboard_max_speed: { type: 'number', min: 20, max: 500, default: 200 },      // Fastest the pedal moves while a key is held (%/s)
+        keyboard_release_rate: { type: 'number', min: 0, max: 500, default: 250 },    // How fast the pedal returns to 0 with no key held (%/s, 0 holds the position)
+        keyboard_fine_factor: { type: 'number', min: 0.05, max: 1, default: 0.2 },    // Speed multiplier while the fine-adjust modifier is held
+        keyboard_fine_modifier: { type: 'enum', values: ['shift', 'control', 'alt'], default: 'shift' }, // Modifier key for fine adjustment
+        keyboard_number_keys: { type: 'boolean', default: true },                     // Whether keys 1-9 and 0 hold the pedal at 10-90% and 100%
+        pointer_wheel_sensitivity: { type: 'number', min: 0.01, max: 1, default: 0.05 }, // Pedal travel per pixel of mouse wheel or trackpad scrolling (%)
+        pointer_return_on_release: { type: 'boolean', default: true },                // Whether the on-screen pedal returns to 0 when it is released
+        websocket_url: { type: 'string', maxLength: 200, pattern: /^wss?:\/\/\S+$/, default: 'ws://localhost:8765' }, // Address of the WebSocket pedal bridge
+        websocket_reconnect_delay: { type: 'integer', min: 500, max: 30000, default: 2000 }, // Wait before reconnecting to the bridge (ms)
+        websocket_stale_timeout: { type: 'integer', min: 100, max: 10000, default: 500 },    // Data counts as stale when no frame arrives for this long (ms)
+        synthetic_signal: { type: 'enum', values: ['bot', 'step', 'ramp', 'sine', 'noise'], default: 'bot' }, // Signal played by the synthetic input
+        synthetic_period: { type: 'number', min: 0.5, max: 30, default: 4 },         // Length of one cycle of the test signals (seconds)
+        synthetic_low: { type: 'integer', min: 0, max: 100, default: 10 },            // Lowest position of the test signals (%)
+        synthetic_high: { type: 'integer', min: 0, max: 100, default: 90 },           // Highest position of the test signals (%)
+        bot_reaction_time: { type: 'integer', min: 0, max: 2000, default: 250 },      // Delay before the bot reacts to a new target (ms)
+        bot_overshoot: { type: 'number', min: 0, max: 50, default: 10 },              // How far the bot overshoots a move (% of the move)
+        bot_jitter: { type: 'number', min: 0, max: 10, default: 0.5 },                // Random noise on the bot's pedal position (%)
+        telemetry_sample_rate: { type: 'integer', min: 10, max: 1000, default: 100 },  // How many samples per second for telemetry (100Hz for very smooth graph)
+        telemetry_buffer_size: { type: 'integer', min: 100, max: 10000, default: 500 }, // Maximum number of samples to keep (5 seconds at 100Hz)
+        
+        // Storage settings
+        history_max_results: { type: 'integer', min: 10, max: 5000, default: 500 },   // Maximum number of sessions kept in local history
+        history_max_age_days: { type: 'integer', min: 1, max: 3650, default: 365 },   // Sessions older than this are pruned from local history
+        archive_max_sessions: { type: 'integer', min: 10, max: 5000, default: 300 },  // Maximum number of full telemetry traces kept in the session archive for each driver profile
+        
+        // Debug settings
+        debug_mode: { type: 'boolean', default: false }                           // Whether debug mode is enabled
+    },
     
-    // Input settings
-    input_smoothing: 0.2,           // Amount of input smoothing (0 = none, 1 = maximum)
-    telemetry_sample_rate: 100,     // How many samples per second for telemetry (100Hz for very smooth graph)
-    telemetry_buffer_size: 500,     // Maximum number of samples to keep (5 seconds at 100Hz)
+    // Pairs of fields where the first value must not be greater than the second
+    rangePairs: [
+        ['min_target_percentage', 'max_target_percentage'],
+        ['min_reflex_delay', 'max_reflex_delay']
+    ],
     
-    // Debug settings
-    debug_mode: false,              // Whether debug mode is enabled
+    // Migration steps for stored configuration, keyed by the version they upgrade from
+    // Each step receives the stored data of that version and returns data of the next version
+    migrations: {
+        // Version 1 was saved without a version number as a flat object of the menu settings
+        1: function(data) {
+            return { version: 2, values: { ...data } };
+        },
+        
+        // Version 2 smoothed input with a per-frame factor (input_smoothing);
+        // version 3 uses a filter chain, so the factor becomes an equivalent time constant at 60 fps
+        2: function(data) {
+            const values = { ...data.values };
+            
+            if (typeof values.input_smoothing === 'number') {
+                const factor = Math.min(values.input_smoothing, 0.95);
+                values.input_filter_chain = factor > 0 ? ['ema'] : [];
+                if (factor > 0) {
+                    values.filter_ema_time_constant = Math.max(1, Math.round(-(1000 / 60) / Math.log(factor)));
+                }
+            }
+            delete values.input_smoothing;
+            
+            return { version: 3, values: values };
+        }
+    },
     
     /**
      * Initialize the configuration system
@@ -90,6 +193,14 @@ const Config = {
             reflexModeCheckbox.checked = this.reflex_mode_enabled;
         }
         
+        // Update input sample rate slider and display
+        const sampleRateInput = document.getElementById('input-sample-rate');
+        const sampleRateValue = document.getElementById('input-sample-rate-value');
+        if (sampleRateInput && sampleRateValue) {
+            sampleRateInput.value = this.input_sample_rate;
+            sampleRateValue.textContent = this.input_sample_rate;
+        }
+        
         // Update game mode buttons
         this.updateGameModeSelection();
     },
@@ -98,29 +209,10 @@ const Config = {
      * Update the game mode selection buttons based on the current game mode
      */
     updateGameModeSelection: function() {
-        const fromZeroButton = document.getElementById('mode-from-zero');
-        const fromHundredButton = document.getElementById('mode-from-hundred');
-        const continuousButton = document.getElementById('mode-continuous');
-        
-        if (fromZeroButton && fromHundredButton && continuousButton) {
-            // Remove 'selected' class from all buttons
-            fromZeroButton.classList.remove('selected');
-            fromHundredButton.classList.remove('selected');
-            continuousButton.classList.remove('selected');
-            
-            // Add 'selected' class to the appropriate button
-            switch (this.default_game_mode) {
-                case 'fromZero':
-                    fromZeroButton.classList.add('selected');
-                    break;
-                case 'fromHundred':
-                    fromHundredButton.classList.add('selected');
-                    break;
-                case 'continuous':
-                    continuousButton.classList.add('selected');
-                    break;
-            }
-        }
+        // Each button names its mode in data-mode
+        document.querySelectorAll('.mode-button').forEach(button => {
+            button.classList.toggle('selected', button.dataset.mode === this.default_game_mode);
+        });
     },
     
     /**
@@ -184,6 +276,25 @@ const Config = {
             });
         }
         
+        // Input sample rate slider (the sampler restarts once the slider is released)
+        const sampleRateInput = document.getElementById('input-sample-rate');
+        const sampleRateValue = document.getElementById('input-sample-rate-value');
+        if (sampleRateInput && sampleRateValue) {
+            sampleRateInput.addEventListener('input', () => {
+                sampleRateValue.textContent = sampleRateInput.value;
+            });
+            sampleRateInput.addEventListener('change', () => {
+                const value = parseInt(sampleRateInput.value);
+                this.input_sample_rate = value;
+                sampleRateValue.textContent = value;
+                this.saveToStorage();
+                
+                if (typeof App !== 'undefined' && App.sampler) {
+                    App.sampler.setSampleRate(value);
+                }
+            });
+        }
+        
         // Game mode buttons
         const modeButtons = document.querySelectorAll('.mode-button');
         modeButtons.forEach(button => {
@@ -195,12 +306,8 @@ const Config = {
                 event.target.classList.add('selected');
                 
                 // Update the default game mode
-                if (event.target.id === 'mode-from-zero') {
-                    this.default_game_mode = 'fromZero';
-                } else if (event.target.id === 'mode-from-hundred') {
-                    this.default_game_mode = 'fromHundred';
-                } else if (event.target.id === 'mode-continuous') {
-                    this.default_game_mode = 'continuous';
+                if (this.schema.default_game_mode.values.includes(button.dataset.mode)) {
+                    this.default_game_mode = button.dataset.mode;
                 }
                 
                 this.saveToStorage();
@@ -225,21 +332,151 @@ const Config = {
         return randomDelay * 1000; // Convert to milliseconds
     },
     
+    /**
+     * Get the localStorage key for the active driver profile's configuration
+     * @returns {string} The storage key
+     */
+    getStorageKey: function() {
+        const baseKey = 'pedal_training_config';
+        return typeof Profiles !== 'undefined' ? Profiles.scopedKey(baseKey) : baseKey;
+    },
+    
+    /**
+     * Get the current values of all configuration fields
+     * @returns {Object} Field values keyed by name
+     */
+    getValues: function() {
+        const values = {};
+        Object.keys(this.schema).forEach(key => {
+            values[key] = this[key];
+        });
+        return values;
+    },
+    
+    /**
+     * Check a single value against the schema
+     * Numbers outside the allowed range are clamped
+     * @param {string} key - The field name
+     * @param {*} value - The value to check
+     * @returns {*} The valid (possibly clamped) value, or undefined if it can't be used
+     */
+    validateValue: function(key, value) {
+        const field = this.schema[key];
+        if (!field) {
+            return undefined;
+        }
+        
+        switch (field.type) {
+            case 'integer':
+            case 'number': {
+                if (typeof value !== 'number' || !isFinite(value)) {
+                    return undefined;
+                }
+                const number = field.type === 'integer' ? Math.round(value) : value;
+                return Math.min(field.max, Math.max(field.min, number));
+            }
+            case 'boolean':
+                return typeof value === 'boolean' ? value : undefined;
+            case 'enum':
+                return field.values.includes(value) ? value : undefined;
+            case 'list':
+                if (!Array.isArray(value) || value.length > field.maxLength ||
+                    !value.every(item => field.values.includes(item))) {
+                    return undefined;
+                }
+                return [...value];
+            case 'string':
+                if (typeof value !== 'string' || value.length > field.maxLength || !field.pattern.test(value)) {
+                    return undefined;
+                }
+                return value;
+            default:
+                return undefined;
+        }
+    },
+    
+    /**
+     * Validate and apply a set of configuration values
+     * Unknown fields are ignored, invalid values are skipped and out of range numbers are clamped
+     * @param {Object} data - Field values keyed by name
+     * @returns {Array<string>} Problems found while applying the values (empty if all were valid)
+     */
+    applyValues: function(data) {
+        const problems = [];
+        
+        if (!data || typeof data !== 'object') {
+            return ['configuration data is not an object'];
+        }
+        
+        Object.keys(data).forEach(key => {
+            if (!this.schema[key]) {
+                problems.push(`unknown field "${key}"`);
+                return;
+            }
+            
+            const value = this.validateValue(key, data[key]);
+            if (value === undefined) {
+                problems.push(`invalid value for "${key}": ${JSON.stringify(data[key])}`);
+                return;
+            }
+            
+            const changed = Array.isArray(value) ?
+                JSON.stringify(value) !== JSON.stringify(data[key]) :
+                value !== data[key];
+            if (changed) {
+                problems.push(`"${key}" adjusted from ${data[key]} to ${value}`);
+            }
+            
+            this[key] = value;
+        });
+        
+        // A range whose minimum is above its maximum can't be used, so both ends go back to their defaults
+        this.rangePairs.forEach(([minKey, maxKey]) => {
+            if (this[minKey] > this[maxKey]) {
+                problems.push(`"${minKey}" is greater than "${maxKey}", both reset to defaults`);
+                this[minKey] = this.schema[minKey].default;
+                this[maxKey] = this.schema[maxKey].default;
+            }
+        });
+        
+        return problems;
+    },
+    
+    /**
+     * Bring stored configuration data up to the current storage version
+     * @param {Object} data - The parsed stored data
+     * @returns {Object} Data in the current format ({ version, values })
+     */
+    migrate: function(data) {
+        // Data saved before versioning has no version number
+        let version = typeof data.version === 'number' ? data.version : 1;
+        let migrated = data;
+        
+        while (version < this.storageVersion) {
+            const step = this.migrations[version];
+            if (!step) {
+                throw new Error(`No migration from configuration version ${version}`);
+            }
+            
+            migrated = step(migrated);
+            version = migrated.version;
+            console.log(`Configuration migrated to version ${version}`);
+        }
+        
+        return migrated;
+    },
+    
     /**
      * Save the current configuration to localStorage
      */
     saveToStorage: function() {
         try {
             const configData = {
-                number_of_targets: this.number_of_targets,
-                precision_range: this.precision_range,
-                valid_duration: this.valid_duration,
-                transition_delay: this.transition_delay,
-                default_game_mode: this.default_game_mode,
-                reflex_mode_enabled: this.reflex_mode_enabled
+                version: this.storageVersion,
+                values: this.getValues()
             };
             
-            localStorage.setItem('pedal_training_config', JSON.stringify(configData));
+            localStorage.setItem(this.getStorageKey(), JSON.stringify(configData));
             console.log("Configuration saved to localStorage");
         } catch (error) {
             console.error("Failed to save configuration to localStorage:", error);
@@ -248,43 +485,63 @@ const Config = {
     
     /**
      * Load configuration from localStorage
+     * Older formats are migrated, and values are validated against the schema
      */
     loadFromStorage: function() {
         try {
-            const savedConfig = localStorage.getItem('pedal_training_config');
+            const savedConfig = localStorage.getItem(this.getStorageKey());
             
-            if (savedConfig) {
-                const configData = JSON.parse(savedConfig);
-                
-                // Apply saved values
-                this.number_of_targets = configData.number_of_targets || this.number_of_targets;
-                this.precision_range = configData.precision_range || this.precision_range;
-                this.valid_duration = configData.valid_duration || this.valid_duration;
-                this.transition_delay = configData.transition_delay || this.transition_delay;
-                this.default_game_mode = configData.default_game_mode || this.default_game_mode;
-                this.reflex_mode_enabled = configData.reflex_mode_enabled !== undefined ? 
-                    configData.reflex_mode_enabled : this.reflex_mode_enabled;
-                
-                console.log("Configuration loaded from localStorage");
-            } else {
+            if (!savedConfig) {
                 console.log("No saved configuration found, using defaults");
+                return;
+            }
+            
+            const storedData = JSON.parse(savedConfig);
+            if (!storedData || typeof storedData !== 'object') {
+                throw new Error("Stored configuration is not an object");
             }
+            
+            // Configuration saved by a newer release is read as far as possible but not rewritten
+            if (typeof storedData.version === 'number' && storedData.version > this.storageVersion) {
+                console.warn(`Configuration was saved by a newer version (${storedData.version}), unknown settings are ignored`);
+                this.applyValues(storedData.values);
+                return;
+            }
+            
+            const configData = this.migrate(storedData);
+            const problems = this.applyValues(configData.values);
+            
+            if (problems.length > 0) {
+                console.warn("Some saved settings were adjusted:", problems);
+            }
+            
+            // Store migrated or corrected data in the current format
+            if (configData !== storedData || problems.length > 0) {
+                this.saveToStorage();
+            }
+            
+            console.log("Configuration loaded from localStorage");
         } catch (error) {
             console.error("Failed to load configuration from localStorage:", error);
             // Continue with default values if loading fails
         }
     },
     
+    /**
+     * Set all settings back to their default values without saving them
+     */
+    applyDefaults: function() {
+        Object.keys(this.schema).forEach(key => {
+            const value = this.schema[key].default;
+            this[key] = Array.isArray(value) ? [...value] : value;
+        });
+    },
+    
     /**
      * Reset configuration to default values
      */
     resetToDefaults: function() {
-        this.number_of_targets = 10;
-        this.precision_range = 5;
-        this.valid_duration = 2.0;
-        this.transition_delay = 1.0;
-        this.default_game_mode = 'fromZero';
-        this.reflex_mode_enabled = false;
+        this.applyDefaults();
         
         // Update UI elements with default values
         this.updateUIElements();
@@ -296,6 +553,9 @@ const Config = {
     }
 };
 
+// Start with the default value of every field
+Config.applyDefaults();
+
 // Make Config available globally
 window.Config = Config;
 
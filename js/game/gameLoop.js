@@ -3,6 +3,8 @@
  * 
  * Implements the main game loop that drives the gameplay experience.
  * Handles target generation, validation, transitions, and timing.
+ * Game logic runs on every input sample from the InputSampler, so all timing uses
+ * the sample timestamps; the screen is redrawn separately on animation frames.
  */
 
 class GameLoop {
@@ -17,6 +19,9 @@ class GameLoop {
         
         // Target data
         this.currentTarget = null;     // Current target percentage
+        this.targetState = null;       // State of a target the game mode runs itself (e.g. a curve), null for hold targets
+        this.compoundTarget = null;    // Target made of parts on several pedals, each with its own validity timer (null for other targets)
+        this.targetChannel = null;     // Pedal the current target is for (a channel name), null for the game's pedal
         this.targetStartTime = 0;      // When the current target was displayed
         this.targetsCompleted = 0;     // Number of completed targets
         this.totalTargets = 0;         // Total number of targets for this session
@@ -31,20 +36,33 @@ class GameLoop {
         this.inRangeStartTime = 0;     // When the pedal first entered the target range
         this.validDurationMet = false; // Whether the valid duration has been met
         
-        // Timing
+        // Timing (performance.now() times of input samples)
         this.gameStartTime = 0;        // When the game started
         this.gameTime = 0;             // Current game time (excluding transitions)
-        this.lastFrameTime = 0;        // Time of the last frame
-        this.deltaTime = 0;            // Time elapsed since last frame
+        this.currentTime = 0;          // Time of the input sample being processed
+        this.lastSampleTime = null;    // Time of the previous input sample
+        this.deltaTime = 0;            // Time elapsed since the previous input sample
+        this.channelPositions = {};    // Position of every enabled pedal in the input sample being processed
+        
+        // Lost input (the pedal disconnected during the game)
+        this.isWaitingForInput = false; // Whether the game is paused until the pedal returns
+        this.inputLostTime = null;     // When the pedal was lost
+        this.targetInterrupted = false; // Whether the current target was interrupted (excluded from scoring)
+        this.reflexTimeoutId = null;   // Pending reflex mode delay before the next target
         
         // Feedback timers (for visual feedback)
         this.successFeedbackTime = 0;  // Time remaining for success feedback
+        this.lockUpFeedbackTime = 0;   // Time remaining for lock-up feedback
         
-        // Animation frame request ID
+        // Animation frame request ID (screen updates)
         this.animationFrameId = null;
         
-        // Bind game loop method to maintain context
+        // Unsubscribe function for the input sample stream
+        this.unsubscribeInput = null;
+        
+        // Bind game loop methods to maintain context
         this.update = this.update.bind(this);
+        this.processSample = this.processSample.bind(this);
     }
     
     /**
@@ -65,17 +83,19 @@ class GameLoop {
         this.targetsCompleted = 0;
         this.targets = [];
         this.gameTime = 0;
+        this.targetInterrupted = false;
         
         // Set the game mode
         this.setGameMode(sessionData.gameMode || Config.default_game_mode);
         
+        // Record the game start time
+        this.currentTime = performance.now();
+        this.gameStartTime = this.currentTime;
+        this.lastSampleTime = null;
+        
         // Initialize first transition
         this.startTransition();
         
-        // Record the game start time
-        this.gameStartTime = performance.now();
-        this.lastFrameTime = this.gameStartTime;
-        
         // Start telemetry recording if available
         if (App.telemetry) {
             App.telemetry.startRecording();
@@ -83,6 +103,7 @@ class GameLoop {
         
         // Start the game loop
         this.isRunning = true;
+        this.subscribeToInput();
         this.animationFrameId = requestAnimationFrame(this.update);
         
         console.log("Game started");
@@ -92,16 +113,31 @@ class GameLoop {
      * Stop the current game
      */
     stopGame() {
-        // Skip if not running
-        if (!this.isRunning) {
+        // Skip if not running (a game waiting for its pedal is still running)
+        if (!this.isRunning && !this.isWaitingForInput) {
             return;
         }
         
-        // Stop the animation frame loop
+        // Stop waiting for a lost pedal, closing its telemetry gap
+        if (this.isWaitingForInput) {
+            this.isWaitingForInput = false;
+            this.inputLostTime = null;
+            if (App.telemetry) {
+                App.telemetry.endGap(performance.now());
+            }
+            if (App.input) {
+                App.input.clearLostDevices();
+            }
+            GameScreen.hideInputLostOverlay();
+        }
+        this.clearReflexTimeout();
+        
+        // Stop the animation frame loop and input processing
         if (this.animationFrameId !== null) {
             cancelAnimationFrame(this.animationFrameId);
             this.animationFrameId = null;
         }
+        this.unsubscribeFromInput();
         
         // Stop telemetry recording
         if (App.telemetry) {
@@ -114,6 +150,29 @@ class GameLoop {
         console.log("Game stopped");
     }
     
+    /**
+     * Start processing input samples
+     */
+    subscribeToInput() {
+        this.unsubscribeFromInput();
+        
+        if (App.sampler) {
+            this.unsubscribeInput = App.sampler.subscribe(this.processSample);
+        } else {
+            console.error("No input sampler available, the game can't read the pedal");
+        }
+    }
+    
+    /**
+     * Stop processing input samples
+     */
+    unsubscribeFromInput() {
+        if (this.unsubscribeInput) {
+            this.unsubscribeInput();
+            this.unsubscribeInput = null;
+        }
+    }
+    
     /**
      * Set the current game mode
      * @param {string} modeName - Name of the game mode
@@ -146,10 +205,13 @@ class GameLoop {
         console.log("Starting transition phase");
         
         this.isInTransition = true;
-        this.transitionStartTime = performance.now();
+        this.transitionStartTime = this.currentTime;
         this.transitionComplete = false;
         this.transitionConditionMetTime = null;
         this.currentTarget = null;
+        this.targetState = null;
+        this.compoundTarget = null;
+        this.targetChannel = null;
         
         // Update UI to show transition requirements
         this.updateGameUI();
@@ -177,7 +239,8 @@ class GameLoop {
             const reflexDelay = Config.generateRandomReflexDelay();
             console.log(`Reflex mode: waiting ${reflexDelay}ms before showing target`);
             
-            setTimeout(() => {
+            this.reflexTimeoutId = setTimeout(() => {
+                this.reflexTimeoutId = null;
                 this.showNewTarget();
             }, reflexDelay);
         } else {
@@ -203,9 +266,19 @@ class GameLoop {
         this.transitionConditionMetTime = null;
         this.transitionComplete = false;
         
-        // Generate a new target
-        this.currentTarget = this.generateTarget();
-        this.targetStartTime = performance.now();
+        // Generate a new target (modes with their own targets create them)
+        this.targetState = this.gameMode.createTarget ? this.gameMode.createTarget() : null;
+        this.compoundTarget = this.gameMode.createCompoundTarget ? this.startCompoundTarget(this.gameMode.createCompoundTarget()) : null;
+        if (this.compoundTarget) {
+            this.currentTarget = this.compoundTarget.parts[0].value;
+        } else {
+            this.currentTarget = this.targetState ?
+                this.gameMode.getTargetValue(this.targetState, 0) :
+                this.generateTarget();
+        }
+        this.targetStartTime = this.currentTime;
+        this.targetInterrupted = false;
+        this.targetChannel = this.getTargetChannel();
         
         // Reset target tracking
         this.isInTargetRange = false;
@@ -234,10 +307,22 @@ class GameLoop {
         const targetData = {
             targetValue: this.currentTarget,
             reactionTime: this.inRangeStartTime - this.targetStartTime,
-            completionTime: performance.now() - this.targetStartTime,
+            completionTime: this.currentTime - this.targetStartTime,
             accuracy: 0  // Will be calculated by the scoring module
         };
         
+        // Modes with their own targets measure them themselves
+        if (this.targetState) {
+            Object.assign(targetData, this.gameMode.getTargetResult(this.targetState));
+        } else if (this.compoundTarget) {
+            Object.assign(targetData, this.gameMode.getTargetResult(this.compoundTarget));
+        }
+        
+        // The pedal was lost during this target, so its times don't show the player's skill
+        if (this.targetInterrupted) {
+            targetData.interrupted = true;
+        }
+        
         this.targets.push(targetData);
         
         // Trigger success feedback
@@ -273,6 +358,7 @@ class GameLoop {
             // Update session data with target data
             const sessionData = App.state.getSessionData();
             sessionData.targets = this.targets;
+            sessionData.inputGaps = App.telemetry ? App.telemetry.getGaps() : [];
             
             // End the game session
             App.state.endGameSession();
@@ -280,28 +366,51 @@ class GameLoop {
     }
     
     /**
-     * The main game loop update function
-     * @param {number} timestamp - Current timestamp from requestAnimationFrame
+     * Redraw the game screen (called on each animation frame)
+     */
+    update() {
+        // Skip if not running
+        if (!this.isRunning) {
+            return;
+        }
+        
+        // Update UI
+        this.updateGameUI();
+        
+        // Continue the screen updates
+        this.animationFrameId = requestAnimationFrame(this.update);
+    }
+    
+    /**
+     * Run the game logic for an input sample
+     * @param {Object} sample - Sample from the InputSampler
      */
-    update(timestamp) {
+    processSample(sample) {
         // Skip if not running
         if (!this.isRunning) {
             return;
         }
         
-        // Calculate delta time (time since last frame)
-        this.deltaTime = (timestamp - this.lastFrameTime) / 1000; // in seconds
-        this.lastFrameTime = timestamp;
+        // Calculate delta time (time since the previous sample)
+        this.currentTime = sample.time;
+        this.deltaTime = this.lastSampleTime !== null ? (sample.time - this.lastSampleTime) / 1000 : 0; // in seconds
+        this.lastSampleTime = sample.time;
         
-        // Get current pedal position
-        const pedalPosition = App.input ? App.input.getPedalPosition() : 0;
+        // Get the position of the pedal the target is for
+        this.channelPositions = sample.channels || {};
+        this.targetChannel = this.getTargetChannel();
+        const pedalPosition = this.getSamplePosition(sample);
         
         // Update timers
-        this.updateTimers(timestamp);
+        this.updateTimers(sample.time);
         
         // Update game state based on current phase
         if (this.isInTransition) {
             this.updateTransitionPhase(pedalPosition);
+        } else if (this.targetState) {
+            this.updateModeTargetPhase(pedalPosition);
+        } else if (this.compoundTarget) {
+            this.updateCompoundTargetPhase();
         } else {
             this.updateTargetPhase(pedalPosition);
         }
@@ -310,12 +419,9 @@ class GameLoop {
         if (this.successFeedbackTime > 0) {
             this.successFeedbackTime -= this.deltaTime;
         }
-        
-        // Update UI
-        this.updateGameUI();
-        
-        // Continue the game loop
-        this.animationFrameId = requestAnimationFrame(this.update);
+        if (this.lockUpFeedbackTime > 0) {
+            this.lockUpFeedbackTime -= this.deltaTime;
+        }
     }
     
     /**
@@ -340,11 +446,11 @@ class GameLoop {
         }
         
         // Check if the transition condition is met
-        const isConditionMet = this.gameMode.checkTransitionCondition(pedalPosition);
+        const isConditionMet = this.gameMode.checkTransitionCondition(pedalPosition, this.channelPositions);
         
         if (isConditionMet) {
             // Calculate how long the condition has been met
-            const currentTime = performance.now();
+            const currentTime = this.currentTime;
             
             if (!this.transitionConditionMetTime) {
                 // First time condition is met
@@ -355,10 +461,6 @@ class GameLoop {
                 const timeInCondition = currentTime - this.transitionConditionMetTime;
                 const transitionDelay = Config.transition_delay * 1000;
                 
-                // Update progress
-                let transitionProgress = Math.min(1, timeInCondition / transitionDelay);
-                this.updateGameUI();
-                
                 if (timeInCondition >= transitionDelay) {
                     console.log("Transition delay reached, completing transition");
                     this.completeTransition();
@@ -397,10 +499,10 @@ class GameLoop {
             if (!this.isInTargetRange) {
                 // Just entered target range
                 this.isInTargetRange = true;
-                this.inRangeStartTime = performance.now();
+                this.inRangeStartTime = this.currentTime;
             } else {
                 // Still in target range, check if valid duration is met
-                const timeInRange = performance.now() - this.inRangeStartTime;
+                const timeInRange = this.currentTime - this.inRangeStartTime;
                 const validDurationMs = Config.valid_duration * 1000;
                 
                 if (timeInRange >= validDurationMs) {
@@ -416,6 +518,226 @@ class GameLoop {
         }
     }
     
+    /**
+     * Update logic for the target phase of a target the game mode runs itself
+     * @param {number} pedalPosition - Current pedal position
+     */
+    updateModeTargetPhase(pedalPosition) {
+        // Skip if target is already completed
+        if (this.validDurationMet) {
+            return;
+        }
+        
+        // The target moves, so the mode gives its position for every sample
+        const elapsed = this.currentTime - this.targetStartTime;
+        this.currentTarget = this.gameMode.getTargetValue(this.targetState, elapsed);
+        const event = this.gameMode.updateTarget(this.targetState, pedalPosition, elapsed, this.deltaTime, this.channelPositions);
+        if (event) {
+            this.handleTargetEvent(event);
+        }
+        
+        const band = this.getTargetBand(elapsed);
+        const isInRange = pedalPosition >= band.low && pedalPosition <= band.high;
+        
+        // Update telemetry
+        if (App.telemetry) {
+            App.telemetry.markInRange(isInRange);
+        }
+        
+        if (isInRange && !this.isInTargetRange) {
+            this.inRangeStartTime = this.currentTime;
+        }
+        this.isInTargetRange = isInRange;
+        
+        if (this.targetState.isComplete) {
+            this.validDurationMet = true;
+            this.completeTarget();
+        }
+    }
+    
+    /**
+     * Prepare the validity timers of a compound target's parts
+     * @param {Object} target - The compound target from the game mode
+     * @returns {Object} The target
+     */
+    startCompoundTarget(target) {
+        target.parts.forEach(part => {
+            Object.assign(part, {
+                inRangeSince: null,     // When the current hold of the range started (ms after the target appeared)
+                metTime: null,          // When the part was held for its hold time (ms after the target appeared)
+                firstInRangeTime: null, // When the pedal first reached the range (ms after the target appeared)
+                activeTime: 0,          // Time the part was open (s)
+                timeInRange: 0,         // Time in the range while the part was open (s)
+                peak: 0                 // Highest position while the part was open (%)
+            });
+        });
+        
+        return target;
+    }
+    
+    /**
+     * Update logic for the target phase of a compound target
+     * Each part of the target is checked against its own pedal and validity timer; the
+     * target is complete once every part was held for its hold time or missed its deadline
+     */
+    updateCompoundTargetPhase() {
+        // Skip if target is already completed
+        if (this.validDurationMet) {
+            return;
+        }
+        
+        const target = this.compoundTarget;
+        const elapsed = this.currentTime - this.targetStartTime;
+        
+        // In range only while at least one part is open and every open part is in its range
+        let openParts = 0;
+        let openPartsInRange = 0;
+        
+        target.parts.forEach(part => {
+            // Parts are only measured between their start and their deadline
+            if (elapsed < part.start || elapsed > part.deadline) {
+                return;
+            }
+            
+            const position = typeof this.channelPositions[part.channel] === 'number' ? this.channelPositions[part.channel] : 0;
+            const isPartInRange = position >= part.low && position <= part.high;
+            
+            part.activeTime += this.deltaTime;
+            part.peak = Math.max(part.peak, position);
+            if (isPartInRange) {
+                part.timeInRange += this.deltaTime;
+                if (part.firstInRangeTime === null) {
+                    part.firstInRangeTime = elapsed;
+                }
+            }
+            
+            // Validity timer, until the part has been held long enough
+            if (part.metTime === null) {
+                if (!isPartInRange) {
+                    part.inRangeSince = null;
+                } else {
+                    if (part.inRangeSince === null) {
+                        part.inRangeSince = elapsed;
+                    }
+                    if (elapsed - part.inRangeSince >= part.holdTime) {
+                        part.metTime = elapsed;
+                    }
+                }
+            }
+            
+            openParts++;
+            if (isPartInRange) {
+                openPartsInRange++;
+            }
+        });
+        const isInRange = openParts > 0 && openPartsInRange === openParts;
+        
+        // Update telemetry
+        if (App.telemetry) {
+            App.telemetry.markInRange(isInRange);
+        }
+        
+        if (isInRange && !this.isInTargetRange) {
+            this.inRangeStartTime = this.currentTime;
+        }
+        this.isInTargetRange = isInRange;
+        
+        const isDone = target.parts.every(part => part.metTime !== null || elapsed > part.deadline);
+        if (isDone || elapsed >= target.duration) {
+            this.validDurationMet = true;
+            this.completeTarget();
+        }
+    }
+    
+    /**
+     * Get how far along the parts of the compound target are
+     * @returns {number} Progress (0-1), the average of the parts' validity timers
+     */
+    getCompoundProgress() {
+        const elapsed = this.currentTime - this.targetStartTime;
+        const parts = this.compoundTarget.parts;
+        
+        const total = parts.reduce((sum, part) => {
+            if (part.metTime !== null) {
+                return sum + 1;
+            }
+            if (part.inRangeSince === null) {
+                return sum;
+            }
+            return sum + (part.holdTime > 0 ? Math.min(1, (elapsed - part.inRangeSince) / part.holdTime) : 1);
+        }, 0);
+        
+        return total / parts.length;
+    }
+    
+    /**
+     * Get the pedal the current target is for
+     * @returns {string|null} The channel name, or null for the game's pedal
+     */
+    getTargetChannel() {
+        if (!this.targetState || this.isInTransition || !this.gameMode.getTargetChannel) {
+            return null;
+        }
+        
+        return this.gameMode.getTargetChannel(this.targetState, this.currentTime - this.targetStartTime);
+    }
+    
+    /**
+     * Get the position of the pedal the current target is for
+     * @param {Object} sample - Sample from the InputSampler
+     * @returns {number} Pedal position (0-100%)
+     */
+    getSamplePosition(sample) {
+        if (!this.targetChannel) {
+            return sample.position;
+        }
+        
+        // A pedal missing from the sample isn't enabled, so it can't be pressed
+        const position = sample.channels ? sample.channels[this.targetChannel] : null;
+        return typeof position === 'number' ? position : 0;
+    }
+    
+    /**
+     * Get the range the pedal should be in for the current target
+     * @param {number} elapsed - Time since the target appeared (ms)
+     * @returns {Object} Lowest and highest position ({ low, high }, %)
+     */
+    getTargetBand(elapsed) {
+        if (!this.targetState) {
+            return {
+                low: this.currentTarget - Config.precision_range,
+                high: this.currentTarget + Config.precision_range
+            };
+        }
+        
+        if (this.gameMode.getTargetBand) {
+            return this.gameMode.getTargetBand(this.targetState, elapsed);
+        }
+        
+        // By default the pedal has to be within the precision range of the target
+        const value = this.gameMode.getTargetValue(this.targetState, elapsed);
+        return {
+            low: value - Config.precision_range,
+            high: value + Config.precision_range
+        };
+    }
+    
+    /**
+     * React to an event a game mode reports during its target
+     * @param {string} event - The event ('lockUp')
+     */
+    handleTargetEvent(event) {
+        switch (event) {
+            case 'lockUp':
+                // Wheels locked: flash a warning
+                console.log("Lock-up");
+                this.lockUpFeedbackTime = 0.5; // 0.5 seconds of feedback
+                break;
+            default:
+                console.warn(`Unknown target event: ${event}`);
+        }
+    }
+    
     /**
      * Update the game UI
      */
@@ -426,7 +748,9 @@ class GameLoop {
         }
         
         // Always update current percentage display regardless of game phase
-        GameScreen.setCurrentPercentage(App.input ? App.input.getPedalPosition() : 0);
+        const sample = App.sampler ? App.sampler.getLatestSample() : null;
+        const label = this.targetChannel && App.input ? App.input.getChannelLabel(this.targetChannel) : undefined;
+        GameScreen.setCurrentPercentage(sample ? this.getSamplePosition(sample) : 0, label);
         
         // Update target display
         if (this.isInTransition) {
@@ -441,7 +765,7 @@ class GameLoop {
                 transitionProgress = 1;
             } else if (this.transitionConditionMetTime) {
                 // Show progress only if condition is being met
-                const currentTime = performance.now();
+                const currentTime = this.currentTime;
                 const transitionDelay = Config.transition_delay * 1000;
                 transitionProgress = Math.min(1, (currentTime - this.transitionConditionMetTime) / transitionDelay);
             }
@@ -449,6 +773,18 @@ class GameLoop {
             GameScreen.setTransitionProgress(transitionProgress);
             GameScreen.setValidProgress(0);
             
+        } else if (this.targetState) {
+            // Show the mode's target and how far along it is
+            GameScreen.setTargetText(this.gameMode.getTargetText(this.targetState, this.currentTarget));
+            GameScreen.setTransitionProgress(0);
+            GameScreen.setValidProgress(this.gameMode.getTargetProgress(this.targetState, this.currentTime - this.targetStartTime));
+            
+        } else if (this.compoundTarget) {
+            // Show every part of the target, and how far along their validity timers are
+            GameScreen.setTargetText(this.gameMode.getCompoundText(this.compoundTarget, this.currentTime - this.targetStartTime));
+            GameScreen.setTransitionProgress(0);
+            GameScreen.setValidProgress(this.getCompoundProgress());
+            
         } else {
             // Show current target
             GameScreen.setTargetText(`Target: ${this.currentTarget}%`);
@@ -458,7 +794,7 @@ class GameLoop {
             if (this.validDurationMet) {
                 validProgress = 1;
             } else if (this.isInTargetRange) {
-                const currentTime = performance.now();
+                const currentTime = this.currentTime;
                 const validDuration = Config.valid_duration * 1000;
                 validProgress = Math.min(1, (currentTime - this.inRangeStartTime) / validDuration);
             }
@@ -472,6 +808,8 @@ class GameLoop {
         
         if (this.isInTransition) {
             statusColor = this.transitionComplete ? 'green' : 'red';
+        } else if (this.lockUpFeedbackTime > 0) {
+            statusColor = 'orange'; // Lock-up
         } else if (this.validDurationMet || this.successFeedbackTime > 0) {
             statusColor = 'green';  // Success
         } else if (this.isInTargetRange) {
@@ -521,6 +859,14 @@ class GameLoop {
             cancelAnimationFrame(this.animationFrameId);
             this.animationFrameId = null;
         }
+        this.unsubscribeFromInput();
+        
+        // The next target is shown again once the transition is repeated
+        if (this.reflexTimeoutId !== null) {
+            this.clearReflexTimeout();
+            this.transitionComplete = false;
+            this.transitionConditionMetTime = null;
+        }
     }
     
     /**
@@ -533,9 +879,94 @@ class GameLoop {
         
         console.log("Game resumed");
         this.isRunning = true;
-        this.lastFrameTime = performance.now();
+        
+        // The paused time doesn't count as game time
+        this.lastSampleTime = null;
+        this.subscribeToInput();
         this.animationFrameId = requestAnimationFrame(this.update);
     }
+    
+    /**
+     * Cancel the pending reflex mode delay
+     */
+    clearReflexTimeout() {
+        if (this.reflexTimeoutId !== null) {
+            clearTimeout(this.reflexTimeoutId);
+            this.reflexTimeoutId = null;
+        }
+    }
+    
+    /**
+     * Pause the game because a pedal it reads disconnected
+     * @param {string} deviceId - Id of the lost device (the ids of several lost devices, separated by commas)
+     */
+    handleInputLost(deviceId) {
+        // Another pedal lost while already waiting only changes the message
+        if (this.isWaitingForInput) {
+            GameScreen.showInputLostOverlay(deviceId);
+            return;
+        }
+        
+        if (!this.isRunning) {
+            return;
+        }
+        
+        console.warn(`Pedal lost during the game, waiting for ${deviceId}`);
+        
+        this.pauseGame();
+        this.isWaitingForInput = true;
+        this.inputLostTime = performance.now();
+        
+        // The time without input is left out of the telemetry
+        if (App.telemetry) {
+            App.telemetry.startGap(this.inputLostTime, deviceId);
+        }
+        
+        GameScreen.showInputLostOverlay(deviceId);
+    }
+    
+    /**
+     * Resume the game when every lost pedal is back
+     */
+    handleInputRestored() {
+        if (!this.isWaitingForInput) {
+            return;
+        }
+        
+        const now = performance.now();
+        const gapDuration = now - this.inputLostTime;
+        console.log(`Pedal is back after ${Math.round(gapDuration)} ms, resuming the game`);
+        
+        this.isWaitingForInput = false;
+        this.inputLostTime = null;
+        
+        if (App.telemetry) {
+            App.telemetry.endGap(now);
+        }
+        
+        // Leave the gap out of the phase timers
+        this.currentTime = now;
+        this.targetStartTime += gapDuration;
+        this.transitionStartTime += gapDuration;
+        
+        // Holds in progress start over with the pedal back in the player's control
+        this.isInTargetRange = false;
+        this.inRangeStartTime = 0;
+        this.transitionConditionMetTime = null;
+        if (this.compoundTarget) {
+            this.compoundTarget.parts.forEach(part => {
+                part.inRangeSince = null;
+            });
+        }
+        
+        // A target shown before the gap can't be timed fairly
+        if (!this.isInTransition) {
+            this.targetInterrupted = true;
+        }
+        
+        GameScreen.hideInputLostOverlay();
+        this.resumeGame();
+    }
 }
 
 // Make GameLoop available globally
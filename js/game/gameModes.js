@@ -3,6 +3,27 @@
  * 
  * Implements different game modes for the pedal training application.
  * Each mode has specific starting conditions and behavior.
+ * 
+ * By default a target is a single percentage that has to be held. A mode can run its
+ * own targets instead by implementing createTarget, getTargetValue, updateTarget,
+ * getTargetResult, getTargetText and getTargetProgress; the GameLoop then hands every
+ * input sample of the target phase to the mode. The target state such a mode creates
+ * has a duration (ms), which the game screen uses to draw the target ahead of time.
+ * Optionally, getTargetBand replaces the precision range around the target,
+ * isTargetVisible hides the target, and updateTarget returns events such as 'lockUp'.
+ * calculateScores, getResultItems and getTargetTable add the mode's own scores to the
+ * session and the results screen.
+ * 
+ * Modes that use more than one pedal list them in requiredChannels. Their targets name
+ * the pedal they are for with getTargetChannel, and checkTransitionCondition and
+ * updateTarget also receive the position of every enabled pedal.
+ * 
+ * A mode can also give compound targets with createCompoundTarget: several parts, each
+ * on its own pedal ({ channel, value, low, high, holdTime, start, deadline }, times in
+ * ms). The GameLoop runs a validity timer for every part and completes the target once
+ * each part was held for its hold time or missed its deadline; getCompoundText and
+ * getTargetResult then read the parts. Losing the device of any part's pedal pauses
+ * the game, and the target is marked as interrupted.
  */
 
 // The GameModes object contains implementations for each game mode
@@ -128,6 +149,1224 @@ const GameModes = {
             // In continuous mode, the transition condition is always met immediately
             return true;
         }
+    },
+    
+    /**
+     * Trail Braking Mode
+     * 
+     * The target is a brake pressure curve: a sharp spike to the peak, then a linear
+     * bleed-off to 0%. The player follows the curve, and the area between the pedal
+     * trace and the curve is the error.
+     */
+    trailBraking: {
+        /**
+         * Get the name of this mode
+         * @returns {string} The mode name
+         */
+        getName() {
+            return 'Trail Braking';
+        },
+        
+        /**
+         * Get the transition target position
+         * @returns {number} The target position for transition (0-100%)
+         */
+        getTransitionTarget() {
+            return 0;
+        },
+        
+        /**
+         * Get the text to display during transition
+         * @returns {string} The transition instruction text
+         */
+        getTransitionText() {
+            return 'Release pedal to 0%';
+        },
+        
+        /**
+         * Check if the transition condition is met
+         * @param {number} pedalPosition - Current pedal position (0-100%)
+         * @returns {boolean} Whether the condition is met
+         */
+        checkTransitionCondition(pedalPosition) {
+            // Every stop starts off the brake
+            return pedalPosition <= 2;
+        },
+        
+        /**
+         * Create the brake pressure curve for a new target
+         * @returns {Object} The target state
+         */
+        createTarget() {
+            const attack = Config.trail_brake_attack * 1000;
+            const release = Config.trail_brake_release * 1000;
+            
+            return {
+                peak: Config.trail_brake_peak,  // Highest pressure of the curve (%)
+                attack: attack,                 // Time from 0% to the peak (ms)
+                release: release,               // Time from the peak back to 0% (ms)
+                duration: attack + release,     // Length of the curve (ms)
+                error: 0,                       // Area between the trace and the curve so far (%·s)
+                matchTime: null,                // When the pedal first followed the curve (ms after the start)
+                isComplete: false
+            };
+        },
+        
+        /**
+         * Get the pressure the curve asks for
+         * @param {Object} target - The target state
+         * @param {number} elapsed - Time since the target appeared (ms)
+         * @returns {number} Target position (0-100%)
+         */
+        getTargetValue(target, elapsed) {
+            if (elapsed <= 0) {
+                return 0;
+            }
+            
+            // Spike up to the peak
+            if (elapsed < target.attack) {
+                return target.peak * elapsed / target.attack;
+            }
+            
+            // Then bleed off linearly
+            const bleedOff = (elapsed - target.attack) / target.release;
+            return Math.max(0, target.peak * (1 - bleedOff));
+        },
+        
+        /**
+         * Add an input sample to the target
+         * @param {Object} target - The target state
+         * @param {number} pedalPosition - Current pedal position (0-100%)
+         * @param {number} elapsed - Time since the target appeared (ms)
+         * @param {number} deltaTime - Time since the previous sample (seconds)
+         */
+        updateTarget(target, pedalPosition, elapsed, deltaTime) {
+            const curveValue = this.getTargetValue(target, elapsed);
+            const deviation = Math.abs(pedalPosition - curveValue);
+            
+            target.error += deviation * deltaTime;
+            
+            // The pedal has caught the curve once it follows the spike
+            if (target.matchTime === null && curveValue > Config.precision_range && deviation <= Config.precision_range) {
+                target.matchTime = elapsed;
+            }
+            
+            if (elapsed >= target.duration) {
+                target.isComplete = true;
+            }
+        },
+        
+        /**
+         * Get the results of a finished target
+         * @param {Object} target - The target state
+         * @returns {Object} Fields added to the target data
+         */
+        getTargetResult(target) {
+            return {
+                targetValue: target.peak,
+                // A pedal that never caught the curve took the whole stop
+                reactionTime: target.matchTime !== null ? target.matchTime : target.duration,
+                // Average distance from the curve (%)
+                accuracy: target.error / (target.duration / 1000),
+                curveError: target.error
+            };
+        },
+        
+        /**
+         * Get the text to display during the target
+         * @param {Object} target - The target state
+         * @param {number} value - Current target position (0-100%)
+         * @returns {string} The target text
+         */
+        getTargetText(target, value) {
+            return `Trail brake: ${Math.round(value)}%`;
+        },
+        
+        /**
+         * Get how far along the target is
+         * @param {Object} target - The target state
+         * @param {number} elapsed - Time since the target appeared (ms)
+         * @returns {number} Progress (0-1)
+         */
+        getTargetProgress(target, elapsed) {
+            return Math.min(1, elapsed / target.duration);
+        },
+        
+        /**
+         * Calculate the scores of this mode
+         * @param {Array<Object>} targets - The scored targets
+         * @returns {Object} Fields added to the session scores
+         */
+        calculateScores(targets) {
+            const errors = targets
+                .map(target => target.curveError)
+                .filter(error => typeof error === 'number');
+            
+            return {
+                avgCurveError: Scoring.calculateAverage(errors)
+            };
+        },
+        
+        /**
+         * Get the mode's results to show on the results screen
+         * @param {Object} scores - The session scores
+         * @returns {Array<Object>} Results ({ label, value })
+         */
+        getResultItems(scores) {
+            if (typeof scores.avgCurveError !== 'number') {
+                return [];
+            }
+            
+            return [
+                { label: 'Area Off the Curve', value: `${scores.avgCurveError.toFixed(1)} %·s per stop` }
+            ];
+        }
+    },
+    
+    /**
+     * Tracking Mode
+     * 
+     * The target slides smoothly between random positions, and the player keeps the
+     * pedal within the precision range of it. Scored on the time spent in the band
+     * and the RMS error instead of holds.
+     */
+    tracking: {
+        // Time the target waits at 0% before it starts moving, so the player sees it coming (ms)
+        leadIn: 1000,
+        
+        // Longest shift tried when measuring how far the pedal lags behind the target (ms)
+        maxLag: 1000,
+        
+        // Time between the pedal positions kept for the lag measurement (ms, 50 Hz whatever the input rate)
+        lagSampleInterval: 20,
+        
+        /**
+         * Get the name of this mode
+         * @returns {string} The mode name
+         */
+        getName() {
+            return 'Tracking';
+        },
+        
+        /**
+         * Get the transition target position
+         * @returns {number} The target position for transition (0-100%)
+         */
+        getTransitionTarget() {
+            return 0;
+        },
+        
+        /**
+         * Get the text to display during transition
+         * @returns {string} The transition instruction text
+         */
+        getTransitionText() {
+            return 'Release pedal to 0%';
+        },
+        
+        /**
+         * Check if the transition condition is met
+         * @param {number} pedalPosition - Current pedal position (0-100%)
+         * @returns {boolean} Whether the condition is met
+         */
+        checkTransitionCondition(pedalPosition) {
+            // The target starts from 0%
+            return pedalPosition <= 2;
+        },
+        
+        /**
+         * Plan the path of the moving target for a new run
+         * @returns {Object} The target state
+         */
+        createTarget() {
+            const duration = Config.tracking_duration * 1000;
+            const randomness = Config.tracking_randomness;
+            const low = Math.min(Config.min_target_percentage, Config.max_target_percentage);
+            const high = Math.max(Config.min_target_percentage, Config.max_target_percentage);
+            
+            // Points the target passes through ({ time, value }), it eases from one to the next
+            const points = [{ time: 0, value: 0 }, { time: this.leadIn, value: 0 }];
+            let time = this.leadIn;
+            let value = 0;
+            
+            while (time < duration) {
+                // Move somewhere noticeably different
+                let next = low + Math.random() * (high - low);
+                if (Math.abs(next - value) < (high - low) / 4) {
+                    next = value < (low + high) / 2 ? Math.min(high, next + (high - low) / 4) : Math.max(low, next - (high - low) / 4);
+                }
+                
+                // Randomness varies the speed of each move
+                const speed = Config.tracking_speed * (1 + randomness * 0.8 * (Math.random() * 2 - 1));
+                time += Math.max(300, Math.abs(next - value) / speed * 1000);
+                value = next;
+                points.push({ time: time, value: value });
+                
+                // ...and adds pauses between moves
+                const pause = randomness * Math.random() * 1500;
+                if (pause >= 100) {
+                    time += pause;
+                    points.push({ time: time, value: value });
+                }
+            }
+            
+            return {
+                points: points,
+                duration: duration,         // Length of the run (ms)
+                samples: [],                // Pedal positions for the lag measurement ({ elapsed, position })
+                trackedTime: 0,             // Time scored so far (s)
+                timeInBand: 0,              // Time within the precision range (s)
+                squaredError: 0,            // Squared distance from the target, integrated over time (%²·s)
+                isComplete: false
+            };
+        },
+        
+        /**
+         * Get the position of the moving target
+         * @param {Object} target - The target state
+         * @param {number} elapsed - Time since the target appeared (ms)
+         * @returns {number} Target position (0-100%)
+         */
+        getTargetValue(target, elapsed) {
+            const points = target.points;
+            if (elapsed <= 0) {
+                return points[0].value;
+            }
+            
+            for (let i = 1; i < points.length; i++) {
+                if (elapsed < points[i].time) {
+                    const from = points[i - 1];
+                    const to = points[i];
+                    const progress = (elapsed - from.time) / (to.time - from.time);
+                    
+                    // Ease in and out, so the target slides instead of jumping
+                    return from.value + (to.value - from.value) * (1 - Math.cos(Math.PI * progress)) / 2;
+                }
+            }
+            
+            return points[points.length - 1].value;
+        },
+        
+        /**
+         * Add an input sample to the target
+         * @param {Object} target - The target state
+         * @param {number} pedalPosition - Current pedal position (0-100%)
+         * @param {number} elapsed - Time since the target appeared (ms)
+         * @param {number} deltaTime - Time since the previous sample (seconds)
+         */
+        updateTarget(target, pedalPosition, elapsed, deltaTime) {
+            if (elapsed >= target.duration) {
+                target.isComplete = true;
+            }
+            
+            // The lead-in only shows the target, it isn't scored
+            if (elapsed < this.leadIn) {
+                return;
+            }
+            
+            const deviation = pedalPosition - this.getTargetValue(target, elapsed);
+            
+            target.trackedTime += deltaTime;
+            target.squaredError += deviation * deviation * deltaTime;
+            if (Math.abs(deviation) <= Config.precision_range) {
+                target.timeInBand += deltaTime;
+            }
+            
+            // The lag search runs over every kept position for every shift, so keep few enough of them
+            const lastSample = target.samples[target.samples.length - 1];
+            if (!lastSample || elapsed - lastSample.elapsed >= this.lagSampleInterval) {
+                target.samples.push({ elapsed: elapsed, position: pedalPosition });
+            }
+        },
+        
+        /**
+         * Estimate how far the pedal lags behind the target
+         * Finds the time shift of the target that best matches the pedal trace
+         * @param {Object} target - The target state
+         * @returns {number} The lag in ms
+         */
+        estimateLag(target) {
+            let bestLag = 0;
+            let bestError = Infinity;
+            
+            for (let lag = 0; lag <= this.maxLag; lag += 10) {
+                let error = 0;
+                target.samples.forEach(sample => {
+                    error += Math.abs(sample.position - this.getTargetValue(target, sample.elapsed - lag));
+                });
+                
+                if (error < bestError) {
+                    bestError = error;
+                    bestLag = lag;
+                }
+            }
+            
+            return bestLag;
+        },
+        
+        /**
+         * Get the results of a finished target
+         * @param {Object} target - The target state
+         * @returns {Object} Fields added to the target data
+         */
+        getTargetResult(target) {
+            const rmsError = target.trackedTime > 0 ? Math.sqrt(target.squaredError / target.trackedTime) : 0;
+            
+            return {
+                // How far the pedal trails the target stands in for the reaction time
+                reactionTime: this.estimateLag(target),
+                accuracy: rmsError,
+                rmsError: rmsError,
+                timeInBand: target.trackedTime > 0 ? target.timeInBand / target.trackedTime * 100 : 0
+            };
+        },
+        
+        /**
+         * Get the text to display during the target
+         * @param {Object} target - The target state
+         * @param {number} value - Current target position (0-100%)
+         * @returns {string} The target text
+         */
+        getTargetText(target, value) {
+            return `Follow: ${Math.round(value)}%`;
+        },
+        
+        /**
+         * Get how far along the target is
+         * @param {Object} target - The target state
+         * @param {number} elapsed - Time since the target appeared (ms)
+         * @returns {number} Progress (0-1)
+         */
+        getTargetProgress(target, elapsed) {
+            return Math.min(1, elapsed / target.duration);
+        },
+        
+        /**
+         * Calculate the scores of this mode
+         * @param {Array<Object>} targets - The scored targets
+         * @returns {Object} Fields added to the session scores
+         */
+        calculateScores(targets) {
+            const runs = targets.filter(target => typeof target.timeInBand === 'number');
+            
+            return {
+                avgTimeInBand: Scoring.calculateAverage(runs.map(target => target.timeInBand)),
+                avgRmsError: Scoring.calculateAverage(runs.map(target => target.rmsError))
+            };
+        },
+        
+        /**
+         * Get the mode's results to show on the results screen
+         * @param {Object} scores - The session scores
+         * @returns {Array<Object>} Results ({ label, value })
+         */
+        getResultItems(scores) {
+            if (typeof scores.avgTimeInBand !== 'number') {
+                return [];
+            }
+            
+            return [
+                { label: 'Time in Band', value: `${scores.avgTimeInBand.toFixed(1)}%` },
+                { label: 'RMS Error', value: `${scores.avgRmsError.toFixed(1)}%` }
+            ];
+        }
+    },
+    
+    /**
+     * Threshold Braking Mode
+     * 
+     * A stop in a car without ABS. Pressing harder than the lock pressure locks the
+     * wheels, and the lock pressure drops slowly as the car loses speed. Braking just
+     * below it stops the car quickest and earns the most points; lock-ups cost points.
+     */
+    thresholdBraking: {
+        // Random change of the lock pressure between stops, so a hidden threshold can't be learnt (±%)
+        thresholdVariation: 5,
+        
+        // Locked wheels brake this much less than the best possible braking
+        lockedGrip: 0.7,
+        
+        // Wheels start turning again this far below the lock pressure (%)
+        lockRelease: 2,
+        
+        // A stop without enough braking ends after this many threshold stop times
+        maxStopFactor: 3,
+        
+        /**
+         * Get the name of this mode
+         * @returns {string} The mode name
+         */
+        getName() {
+            return 'Threshold Braking';
+        },
+        
+        /**
+         * Get the transition target position
+         * @returns {number} The target position for transition (0-100%)
+         */
+        getTransitionTarget() {
+            return 0;
+        },
+        
+        /**
+         * Get the text to display during transition
+         * @returns {string} The transition instruction text
+         */
+        getTransitionText() {
+            return 'Release pedal to 0%';
+        },
+        
+        /**
+         * Check if the transition condition is met
+         * @param {number} pedalPosition - Current pedal position (0-100%)
+         * @returns {boolean} Whether the condition is met
+         */
+        checkTransitionCondition(pedalPosition) {
+            // Every stop starts off the brake
+            return pedalPosition <= 2;
+        },
+        
+        /**
+         * Start a new stop at full speed
+         * @returns {Object} The target state
+         */
+        createTarget() {
+            const variation = (Math.random() * 2 - 1) * this.thresholdVariation;
+            const stopTime = Config.threshold_stop_time * 1000;
+            
+            return {
+                lockPressure: Math.max(10, Math.min(100, Config.threshold_lock_pressure + variation)), // At full speed (%)
+                duration: stopTime * this.maxStopFactor,  // Longest the stop can take (ms)
+                speed: 1,                   // Speed left (1 = full speed, 0 = stopped)
+                threshold: 0,               // Current lock pressure (%)
+                locked: false,              // Whether the wheels are locked
+                lockUps: 0,                 // Number of lock-ups
+                lockedTime: 0,              // Time with locked wheels (s)
+                nearThresholdTime: 0,       // Time within the window below the lock pressure (s)
+                peakPressure: 0,            // Highest pedal position (%)
+                points: 0,                  // Closeness to the threshold integrated over time (s)
+                brakingTime: 0,             // Time until the car stopped (s)
+                matchTime: null,            // When the pedal first reached the window (ms after the start)
+                isComplete: false
+            };
+        },
+        
+        /**
+         * Get the lock pressure at a speed
+         * @param {Object} target - The target state
+         * @param {number} speed - Speed left (0-1)
+         * @returns {number} Lock pressure (%)
+         */
+        getLockPressure(target, speed) {
+            return Math.max(10, target.lockPressure - Config.threshold_lock_drift * (1 - speed));
+        },
+        
+        /**
+         * Get the lock pressure the pedal should stay just below
+         * The future speed isn't known, so the current lock pressure is used for any time
+         * @param {Object} target - The target state
+         * @param {number} elapsed - Time since the target appeared (ms)
+         * @returns {number} Target position (0-100%)
+         */
+        getTargetValue(target, elapsed) {
+            return this.getLockPressure(target, target.speed);
+        },
+        
+        /**
+         * Get the range that counts as braking at the threshold
+         * @param {Object} target - The target state
+         * @param {number} elapsed - Time since the target appeared (ms)
+         * @returns {Object} Lowest and highest position ({ low, high }, %)
+         */
+        getTargetBand(target, elapsed) {
+            const threshold = this.getTargetValue(target, elapsed);
+            return { low: threshold - Config.threshold_window, high: threshold };
+        },
+        
+        /**
+         * Check whether the lock pressure is shown to the player
+         * @returns {boolean} True if visible
+         */
+        isTargetVisible() {
+            return Config.threshold_visible;
+        },
+        
+        /**
+         * Brake the car with an input sample
+         * @param {Object} target - The target state
+         * @param {number} pedalPosition - Current pedal position (0-100%)
+         * @param {number} elapsed - Time since the target appeared (ms)
+         * @param {number} deltaTime - Time since the previous sample (seconds)
+         * @returns {string|undefined} 'lockUp' when the wheels lock
+         */
+        updateTarget(target, pedalPosition, elapsed, deltaTime) {
+            const threshold = this.getLockPressure(target, target.speed);
+            const nearWindow = Config.threshold_window;
+            let event;
+            
+            target.threshold = threshold;
+            target.peakPressure = Math.max(target.peakPressure, pedalPosition);
+            
+            // Lock the wheels above the lock pressure, release them once the pedal eases off
+            if (!target.locked && pedalPosition > threshold) {
+                target.locked = true;
+                target.lockUps++;
+                event = 'lockUp';
+            } else if (target.locked && pedalPosition <= threshold - this.lockRelease) {
+                target.locked = false;
+            }
+            
+            // Slow the car down: braking at the lock pressure stops it in the stop time
+            const grip = target.locked ? this.lockedGrip : Math.max(0, pedalPosition) / threshold;
+            target.speed = Math.max(0, target.speed - grip * deltaTime / Config.threshold_stop_time);
+            target.brakingTime += deltaTime;
+            
+            // Points for braking close to the lock pressure, none while the wheels are locked
+            if (target.locked) {
+                target.lockedTime += deltaTime;
+            } else {
+                const shortfall = Math.max(0, threshold - nearWindow - pedalPosition);
+                target.points += Math.max(0, 1 - shortfall / Math.max(1, threshold - nearWindow)) * deltaTime;
+                
+                if (pedalPosition >= threshold - nearWindow) {
+                    target.nearThresholdTime += deltaTime;
+                    if (target.matchTime === null) {
+                        target.matchTime = elapsed;
+                    }
+                }
+            }
+            
+            if (target.speed <= 0 || elapsed >= target.duration) {
+                target.isComplete = true;
+            }
+            
+            return event;
+        },
+        
+        /**
+         * Get the results of a finished stop
+         * @param {Object} target - The target state
+         * @returns {Object} Fields added to the target data
+         */
+        getTargetResult(target) {
+            const brakingTime = Math.max(target.brakingTime, 0.001);
+            const stopScore = target.points / brakingTime * 100 - target.lockUps * Config.threshold_lockup_penalty;
+            
+            return {
+                targetValue: Math.round(target.lockPressure),
+                // A pedal that never reached the threshold took the whole stop
+                reactionTime: target.matchTime !== null ? target.matchTime : brakingTime * 1000,
+                // How far below the threshold the pedal stayed on average (%)
+                accuracy: 100 - target.points / brakingTime * 100,
+                peakPressure: target.peakPressure,
+                nearThresholdTime: target.nearThresholdTime,
+                lockUps: target.lockUps,
+                lockedTime: target.lockedTime,
+                brakingTime: target.brakingTime,
+                stopScore: Math.max(0, stopScore)
+            };
+        },
+        
+        /**
+         * Get the text to display during the target
+         * @param {Object} target - The target state
+         * @param {number} value - Current lock pressure (0-100%)
+         * @returns {string} The target text
+         */
+        getTargetText(target, value) {
+            if (target.locked) {
+                return 'Lock-up! Ease off';
+            }
+            
+            const speed = `Speed ${Math.round(target.speed * 100)}%`;
+            return Config.threshold_visible ? `Brake below ${Math.round(value)}% | ${speed}` : `Brake at the limit | ${speed}`;
+        },
+        
+        /**
+         * Get how far along the stop is
+         * @param {Object} target - The target state
+         * @param {number} elapsed - Time since the target appeared (ms)
+         * @returns {number} Progress (0-1)
+         */
+        getTargetProgress(target, elapsed) {
+            return 1 - target.speed;
+        },
+        
+        /**
+         * Calculate the scores of this mode
+         * @param {Array<Object>} targets - The scored targets
+         * @returns {Object} Fields added to the session scores
+         */
+        calculateScores(targets) {
+            const stops = targets.filter(target => typeof target.stopScore === 'number');
+            
+            return {
+                avgStopScore: Scoring.calculateAverage(stops.map(target => target.stopScore)),
+                avgPeakPressure: Scoring.calculateAverage(stops.map(target => target.peakPressure)),
+                avgNearThresholdTime: Scoring.calculateAverage(stops.map(target => target.nearThresholdTime)),
+                totalLockUps: stops.reduce((total, target) => total + target.lockUps, 0)
+            };
+        },
+        
+        /**
+         * Get the mode's results to show on the results screen
+         * @param {Object} scores - The session scores
+         * @returns {Array<Object>} Results ({ label, value })
+         */
+        getResultItems(scores) {
+            if (typeof scores.avgStopScore !== 'number') {
+                return [];
+            }
+            
+            return [
+                { label: 'Stop Score', value: `${Math.round(scores.avgStopScore)}` },
+                { label: 'Lock-ups', value: `${scores.totalLockUps}` },
+                { label: 'Time Near Threshold', value: `${scores.avgNearThresholdTime.toFixed(2)}s per stop` }
+            ];
+        },
+        
+        /**
+         * Get the results of every stop
+         * @param {Array<Object>} targets - The session's targets
+         * @returns {Object} Table ({ headers, rows })
+         */
+        getTargetTable(targets) {
+            return {
+                headers: ['Stop', 'Peak Pressure', 'Time Near Threshold', 'Lock-ups', 'Stop Time', 'Score'],
+                rows: targets.map((target, index) => [
+                    `${index + 1}${target.interrupted ? ' (interrupted)' : ''}`,
+                    `${Math.round(target.peakPressure)}%`,
+                    `${target.nearThresholdTime.toFixed(2)}s`,
+                    `${target.lockUps}`,
+                    `${target.brakingTime.toFixed(2)}s`,
+                    `${Math.round(target.stopScore)}`
+                ])
+            };
+        }
+    },
+    
+    /**
+     * Corner Mode
+     * 
+     * Brake and throttle the way a corner asks for them: a braking zone on the brake
+     * pedal, then the throttle on the exit. Coasting between the pedals and pressing
+     * both at once are measured. For left-foot braking drills, a required overlap asks
+     * for the throttle to come in before the brake is released.
+     */
+    corner: {
+        // Pedals the mode reads (they have to be enabled under Input Device)
+        requiredChannels: ['brake', 'throttle'],
+        
+        // A pedal counts as pressed above this position (%)
+        pedalOn: 5,
+        
+        // Points a corner loses per second of coasting, or of overlap away from the required time
+        timePenalty: 50,
+        
+        /**
+         * Get the name of this mode
+         * @returns {string} The mode name
+         */
+        getName() {
+            return 'Corner';
+        },
+        
+        /**
+         * Get the transition target position
+         * @returns {number} The target position for transition (0-100%)
+         */
+        getTransitionTarget() {
+            return 0;
+        },
+        
+        /**
+         * Get the text to display during transition
+         * @returns {string} The transition instruction text
+         */
+        getTransitionText() {
+            return 'Release both pedals';
+        },
+        
+        /**
+         * Check if the transition condition is met
+         * @param {number} pedalPosition - Current pedal position (0-100%)
+         * @param {Object} channels - Position of every enabled pedal (0-100%)
+         * @returns {boolean} Whether the condition is met
+         */
+        checkTransitionCondition(pedalPosition, channels) {
+            // Every corner starts with both feet off the pedals
+            const positions = channels || {};
+            return this.requiredChannels.every(name => (positions[name] || 0) <= 2);
+        },
+        
+        /**
+         * Start a new corner
+         * @returns {Object} The target state
+         */
+        createTarget() {
+            const brakeTime = Config.corner_brake_time * 1000;
+            const throttleTime = Config.corner_throttle_time * 1000;
+            const overlap = Math.min(Config.corner_required_overlap * 1000, brakeTime, throttleTime);
+            
+            return {
+                brakeTarget: Config.corner_brake_pressure,       // Brake pressure in the braking zone (%)
+                throttleTarget: Config.corner_throttle_pressure, // Throttle in the throttle zone (%)
+                brakeEnd: brakeTime,                // When the braking zone ends (ms)
+                throttleStart: brakeTime - overlap, // When the throttle zone starts (ms)
+                duration: brakeTime - overlap + throttleTime,
+                requiredOverlap: overlap / 1000,    // Time both pedals should be pressed (s)
+                brake: this.createZone(),
+                throttle: this.createZone(),
+                brakeApplied: false,                // Whether the brake has been pressed
+                throttleApplied: false,             // Whether the throttle has been picked up after braking
+                phase: 'brake',                     // Part of the corner ('brake', 'overlap' or 'throttle')
+                coastingTime: 0,                    // Time with neither pedal pressed between the two (s)
+                overlapTime: 0,                     // Time with both pedals pressed (s)
+                isComplete: false
+            };
+        },
+        
+        /**
+         * Create the measurements of one pedal's zone
+         * @returns {Object} The zone measurements
+         */
+        createZone() {
+            return {
+                time: 0,            // Time spent in the zone (s)
+                inRangeTime: 0,     // Time within the precision range of the target (s)
+                error: 0,           // Distance from the target integrated over time (%·s)
+                matchTime: null     // When the pedal first reached the target (ms after the start)
+            };
+        },
+        
+        /**
+         * Get the pedal the corner asks for at a time
+         * @param {Object} target - The target state
+         * @param {number} elapsed - Time since the target appeared (ms)
+         * @returns {string} The channel name
+         */
+        getTargetChannel(target, elapsed) {
+            return elapsed < target.throttleStart ? 'brake' : 'throttle';
+        },
+        
+        /**
+         * Get the position the corner asks for at a time
+         * @param {Object} target - The target state
+         * @param {number} elapsed - Time since the target appeared (ms)
+         * @returns {number} Target position (0-100%) of the pedal from getTargetChannel
+         */
+        getTargetValue(target, elapsed) {
+            return this.getTargetChannel(target, elapsed) === 'brake' ? target.brakeTarget : target.throttleTarget;
+        },
+        
+        /**
+         * Measure an input sample against the corner
+         * @param {Object} target - The target state
+         * @param {number} pedalPosition - Position of the pedal from getTargetChannel (0-100%)
+         * @param {number} elapsed - Time since the target appeared (ms)
+         * @param {number} deltaTime - Time since the previous sample (seconds)
+         * @param {Object} channels - Position of every enabled pedal (0-100%)
+         */
+        updateTarget(target, pedalPosition, elapsed, deltaTime, channels) {
+            const brake = channels.brake || 0;
+            const throttle = channels.throttle || 0;
+            const brakeOn = brake > this.pedalOn;
+            const throttleOn = throttle > this.pedalOn;
+            
+            // Coasting: off the brake, but the throttle isn't picked up yet
+            if (target.brakeApplied && !target.throttleApplied && !brakeOn && !throttleOn) {
+                target.coastingTime += deltaTime;
+            }
+            if (brakeOn && throttleOn) {
+                target.overlapTime += deltaTime;
+            }
+            target.brakeApplied = target.brakeApplied || brakeOn;
+            target.throttleApplied = target.throttleApplied || (target.brakeApplied && throttleOn);
+            
+            // Both zones are active while the pedals should overlap
+            target.phase = elapsed < target.throttleStart ? 'brake' : elapsed < target.brakeEnd ? 'overlap' : 'throttle';
+            if (elapsed < target.brakeEnd) {
+                this.measureZone(target.brake, target.brakeTarget, brake, elapsed, deltaTime);
+            }
+            if (elapsed >= target.throttleStart) {
+                this.measureZone(target.throttle, target.throttleTarget, throttle, elapsed, deltaTime);
+            }
+            
+            if (elapsed >= target.duration) {
+                target.isComplete = true;
+            }
+        },
+        
+        /**
+         * Measure a pedal against its target in its zone
+         * @param {Object} zone - The zone measurements
+         * @param {number} value - Target position (0-100%)
+         * @param {number} position - Pedal position (0-100%)
+         * @param {number} elapsed - Time since the target appeared (ms)
+         * @param {number} deltaTime - Time since the previous sample (seconds)
+         */
+        measureZone(zone, value, position, elapsed, deltaTime) {
+            const offset = Math.abs(position - value);
+            
+            zone.time += deltaTime;
+            zone.error += offset * deltaTime;
+            if (offset <= Config.precision_range) {
+                zone.inRangeTime += deltaTime;
+                if (zone.matchTime === null) {
+                    zone.matchTime = elapsed;
+                }
+            }
+        },
+        
+        /**
+         * Get the results of a finished corner
+         * @param {Object} target - The target state
+         * @returns {Object} Fields added to the target data
+         */
+        getTargetResult(target) {
+            const zoneTime = Math.max(target.brake.time + target.throttle.time, 0.001);
+            const inRangeShare = (target.brake.inRangeTime + target.throttle.inRangeTime) / zoneTime;
+            
+            // Overlap counts against the corner unless it was asked for, and then only what is missing or too much
+            const overlapError = Math.abs(target.overlapTime - target.requiredOverlap);
+            const cornerScore = inRangeShare * 100 - (target.coastingTime + overlapError) * this.timePenalty;
+            
+            return {
+                targetValue: target.brakeTarget,
+                // A brake that never reached the target took the whole braking zone
+                reactionTime: target.brake.matchTime !== null ? target.brake.matchTime : target.brakeEnd,
+                // Average distance from the target over both zones (%)
+                accuracy: (target.brake.error + target.throttle.error) / zoneTime,
+                brakeTarget: target.brakeTarget,
+                throttleTarget: target.throttleTarget,
+                brakeInRange: target.brake.time > 0 ? target.brake.inRangeTime / target.brake.time * 100 : 0,
+                throttleInRange: target.throttle.time > 0 ? target.throttle.inRangeTime / target.throttle.time * 100 : 0,
+                coastingTime: target.coastingTime,
+                overlapTime: target.overlapTime,
+                requiredOverlap: target.requiredOverlap,
+                cornerScore: Math.max(0, cornerScore)
+            };
+        },
+        
+        /**
+         * Get the text to display during the target
+         * @param {Object} target - The target state
+         * @param {number} value - Current target position (0-100%)
+         * @returns {string} The target text
+         */
+        getTargetText(target, value) {
+            switch (target.phase) {
+                case 'brake':
+                    return `Brake ${Math.round(value)}%`;
+                case 'overlap':
+                    return `Throttle ${Math.round(value)}%, keep the brake on`;
+                default:
+                    return `Throttle ${Math.round(value)}%`;
+            }
+        },
+        
+        /**
+         * Get how far along the corner is
+         * @param {Object} target - The target state
+         * @param {number} elapsed - Time since the target appeared (ms)
+         * @returns {number} Progress (0-1)
+         */
+        getTargetProgress(target, elapsed) {
+            return Math.min(1, elapsed / target.duration);
+        },
+        
+        /**
+         * Calculate the scores of this mode
+         * @param {Array<Object>} targets - The scored targets
+         * @returns {Object} Fields added to the session scores
+         */
+        calculateScores(targets) {
+            const corners = targets.filter(target => typeof target.cornerScore === 'number');
+            
+            return {
+                avgCornerScore: Scoring.calculateAverage(corners.map(target => target.cornerScore)),
+                avgCoastingTime: Scoring.calculateAverage(corners.map(target => target.coastingTime)),
+                avgOverlapTime: Scoring.calculateAverage(corners.map(target => target.overlapTime)),
+                requiredOverlap: corners.length > 0 ? corners[0].requiredOverlap : 0
+            };
+        },
+        
+        /**
+         * Get the mode's results to show on the results screen
+         * @param {Object} scores - The session scores
+         * @returns {Array<Object>} Results ({ label, value })
+         */
+        getResultItems(scores) {
+            if (typeof scores.avgCornerScore !== 'number') {
+                return [];
+            }
+            
+            const overlap = `${scores.avgOverlapTime.toFixed(2)}s per corner`;
+            return [
+                { label: 'Corner Score', value: `${Math.round(scores.avgCornerScore)}` },
+                { label: 'Coasting', value: `${scores.avgCoastingTime.toFixed(2)}s per corner` },
+                {
+                    label: scores.requiredOverlap > 0 ? 'Overlap' : 'Unwanted Overlap',
+                    value: scores.requiredOverlap > 0 ? `${overlap} (${scores.requiredOverlap.toFixed(2)}s required)` : overlap
+                }
+            ];
+        },
+        
+        /**
+         * Get the results of every corner
+         * @param {Array<Object>} targets - The session's targets
+         * @returns {Object} Table ({ headers, rows })
+         */
+        getTargetTable(targets) {
+            return {
+                headers: ['Corner', 'Brake on Target', 'Throttle on Target', 'Coasting', 'Overlap', 'Score'],
+                rows: targets.map((target, index) => [
+                    `${index + 1}${target.interrupted ? ' (interrupted)' : ''}`,
+                    `${Math.round(target.brakeInRange)}%`,
+                    `${Math.round(target.throttleInRange)}%`,
+                    `${target.coastingTime.toFixed(2)}s`,
+                    `${target.overlapTime.toFixed(2)}s`,
+                    `${Math.round(target.cornerScore)}`
+                ])
+            };
+        }
+    },
+    
+    /**
+     * Heel-and-Toe Mode
+     * 
+     * A braking zone with downshifts: hold the brake around a set pressure while dipping
+     * the clutch fully and blipping the throttle to a set peak, once per downshift, each
+     * within its time window. A compound target: every phase has its own validity timer
+     * and its own score.
+     */
+    heelToe: {
+        // Pedals the mode reads (they have to be enabled under Input Device)
+        requiredChannels: ['brake', 'clutch', 'throttle'],
+        
+        // The clutch counts as fully down above this position (%)
+        clutchFull: 90,
+        
+        // How long the clutch and the blip have to be held to count (ms)
+        clutchHold: 100,
+        blipHold: 30,
+        
+        // Time to settle on the brake before the first downshift (ms)
+        leadIn: 500,
+        
+        /**
+         * Get the name of this mode
+         * @returns {string} The mode name
+         */
+        getName() {
+            return 'Heel-and-Toe';
+        },
+        
+        /**
+         * Get the transition target position
+         * @returns {number} The target position for transition (0-100%)
+         */
+        getTransitionTarget() {
+            return 0;
+        },
+        
+        /**
+         * Get the text to display during transition
+         * @returns {string} The transition instruction text
+         */
+        getTransitionText() {
+            return 'Release all pedals';
+        },
+        
+        /**
+         * Check if the transition condition is met
+         * @param {number} pedalPosition - Current pedal position (0-100%)
+         * @param {Object} channels - Position of every enabled pedal (0-100%)
+         * @returns {boolean} Whether the condition is met
+         */
+        checkTransitionCondition(pedalPosition, channels) {
+            // Every braking zone starts with the feet off the pedals
+            const positions = channels || {};
+            return this.requiredChannels.every(name => (positions[name] || 0) <= 2);
+        },
+        
+        /**
+         * Create a braking zone: the brake for the whole zone, and a clutch dip and a
+         * throttle blip in the window of each downshift
+         * @returns {Object} The compound target ({ duration, parts })
+         */
+        createCompoundTarget() {
+            const downshifts = Config.heel_toe_downshifts;
+            const shiftWindow = Config.heel_toe_window * 1000;
+            const tolerance = Config.heel_toe_tolerance;
+            const duration = this.leadIn + downshifts * shiftWindow;
+            const brake = Config.heel_toe_brake;
+            const blip = Config.heel_toe_blip_peak;
+            
+            const parts = [{
+                name: 'brake',
+                channel: 'brake',
+                value: brake,
+                low: brake - tolerance,
+                high: brake + tolerance,
+                holdTime: Math.min(Config.valid_duration * 1000, duration),
+                start: 0,
+                deadline: duration
+            }];
+            
+            for (let i = 0; i < downshifts; i++) {
+                const start = this.leadIn + i * shiftWindow;
+                parts.push({
+                    name: 'clutch',
+                    downshift: i + 1,
+                    channel: 'clutch',
+                    value: 100,
+                    low: this.clutchFull,
+                    high: 100,
+                    holdTime: this.clutchHold,
+                    start: start,
+                    deadline: start + shiftWindow
+                });
+                parts.push({
+                    name: 'blip',
+                    downshift: i + 1,
+                    channel: 'throttle',
+                    value: blip,
+                    low: blip - tolerance,
+                    high: blip + tolerance,
+                    holdTime: this.blipHold,
+                    start: start,
+                    deadline: start + shiftWindow
+                });
+            }
+            
+            return { duration: duration, downshifts: downshifts, parts: parts };
+        },
+        
+        /**
+         * Get the text to display during the braking zone
+         * @param {Object} target - The compound target
+         * @param {number} elapsed - Time since the target appeared (ms)
+         * @returns {string} The target text
+         */
+        getCompoundText(target, elapsed) {
+            const brake = target.parts[0];
+            const brakeText = brake.metTime !== null ? 'Brake OK' : `Brake ${brake.value}%`;
+            
+            // The downshift whose window is open
+            const current = target.parts.find(part => part.downshift && elapsed >= part.start && elapsed <= part.deadline);
+            if (!current) {
+                return `${brakeText}, get ready to downshift`;
+            }
+            
+            const shiftParts = target.parts.filter(part => part.downshift === current.downshift);
+            const clutch = shiftParts.find(part => part.name === 'clutch');
+            const blip = shiftParts.find(part => part.name === 'blip');
+            
+            return `Downshift ${current.downshift} of ${target.downshifts}: ${brakeText} | ` +
+                (clutch.metTime !== null ? 'Clutch OK' : 'Clutch in') + ' | ' +
+                (blip.metTime !== null ? 'Blip OK' : `Blip ${blip.value}%`);
+        },
+        
+        /**
+         * Score a clutch dip or a blip by how early in its window it was held
+         * @param {Object} part - The part of the compound target
+         * @returns {number} Score (0-100), 0 if missed
+         */
+        getTimingScore(part) {
+            if (part.metTime === null) {
+                return 0;
+            }
+            
+            return 100 - 50 * (part.metTime - part.start) / (part.deadline - part.start);
+        },
+        
+        /**
+         * Get the results of a finished braking zone
+         * @param {Object} target - The compound target
+         * @returns {Object} Fields added to the target data
+         */
+        getTargetResult(target) {
+            const brake = target.parts[0];
+            const clutches = target.parts.filter(part => part.name === 'clutch');
+            const blips = target.parts.filter(part => part.name === 'blip');
+            
+            const brakeScore = brake.activeTime > 0 ? brake.timeInRange / brake.activeTime * 100 : 0;
+            const clutchScore = Scoring.calculateAverage(clutches.map(part => this.getTimingScore(part)));
+            const blipScore = Scoring.calculateAverage(blips.map(part => this.getTimingScore(part)));
+            
+            return {
+                targetValue: brake.value,
+                // A brake that never reached its range took the whole zone
+                reactionTime: brake.firstInRangeTime !== null ? brake.firstInRangeTime : target.duration,
+                // How far the blips peaked from the asked peak (%)
+                accuracy: Scoring.calculateAverage(blips.map(part => Math.abs(part.peak - part.value))),
+                downshifts: target.downshifts,
+                cleanDownshifts: clutches.filter((part, index) => part.metTime !== null && blips[index].metTime !== null).length,
+                blipPeak: Scoring.calculateAverage(blips.map(part => part.peak)),
+                brakeScore: brakeScore,
+                clutchScore: clutchScore,
+                blipScore: blipScore,
+                zoneScore: (brakeScore + clutchScore + blipScore) / 3
+            };
+        },
+        
+        /**
+         * Calculate the scores of this mode
+         * @param {Array<Object>} targets - The scored targets
+         * @returns {Object} Fields added to the session scores
+         */
+        calculateScores(targets) {
+            const zones = targets.filter(target => typeof target.zoneScore === 'number');
+            
+            return {
+                avgZoneScore: Scoring.calculateAverage(zones.map(target => target.zoneScore)),
+                avgBrakeScore: Scoring.calculateAverage(zones.map(target => target.brakeScore)),
+                avgClutchScore: Scoring.calculateAverage(zones.map(target => target.clutchScore)),
+                avgBlipScore: Scoring.calculateAverage(zones.map(target => target.blipScore)),
+                cleanDownshifts: zones.reduce((total, target) => total + target.cleanDownshifts, 0),
+                totalDownshifts: zones.reduce((total, target) => total + target.downshifts, 0)
+            };
+        },
+        
+        /**
+         * Get the mode's results to show on the results screen
+         * @param {Object} scores - The session scores
+         * @returns {Array<Object>} Results ({ label, value })
+         */
+        getResultItems(scores) {
+            if (typeof scores.avgZoneScore !== 'number') {
+                return [];
+            }
+            
+            return [
+                { label: 'Heel-and-Toe Score', value: `${Math.round(scores.avgZoneScore)}` },
+                { label: 'Clean Downshifts', value: `${scores.cleanDownshifts} of ${scores.totalDownshifts}` },
+                { label: 'Brake Held in Range', value: `${Math.round(scores.avgBrakeScore)}%` },
+                { label: 'Clutch Score', value: `${Math.round(scores.avgClutchScore)}` },
+                { label: 'Blip Score', value: `${Math.round(scores.avgBlipScore)}` }
+            ];
+        },
+        
+        /**
+         * Get the results of every braking zone
+         * @param {Array<Object>} targets - The session's targets
+         * @returns {Object} Table ({ headers, rows })
+         */
+        getTargetTable(targets) {
+            return {
+                headers: ['Braking Zone', 'Brake in Range', 'Clutch', 'Blip', 'Blip Peak', 'Clean Downshifts', 'Score'],
+                rows: targets.map((target, index) => [
+                    `${index + 1}${target.interrupted ? ' (interrupted)' : ''}`,
+                    `${Math.round(target.brakeScore)}%`,
+                    `${Math.round(target.clutchScore)}`,
+                    `${Math.round(target.blipScore)}`,
+                    `${Math.round(target.blipPeak)}%`,
+                    `${target.cleanDownshifts} of ${target.downshifts}`,
+                    `${Math.round(target.zoneScore)}`
+                ])
+            };
+        }
     }
 };
 
@@ -147,6 +1386,16 @@ GameModes.getMode = function(modeName) {
         normalizedName = 'fromHundred';
     } else if (modeName === 'Continuous' || modeName === 'continuous') {
         normalizedName = 'continuous';
+    } else if (modeName === 'Trail Braking' || modeName === 'trailBraking') {
+        normalizedName = 'trailBraking';
+    } else if (modeName === 'Tracking' || modeName === 'tracking') {
+        normalizedName = 'tracking';
+    } else if (modeName === 'Threshold Braking' || modeName === 'thresholdBraking') {
+        normalizedName = 'thresholdBraking';
+    } else if (modeName === 'Corner' || modeName === 'corner') {
+        normalizedName = 'corner';
+    } else if (modeName === 'Heel-and-Toe' || modeName === 'heelToe') {
+        normalizedName = 'heelToe';
     }
     
     // Return the mode object or null if not found
@@ -161,7 +1410,12 @@ GameModes.getAllModes = function() {
     return [
         this.fromZero,
         this.fromHundred,
-        this.continuous
+        this.continuous,
+        this.trailBraking,
+        this.tracking,
+        this.thresholdBraking,
+        this.corner,
+        this.heelToe
     ];
 };
 
@@ -20,17 +20,21 @@ const Scoring = {
             return sessionData;
         }
         
-        // Calculate total time (already set in gameTime)
-        const totalTime = (sessionData.endTime - sessionData.startTime) / 1000; // Convert to seconds
+        // Calculate total time (already set in gameTime), without the time the pedal was disconnected
+        const totalTime = (sessionData.endTime - sessionData.startTime) / 1000 - // Convert to seconds
+            this.calculateInputGapTime(sessionData);
+        
+        // Targets interrupted by a disconnected pedal don't count, unless nothing else is left
+        const scoredTargets = this.getScoredTargets(sessionData);
         
         // Calculate reaction time metrics
-        const reactionTimes = sessionData.targets.map(target => target.reactionTime);
+        const reactionTimes = scoredTargets.map(target => target.reactionTime);
         const avgReactionTime = this.calculateAverage(reactionTimes);
         const minReactionTime = Math.min(...reactionTimes);
         const maxReactionTime = Math.max(...reactionTimes);
         
         // Calculate precision metrics
-        const accuracyValues = sessionData.targets.map(target => {
+        const accuracyValues = scoredTargets.map(target => {
             // If accuracy hasn't been calculated, use telemetry data
             if (target.accuracy === 0 && App.telemetry) {
                 // Find the time window for this target
@@ -77,11 +81,36 @@ const Scoring = {
             overallScore: overallScore
         };
         
+        // Modes with their own targets add their own scores
+        const mode = typeof GameModes !== 'undefined' ? GameModes.getMode(sessionData.gameMode) : null;
+        if (mode && mode.calculateScores) {
+            Object.assign(sessionData.scores, mode.calculateScores(scoredTargets, sessionData));
+        }
+        
         console.log("Final scores calculated:", sessionData.scores);
         
         return sessionData;
     },
     
+    /**
+     * Get the targets that count towards the scores
+     * @param {Object} sessionData - The game session data
+     * @returns {Array<Object>} Targets that weren't interrupted by a disconnected pedal
+     */
+    getScoredTargets(sessionData) {
+        const scoredTargets = sessionData.targets.filter(target => !target.interrupted);
+        return scoredTargets.length > 0 ? scoredTargets : sessionData.targets;
+    },
+    
+    /**
+     * Calculate how long the pedal was disconnected during a session
+     * @param {Object} sessionData - The game session data
+     * @returns {number} Time in seconds
+     */
+    calculateInputGapTime(sessionData) {
+        return (sessionData.inputGaps || []).reduce((total, gap) => total + (gap.end - gap.start), 0) / 1000;
+    },
+    
     /**
      * Calculate the average of an array of numbers
      * @param {Array<number>} values - Array of numeric values
@@ -6,6 +6,7 @@
  * - Main Menu
  * - Game Screen
  * - Results Screen
+ * - Calibration Screen
  */
 
 class GameState {
@@ -29,6 +30,16 @@ class GameState {
                 element: document.getElementById('results-screen'),
                 onEnter: this.enterResultsScreen.bind(this),
                 onExit: this.exitResultsScreen.bind(this)
+            },
+            calibrationScreen: {
+                element: document.getElementById('calibration-screen'),
+                onEnter: this.enterCalibrationScreen.bind(this),
+                onExit: this.exitCalibrationScreen.bind(this)
+            },
+            diagnosticsScreen: {
+                element: document.getElementById('diagnostics-screen'),
+                onEnter: this.enterDiagnosticsScreen.bind(this),
+                onExit: this.exitDiagnosticsScreen.bind(this)
             }
         };
         
@@ -37,11 +48,14 @@ class GameState {
         
         // Game session data
         this.sessionData = {
-            gameMode: null,        // 'fromZero', 'fromHundred', or 'continuous'
+            gameMode: null,        // Key of the game mode in GameModes (e.g. 'fromZero')
             reflexMode: false,     // Whether reflex mode is enabled
+            demo: false,           // Whether the bot is playing (results aren't saved)
+            profileId: null,       // Driver profile the session is recorded for
             startTime: null,       // When the game session started
             endTime: null,         // When the game session ended
             targets: [],           // Array of target data
+            inputGaps: [],         // Times the pedal was disconnected ({ start, end, deviceId }, ms since start)
             targetIndex: 0,        // Current target index
             totalTargets: 0,       // Total number of targets in this session
             telemetryData: [],     // Recorded input data
@@ -61,11 +75,19 @@ class GameState {
         
         // Set up transition event listeners
         document.getElementById('start-game').addEventListener('click', () => {
-            this.changeState('gameScreen');
+            if (this.checkModeChannels(MainMenu.getSelectedMode())) {
+                this.changeState('gameScreen');
+            }
+        });
+        
+        document.getElementById('start-demo').addEventListener('click', () => {
+            this.startDemo();
         });
         
         document.getElementById('restart-game').addEventListener('click', () => {
-            this.changeState('gameScreen');
+            if (this.checkModeChannels(MainMenu.getSelectedMode())) {
+                this.changeState('gameScreen');
+            }
         });
         
         document.getElementById('return-to-menu').addEventListener('click', () => {
@@ -119,14 +141,25 @@ class GameState {
     enterMainMenu() {
         console.log("Entering main menu");
         
+        // Give the pedal back to the player after a demo
+        if (this.sessionData.demo && App.input) {
+            App.input.endDemoInput();
+        }
+        
         // Reset session data
         this.resetSessionData();
+        this.sessionData.demo = false;
         
         // Update UI elements
         if (typeof MainMenu !== 'undefined') {
             MainMenu.updateUI();
         }
         
+        // Show newly archived sessions if the history panel is open
+        if (typeof HistoryView !== 'undefined') {
+            HistoryView.updateUI();
+        }
+        
         // Check for gamepad connections
         if (typeof App.input !== 'undefined' && App.input) {
             App.input.checkForGamepads();
@@ -142,13 +175,7 @@ class GameState {
         // Collect configuration from UI
         if (typeof MainMenu !== 'undefined') {
             // Get selected game mode
-            if (document.getElementById('mode-from-zero').classList.contains('selected')) {
-                this.sessionData.gameMode = 'fromZero';
-            } else if (document.getElementById('mode-from-hundred').classList.contains('selected')) {
-                this.sessionData.gameMode = 'fromHundred';
-            } else {
-                this.sessionData.gameMode = 'continuous';
-            }
+            this.sessionData.gameMode = MainMenu.getSelectedMode();
             
             // Get reflex mode setting
             this.sessionData.reflexMode = document.getElementById('reflex-mode').checked;
@@ -208,11 +235,18 @@ class GameState {
             Scoring.calculateFinalScores(this.sessionData);
         }
         
-        // Save results to local storage
-        if (typeof LocalData !== 'undefined') {
+        // Save results to local storage (demo runs aren't the player's results)
+        if (typeof LocalData !== 'undefined' && !this.sessionData.demo) {
             LocalData.saveGameResult(this.sessionData);
         }
         
+        // Archive the full telemetry trace so the run can be reviewed later
+        if (typeof SessionArchive !== 'undefined' && SessionArchive.isSupported() && App.telemetry &&
+            this.sessionData.targets.length > 0 && !this.sessionData.demo) {
+            SessionArchive.saveSession(this.sessionData, App.telemetry.getFullTrace())
+                .catch(error => console.error("Failed to archive session:", error));
+        }
+        
         // Update UI elements
         if (typeof ResultsScreen !== 'undefined') {
             ResultsScreen.updateUI(this.sessionData);
@@ -227,6 +261,60 @@ class GameState {
         // Nothing specific needed here yet
     }
     
+    /**
+     * Actions to perform when entering the calibration screen
+     */
+    enterCalibrationScreen() {
+        console.log("Entering calibration screen");
+        
+        // Make sure connected pedals are known before listing them
+        if (App.input) {
+            App.input.checkForGamepads();
+        }
+        
+        if (typeof CalibrationScreen !== 'undefined') {
+            CalibrationScreen.show();
+        }
+    }
+    
+    /**
+     * Actions to perform when exiting the calibration screen
+     */
+    exitCalibrationScreen() {
+        console.log("Exiting calibration screen");
+        
+        if (typeof CalibrationScreen !== 'undefined') {
+            CalibrationScreen.hide();
+        }
+    }
+    
+    /**
+     * Actions to perform when entering the diagnostics screen
+     */
+    enterDiagnosticsScreen() {
+        console.log("Entering diagnostics screen");
+        
+        // Make sure connected pedals are known before testing them
+        if (App.input) {
+            App.input.checkForGamepads();
+        }
+        
+        if (typeof DiagnosticsScreen !== 'undefined') {
+            DiagnosticsScreen.show();
+        }
+    }
+    
+    /**
+     * Actions to perform when exiting the diagnostics screen
+     */
+    exitDiagnosticsScreen() {
+        console.log("Exiting diagnostics screen");
+        
+        if (typeof DiagnosticsScreen !== 'undefined') {
+            DiagnosticsScreen.hide();
+        }
+    }
+    
     /**
      * Reset the session data to default values
      */
@@ -234,9 +322,12 @@ class GameState {
         this.sessionData = {
             gameMode: this.sessionData.gameMode,   // Preserve the last game mode
             reflexMode: this.sessionData.reflexMode, // Preserve reflex mode setting
+            demo: !!this.sessionData.demo,          // Whether the bot is playing (results aren't saved)
+            profileId: typeof Profiles !== 'undefined' ? Profiles.getActiveProfileId() : null,
             startTime: null,
             endTime: null,
             targets: [],
+            inputGaps: [],
             targetIndex: 0,
             totalTargets: this.sessionData.totalTargets || Config.number_of_targets,
             telemetryData: [],
@@ -248,6 +339,72 @@ class GameState {
         };
     }
     
+    /**
+     * Check that the pedals a game mode uses are enabled and have a device, and tell the player if not
+     * @param {string} modeName - Key of the game mode in GameModes
+     * @returns {boolean} Whether the mode can be played
+     */
+    checkModeChannels(modeName) {
+        const mode = typeof GameModes !== 'undefined' ? GameModes.getMode(modeName) : null;
+        if (!mode || !App.input) {
+            return true;
+        }
+        
+        const required = mode.requiredChannels || [];
+        const missing = required.filter(name => !App.input.channels[name].enabled);
+        if (missing.length > 0) {
+            alert(`${mode.getName()} mode needs the ${this.formatPedals(missing)}. ` +
+                'Map and enable them under Input Device first.');
+            return false;
+        }
+        
+        // Pedals bound to a device that is not connected can't be read
+        if (App.input.inputType === 'gamepad') {
+            const needed = [App.input.primaryChannel].concat(required)
+                .filter((name, index, names) => names.indexOf(name) === index);
+            const unplugged = needed.filter(name => App.input.getChannelGamepadIndex(App.input.channels[name]) === null);
+            if (unplugged.length > 0) {
+                alert(`The device of the ${this.formatPedals(unplugged)} is not connected. ` +
+                    'Connect it or map the pedals to another device under Input Device.');
+                return false;
+            }
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Describe pedals for a message, e.g. "brake and clutch pedals"
+     * @param {Array<string>} names - Channel names
+     * @returns {string} The pedal description
+     */
+    formatPedals(names) {
+        const labels = names.map(name => App.input.getChannelLabel(name).toLowerCase());
+        const list = labels.length > 1 ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}` : labels[0];
+        return `${list} pedal${labels.length > 1 ? 's' : ''}`;
+    }
+    
+    /**
+     * Start a game played by the input bot, e.g. to show the trainer without pedals
+     */
+    startDemo() {
+        if (!App.input || !App.input.syntheticInput) {
+            console.error("Demo needs the synthetic input");
+            return;
+        }
+        
+        // The bot plays a single pedal
+        const mode = typeof GameModes !== 'undefined' ? GameModes.getMode(MainMenu.getSelectedMode()) : null;
+        if (mode && mode.requiredChannels) {
+            alert(`The demo plays a single pedal, so it can't show ${mode.getName()} mode.`);
+            return;
+        }
+        
+        App.input.startDemoInput();
+        this.sessionData.demo = true;
+        this.changeState('gameScreen');
+    }
+    
     /**
      * End the current game session and transition to the results screen
      */
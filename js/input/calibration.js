@@ -0,0 +1,172 @@
+/**
+ * calibration.js
+ *
+ * Stores pedal calibrations and converts raw axis values to pedal positions.
+ * A calibration records the raw value of a released and a fully pressed pedal,
+ * plus inner and outer deadzones, for one axis of one device.
+ * Calibrations describe the hardware, so they are shared by all driver profiles.
+ */
+
+const Calibration = {
+    // localStorage key for saved calibrations
+    storageKey: 'pedal_training_calibration',
+    
+    // Smallest raw travel (rest to full) accepted as a calibration
+    minTravel: 0.1,
+    
+    // Largest deadzone on either end of the travel (%)
+    maxDeadzone: 25,
+    
+    // Loaded calibrations keyed by "<gamepad id>#<axis>"
+    data: null,
+    
+    /**
+     * Load saved calibrations from storage (only once)
+     */
+    ensureLoaded() {
+        if (this.data) {
+            return;
+        }
+        
+        this.data = {};
+        
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            const stored = raw ? JSON.parse(raw) : {};
+            
+            // Keep only entries that can be used
+            Object.keys(stored || {}).forEach(key => {
+                if (this.isValid(stored[key])) {
+                    this.data[key] = stored[key];
+                }
+            });
+        } catch (error) {
+            console.error("Failed to load pedal calibrations:", error);
+        }
+    },
+    
+    /**
+     * Save all calibrations to storage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+        } catch (error) {
+            console.error("Failed to save pedal calibrations:", error);
+        }
+    },
+    
+    /**
+     * Get the storage key for a device axis
+     * @param {string} gamepadId - The gamepad's id string
+     * @param {number} axis - The axis index
+     * @returns {string} The key
+     */
+    getKey(gamepadId, axis) {
+        return `${gamepadId}#${axis}`;
+    },
+    
+    /**
+     * Get the saved calibration for a device axis
+     * @param {string} gamepadId - The gamepad's id string
+     * @param {number} axis - The axis index
+     * @returns {Object|null} The calibration, or null if the axis hasn't been calibrated
+     */
+    getCalibration(gamepadId, axis) {
+        this.ensureLoaded();
+        return this.data[this.getKey(gamepadId, axis)] || null;
+    },
+    
+    /**
+     * Save the calibration for a device axis
+     * @param {string} gamepadId - The gamepad's id string
+     * @param {number} axis - The axis index
+     * @param {Object} calibration - rest, full, innerDeadzone and outerDeadzone
+     * @throws {Error} If the calibration can't be used
+     */
+    saveCalibration(gamepadId, axis, calibration) {
+        this.ensureLoaded();
+        
+        const entry = {
+            rest: calibration.rest,
+            full: calibration.full,
+            innerDeadzone: calibration.innerDeadzone || 0,
+            outerDeadzone: calibration.outerDeadzone || 0,
+            updatedAt: new Date().toISOString()
+        };
+        
+        if (!this.isValid(entry)) {
+            throw new Error("The pedal travel is too small. Record the released and fully pressed positions again.");
+        }
+        
+        this.data[this.getKey(gamepadId, axis)] = entry;
+        this.save();
+        
+        console.log(`Calibration saved for ${gamepadId} axis ${axis}`);
+    },
+    
+    /**
+     * Remove the calibration for a device axis
+     * @param {string} gamepadId - The gamepad's id string
+     * @param {number} axis - The axis index
+     */
+    clearCalibration(gamepadId, axis) {
+        this.ensureLoaded();
+        delete this.data[this.getKey(gamepadId, axis)];
+        this.save();
+    },
+    
+    /**
+     * Create the calibration used for axes that haven't been calibrated
+     * It assumes the axis covers the full -1 to 1 range
+     * @param {boolean} reversed - Whether the axis is reversed (1 = released, -1 = fully pressed)
+     * @returns {Object} The calibration
+     */
+    createDefault(reversed) {
+        return {
+            rest: reversed ? 1 : -1,
+            full: reversed ? -1 : 1,
+            innerDeadzone: 0,
+            outerDeadzone: 0
+        };
+    },
+    
+    /**
+     * Check whether a calibration can be used
+     * @param {Object} calibration - The calibration to check
+     * @returns {boolean} Whether the calibration is valid
+     */
+    isValid(calibration) {
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+        
+        return !!calibration &&
+            isNumber(calibration.rest) &&
+            isNumber(calibration.full) &&
+            Math.abs(calibration.full - calibration.rest) >= this.minTravel &&
+            isNumber(calibration.innerDeadzone) &&
+            isNumber(calibration.outerDeadzone) &&
+            calibration.innerDeadzone >= 0 && calibration.innerDeadzone <= this.maxDeadzone &&
+            calibration.outerDeadzone >= 0 && calibration.outerDeadzone <= this.maxDeadzone;
+    },
+    
+    /**
+     * Convert a raw axis value to a pedal position
+     * @param {number} rawValue - Raw axis value
+     * @param {Object} calibration - The calibration to apply
+     * @returns {number} Pedal position (0-100%)
+     */
+    normalize(rawValue, calibration) {
+        // Position along the recorded travel (0 = released, 100 = fully pressed)
+        const travel = (rawValue - calibration.rest) / (calibration.full - calibration.rest) * 100;
+        
+        // Inner deadzone reads as 0%, outer deadzone as 100%, and the rest is stretched in between
+        const usable = 100 - calibration.innerDeadzone - calibration.outerDeadzone;
+        const position = (travel - calibration.innerDeadzone) / usable * 100;
+        
+        // Clamp to 0-100 range
+        return Math.max(0, Math.min(100, position));
+    }
+};
+
+// Make Calibration available globally
+window.Calibration = Calibration;
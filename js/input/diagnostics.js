@@ -0,0 +1,274 @@
+/**
+ * diagnostics.js
+ *
+ * Input health measurements for a pedal axis: how often the device really sends new
+ * data, noise at rest, jitter while held, resolution, spikes, and gaps in the data.
+ * Raw values are in gamepad axis units (-1 to 1), and results are given in percent
+ * of that full range.
+ */
+
+const InputDiagnostics = {
+    // Limits used for the warnings
+    minUpdateRate: 100,         // Below this, reaction times get too coarse (Hz)
+    maxNoiseFloor: 1,           // Peak-to-peak noise at rest (% of travel)
+    maxJitter: 0.5,             // Standard deviation while held steady (% of travel)
+    minResolution: 8,           // Resolution estimated from the smallest step between values (bits)
+    minSweepRange: 50,          // Travel a sweep must cover for the resolution to count (%)
+    spikeThreshold: 5,          // Single-sample jump counted as a spike (% of travel)
+    dropoutFactor: 3,           // Gap between updates counted as a dropout (times the median interval)
+    
+    /**
+     * Analyze the samples recorded during a diagnostics run
+     * @param {Object} phases - Samples ({ time, raw, timestamp }) for 'rest', 'hold' and 'sweep'
+     * @param {Object} info - Device, axis, pedal and measured polling rate
+     * @returns {Object} The report
+     */
+    analyze(phases, info) {
+        const report = {
+            createdAt: new Date().toISOString(),
+            device: info.device,
+            axis: info.axis,
+            pedal: info.pedal,
+            pollRate: {
+                configured: Config.input_sample_rate,
+                measured: info.measuredPollRate
+            },
+            timing: this.measureTiming([phases.rest, phases.hold, phases.sweep]),
+            noiseFloor: this.measureSpread(this.getDeviceUpdates(phases.rest).map(sample => sample.raw)),
+            jitter: this.measureSpread(this.getDeviceUpdates(phases.hold).map(sample => sample.raw)),
+            resolution: this.measureResolution(phases.sweep.map(sample => sample.raw)),
+            spikes: this.countSpikes(this.getDeviceUpdates(phases.hold).map(sample => sample.raw)) +
+                this.countSpikes(this.getDeviceUpdates(phases.sweep).map(sample => sample.raw))
+        };
+        
+        report.warnings = this.createWarnings(report);
+        return report;
+    },
+    
+    /**
+     * Keep only the samples that carry new data from the device
+     * Without device timestamps, every sample is kept
+     * @param {Array<Object>} samples - The samples
+     * @returns {Array<Object>} Samples with a new device timestamp
+     */
+    getDeviceUpdates(samples) {
+        if (!this.hasTimestamps(samples)) {
+            return samples;
+        }
+        
+        return samples.filter((sample, index) => index === 0 || sample.timestamp !== samples[index - 1].timestamp);
+    },
+    
+    /**
+     * Check whether the device reports timestamps
+     * @param {Array<Object>} samples - The samples
+     * @returns {boolean} True if the timestamps change
+     */
+    hasTimestamps(samples) {
+        return samples.length > 1 &&
+            samples.every(sample => typeof sample.timestamp === 'number') &&
+            samples[samples.length - 1].timestamp !== samples[0].timestamp;
+    },
+    
+    /**
+     * Measure how often the device sends data, and find duplicates and dropouts
+     * Each group is a separate recording, so the pauses between groups don't count as gaps
+     * @param {Array<Array<Object>>} groups - The samples of each recording
+     * @returns {Object} Update rate (Hz), median interval (ms), duplicate polls and dropouts
+     */
+    measureTiming(groups) {
+        const timestamps = this.hasTimestamps([].concat(...groups));
+        const intervals = [];
+        let sampleCount = 0;
+        let updateCount = 0;
+        
+        groups.forEach(samples => {
+            // Without timestamps, a change of value is the only sign of new data (this underestimates the rate)
+            const updates = timestamps
+                ? this.getDeviceUpdates(samples)
+                : samples.filter((sample, index) => index === 0 || sample.raw !== samples[index - 1].raw);
+            const times = updates.map(sample => timestamps ? sample.timestamp : sample.time);
+            
+            for (let i = 1; i < times.length; i++) {
+                intervals.push(times[i] - times[i - 1]);
+            }
+            sampleCount += samples.length;
+            updateCount += updates.length;
+        });
+        
+        const sorted = [...intervals].sort((a, b) => a - b);
+        const medianInterval = sorted.length > 0 ? sorted[Math.floor(sorted.length / 2)] : 0;
+        const duration = intervals.reduce((total, interval) => total + interval, 0);
+        
+        return {
+            timestampsSupported: timestamps,
+            updateRate: duration > 0 ? Math.round(intervals.length / duration * 1000) : 0,
+            medianInterval: Math.round(medianInterval * 100) / 100,
+            duplicates: sampleCount - updateCount,
+            dropouts: medianInterval > 0
+                ? intervals.filter(interval => interval > medianInterval * this.dropoutFactor).length
+                : 0
+        };
+    },
+    
+    /**
+     * Measure how much a value moves around
+     * @param {Array<number>} values - Raw values
+     * @returns {Object} Peak-to-peak and standard deviation (% of travel)
+     */
+    measureSpread(values) {
+        if (values.length === 0) {
+            return { peakToPeak: 0, standardDeviation: 0 };
+        }
+        
+        const mean = values.reduce((total, value) => total + value, 0) / values.length;
+        const variance = values.reduce((total, value) => total + (value - mean) * (value - mean), 0) / values.length;
+        
+        return {
+            peakToPeak: this.toPercent(Math.max(...values) - Math.min(...values)),
+            standardDeviation: this.toPercent(Math.sqrt(variance))
+        };
+    },
+    
+    /**
+     * Measure the resolution from the distinct values of a sweep
+     * @param {Array<number>} values - Raw values
+     * @returns {Object} Distinct values, smallest step (% of travel), estimated bits and swept range (%)
+     */
+    measureResolution(values) {
+        const distinct = [...new Set(values)].sort((a, b) => a - b);
+        
+        let smallestStep = Infinity;
+        for (let i = 1; i < distinct.length; i++) {
+            smallestStep = Math.min(smallestStep, distinct[i] - distinct[i - 1]);
+        }
+        
+        return {
+            distinctValues: distinct.length,
+            smallestStep: isFinite(smallestStep) ? this.toPercent(smallestStep) : 0,
+            bits: isFinite(smallestStep) && smallestStep > 0 ? Math.round(Math.log2(2 / smallestStep) * 10) / 10 : 0,
+            range: distinct.length > 0 ? this.toPercent(distinct[distinct.length - 1] - distinct[0]) : 0
+        };
+    },
+    
+    /**
+     * Count single-sample jumps that come straight back, typical of a worn potentiometer
+     * @param {Array<number>} values - Raw values of successive device updates
+     * @returns {number} Number of spikes
+     */
+    countSpikes(values) {
+        const threshold = this.spikeThreshold / 50;    // In axis units (-1 to 1 is 100%)
+        let spikes = 0;
+        
+        for (let i = 1; i < values.length - 1; i++) {
+            const jumpIn = values[i] - values[i - 1];
+            const jumpOut = values[i + 1] - values[i];
+            
+            if (Math.abs(jumpIn) > threshold && Math.abs(jumpOut) > threshold &&
+                Math.sign(jumpIn) !== Math.sign(jumpOut) &&
+                Math.abs(values[i + 1] - values[i - 1]) < threshold / 2) {
+                spikes++;
+            }
+        }
+        
+        return spikes;
+    },
+    
+    /**
+     * Convert a distance in axis units to percent of the full axis range
+     * @param {number} value - Distance in axis units
+     * @returns {number} Percent, rounded to 0.01
+     */
+    toPercent(value) {
+        return Math.round(value * 50 * 100) / 100;
+    },
+    
+    /**
+     * List the problems found in a report
+     * @param {Object} report - The report
+     * @returns {Array<string>} Warning messages
+     */
+    createWarnings(report) {
+        const warnings = [];
+        const { timing, noiseFloor, jitter, resolution } = report;
+        
+        if (timing.updateRate > 0 && timing.updateRate < this.minUpdateRate) {
+            warnings.push(`The pedal sends new data only ${timing.updateRate} times per second, so reaction times ` +
+                `are only accurate to about ${Math.round(1000 / timing.updateRate)} ms. ` +
+                `At least ${this.minUpdateRate} Hz is needed for meaningful reaction-time numbers.`);
+        }
+        
+        if (report.pollRate.measured > 0 && report.pollRate.measured < report.pollRate.configured * 0.8) {
+            warnings.push(`The browser polls the input ${report.pollRate.measured} times per second instead of ` +
+                `${report.pollRate.configured}. Keep the tab in the foreground and close other heavy tabs.`);
+        }
+        
+        if (timing.dropouts > 0) {
+            warnings.push(`${timing.dropouts} gaps in the data stream (longer than ${this.dropoutFactor} update intervals). ` +
+                'Check the USB cable and avoid USB hubs.');
+        }
+        
+        if (noiseFloor.peakToPeak > this.maxNoiseFloor) {
+            warnings.push(`The released pedal moves by ${noiseFloor.peakToPeak}% of its travel. ` +
+                'This points to a dirty or worn potentiometer or electrical noise; an inner deadzone can hide it.');
+        }
+        
+        if (jitter.standardDeviation > this.maxJitter) {
+            warnings.push(`The position jitters by ${jitter.standardDeviation}% while held steady. ` +
+                'A worn potentiometer or a loose connection is likely.');
+        }
+        
+        if (report.spikes > 0) {
+            warnings.push(`Found ${report.spikes} single-sample spike${report.spikes === 1 ? '' : 's'}. ` +
+                'Spikes are typical of a potentiometer that is going bad.');
+        }
+        
+        if (resolution.range < this.minSweepRange) {
+            warnings.push(`The sweep covered only ${resolution.range}% of the axis, so the resolution couldn't be measured. ` +
+                'Press the pedal through its full travel during the sweep.');
+        } else if (resolution.bits < this.minResolution) {
+            warnings.push(`The pedal moves in steps of ${resolution.smallestStep}% (about ${resolution.bits} bits), ` +
+                'which limits precision.');
+        }
+        
+        return warnings;
+    },
+    
+    /**
+     * Write a report as text for support tickets
+     * The readable summary is followed by the report data as JSON
+     * @param {Object} report - The report
+     * @returns {string} The text
+     */
+    formatReport(report) {
+        const lines = [
+            'Pedal Input Diagnostics',
+            `Created: ${report.createdAt}`,
+            `Device: ${report.device}`,
+            `Pedal: ${report.pedal} (axis ${report.axis})`,
+            '',
+            `Polling: ${report.pollRate.measured} Hz measured, ${report.pollRate.configured} Hz configured`,
+            `Device update rate: ${report.timing.updateRate} Hz` +
+                (report.timing.timestampsSupported ? '' : ' (estimated, the device reports no timestamps)'),
+            `Median update interval: ${report.timing.medianInterval} ms`,
+            `Polls without new data: ${report.timing.duplicates}`,
+            `Dropouts: ${report.timing.dropouts}`,
+            `Noise at rest: ${report.noiseFloor.peakToPeak}% peak-to-peak, ${report.noiseFloor.standardDeviation}% standard deviation`,
+            `Jitter when held: ${report.jitter.peakToPeak}% peak-to-peak, ${report.jitter.standardDeviation}% standard deviation`,
+            `Resolution: ${report.resolution.distinctValues} distinct values, smallest step ${report.resolution.smallestStep}% ` +
+                `(about ${report.resolution.bits} bits) over ${report.resolution.range}% of the axis`,
+            `Spikes: ${report.spikes}`,
+            '',
+            'Warnings:',
+            ...(report.warnings.length > 0 ? report.warnings.map(warning => `- ${warning}`) : ['- None']),
+            '',
+            'Data:',
+            JSON.stringify(report, null, 2)
+        ];
+        
+        return lines.join('\n') + '\n';
+    }
+};
+
+// Make InputDiagnostics available globally
+window.InputDiagnostics = InputDiagnostics;
@@ -0,0 +1,206 @@
+/**
+ * filters.js
+ *
+ * Input filters for pedal positions. Filters are chained: each one receives
+ * the output of the previous one. Filters that smooth over time use the sample
+ * timestamps rather than counting frames, so the lag they add doesn't depend
+ * on the monitor refresh rate.
+ */
+
+const InputFilters = {
+    // Available filters with the configuration fields that hold their parameters
+    types: {
+        none: {
+            name: 'None',
+            params: []
+        },
+        ema: {
+            name: 'Exponential smoothing',
+            params: [
+                { key: 'filter_ema_time_constant', label: 'Time constant (ms)', step: 1 }
+            ]
+        },
+        oneEuro: {
+            name: 'One-Euro',
+            params: [
+                { key: 'filter_one_euro_min_cutoff', label: 'Minimum cutoff (Hz)', step: 0.1 },
+                { key: 'filter_one_euro_beta', label: 'Speed coefficient', step: 0.005 }
+            ]
+        },
+        median: {
+            name: 'Median (spike rejection)',
+            params: [
+                { key: 'filter_median_size', label: 'Samples', step: 2 }
+            ]
+        },
+        movingAverage: {
+            name: 'Moving average',
+            params: [
+                { key: 'filter_moving_average_window', label: 'Window (ms)', step: 5 }
+            ]
+        }
+    },
+    
+    /**
+     * Create a filter
+     * @param {string} type - The filter type (a key of types)
+     * @param {Object} settings - Object holding the parameter fields (defaults to Config)
+     * @returns {Object} The filter, with process(value, time) and reset()
+     */
+    createFilter(type, settings = Config) {
+        switch (type) {
+            case 'ema':
+                return this.createEmaFilter(settings.filter_ema_time_constant);
+            case 'oneEuro':
+                return this.createOneEuroFilter(settings.filter_one_euro_min_cutoff, settings.filter_one_euro_beta);
+            case 'median':
+                return this.createMedianFilter(settings.filter_median_size);
+            case 'movingAverage':
+                return this.createMovingAverageFilter(settings.filter_moving_average_window);
+            default:
+                return { process: value => value, reset: () => {} };
+        }
+    },
+    
+    /**
+     * Create a chain of filters applied one after another
+     * @param {Array<string>} types - Filter types in the order they are applied
+     * @param {Object} settings - Object holding the parameter fields (defaults to Config)
+     * @returns {Object} The chain, with process(value, time) and reset()
+     */
+    createChain(types, settings = Config) {
+        const filters = (types || [])
+            .filter(type => type !== 'none' && this.types[type])
+            .map(type => this.createFilter(type, settings));
+        
+        return {
+            process: (value, time) => filters.reduce((result, filter) => filter.process(result, time), value),
+            reset: () => filters.forEach(filter => filter.reset())
+        };
+    },
+    
+    /**
+     * Exponential moving average with a time constant
+     * @param {number} timeConstant - Time for the output to cover ~63% of a step (ms)
+     * @returns {Object} The filter
+     */
+    createEmaFilter(timeConstant) {
+        let output = null;
+        let lastTime = null;
+        
+        return {
+            process(value, time) {
+                if (output === null || timeConstant <= 0) {
+                    output = value;
+                } else {
+                    const dt = Math.max(0, time - lastTime);
+                    const alpha = 1 - Math.exp(-dt / timeConstant);
+                    output += (value - output) * alpha;
+                }
+                lastTime = time;
+                return output;
+            },
+            reset() {
+                output = null;
+                lastTime = null;
+            }
+        };
+    },
+    
+    /**
+     * One-Euro filter: strong smoothing when the pedal is still, little lag when it moves fast
+     * @param {number} minCutoff - Cutoff frequency when the pedal is still (Hz)
+     * @param {number} beta - How much the cutoff rises with pedal speed
+     * @returns {Object} The filter
+     */
+    createOneEuroFilter(minCutoff, beta) {
+        const derivativeCutoff = 1.0;   // Cutoff for the speed estimate (Hz)
+        let output = null;
+        let speed = 0;
+        let lastTime = null;
+        
+        // Smoothing factor of a low-pass filter for a time step
+        const smoothingFactor = (cutoff, dt) => {
+            const tau = 1 / (2 * Math.PI * cutoff);
+            return 1 / (1 + tau / dt);
+        };
+        
+        return {
+            process(value, time) {
+                if (output === null) {
+                    output = value;
+                    lastTime = time;
+                    return output;
+                }
+                
+                // Time step in seconds (avoid dividing by zero for samples with the same time)
+                const dt = Math.max(0.001, (time - lastTime) / 1000);
+                lastTime = time;
+                
+                const rawSpeed = (value - output) / dt;
+                speed += (rawSpeed - speed) * smoothingFactor(derivativeCutoff, dt);
+                
+                const cutoff = minCutoff + beta * Math.abs(speed);
+                output += (value - output) * smoothingFactor(cutoff, dt);
+                return output;
+            },
+            reset() {
+                output = null;
+                speed = 0;
+                lastTime = null;
+            }
+        };
+    },
+    
+    /**
+     * Median of the last samples, which removes single-sample spikes
+     * @param {number} size - Number of samples (rounded up to an odd number)
+     * @returns {Object} The filter
+     */
+    createMedianFilter(size) {
+        const count = size % 2 === 1 ? size : size + 1;
+        let window = [];
+        
+        return {
+            process(value) {
+                window.push(value);
+                if (window.length > count) {
+                    window.shift();
+                }
+                
+                const sorted = [...window].sort((a, b) => a - b);
+                const middle = Math.floor(sorted.length / 2);
+                return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+            },
+            reset() {
+                window = [];
+            }
+        };
+    },
+    
+    /**
+     * Average of the samples within a time window
+     * @param {number} windowSize - Length of the window (ms)
+     * @returns {Object} The filter
+     */
+    createMovingAverageFilter(windowSize) {
+        let samples = [];
+        
+        return {
+            process(value, time) {
+                samples.push({ value, time });
+                while (samples.length > 1 && samples[0].time <= time - windowSize) {
+                    samples.shift();
+                }
+                
+                return samples.reduce((total, sample) => total + sample.value, 0) / samples.length;
+            },
+            reset() {
+                samples = [];
+            }
+        };
+    }
+};
+
+// Make InputFilters available globally
+window.InputFilters = InputFilters;
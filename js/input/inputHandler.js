@@ -11,33 +11,67 @@ class InputHandler {
      * Initialize the InputHandler
      */
     constructor() {
-        // Input state
-        this.currentPedalPosition = 0;  // Current normalized pedal position (0-100%)
-        this.rawPedalValue = 0;         // Raw value from gamepad
+        // Pedal channels, each read from its own gamepad axis
+        // Pedal sets often show up as a different USB device from the wheel,
+        // so every channel can come from a different gamepad
+        this.channelNames = ['throttle', 'brake', 'clutch'];
+        this.defaultAxes = { throttle: 1, brake: 2, clutch: 3 };
+        this.channels = {};
+        this.channelNames.forEach(name => {
+            this.channels[name] = this.createChannel(name);
+        });
+        this.primaryChannel = 'throttle';     // Channel used by the game and controlled by the keyboard
+        this.configuringChannel = 'throttle'; // Channel shown in the axis selection UI
         
         // Gamepad tracking
         this.gamepads = {};             // Connected gamepads
-        this.activeGamepad = null;      // Currently active gamepad
-        this.pedalAxis = 1;             // Default axis for the pedal (usually right Y axis)
-        this.pedalReversed = true;      // Whether the pedal axis is reversed (1 = released, -1 = fully pressed)
-        this.axisValues = [];           // Current values of all axes
+        this.activeGamepad = null;      // Default gamepad for channels without their own device
+        this.axisValues = [];           // Current values of all axes of the active gamepad
+        this.lostDeviceIds = new Set(); // Pedal devices that disconnected during a game, until they return
+        this.lostActiveDeviceId = null; // The lost device that was the active gamepad, used again when it returns
+        
+        // Mappings remembered per device (gamepad.id), shared by all driver profiles
+        this.deviceMappingStorageKey = 'pedal_training_device_mappings';
+        this.deviceMappings = null;         // Loaded on first use
+        this.restoredDeviceIds = [];        // Devices whose saved mapping was applied
         
-        // Keyboard fallback
+        // Automatic axis detection
+        this.axisDetectionDuration = 5000;  // How long the pedal is watched (ms)
+        this.axisDetectionInterval = 20;    // Time between samples (ms)
+        this.minDetectionSweep = 0.3;       // Smallest raw travel accepted as a pedal press
+        this.isDetectingAxis = false;       // Whether a detection is running
+        this.axisDetectionMessage = null;   // Result of the last detection, shown in the axis UI
+        
+        // Keyboard fallback (a spring model, see updateKeyboardInput; settings are in Config)
         this.keyboardEnabled = false;   // Whether keyboard input is enabled
-        this.keyboardIncrement = 3;     // How much to change the value per keypress
         this.keysPressedState = {       // Tracks which keys are pressed
-            ArrowUp: false,
-            ArrowDown: false
+            ArrowUp: false,             // Press the pedal
+            ArrowDown: false,           // Ease off the pedal
+            fine: false                 // Fine-adjust modifier
         };
-        this.keyRepeatRate = 16;        // Milliseconds between key repeat updates
-        this.keyRepeatTimer = null;     // Timer for key repeat
+        this.keyboardVelocity = 0;      // Current pedal speed while a key is held (%/s)
+        this.keyboardJumpKey = null;    // Number key being held, if any
+        this.lastUpdateTime = null;     // Time of the previous update, for time-based keyboard movement
+        
+        // Mouse, touch and pen input on the on-screen pedal
+        this.pointerEnabled = false;    // Whether pointer input is enabled
+        this.pointerInput = typeof PointerInput !== 'undefined' ? new PointerInput() : null;
         
-        // Input smoothing
-        this.prevPedalPosition = 0;     // Previous pedal position for smoothing
-        this.smoothingFactor = Config.input_smoothing || 0.2;  // Amount of smoothing (0-1)
+        // External pedals sending their positions through a local WebSocket bridge
+        this.websocketEnabled = false;  // Whether WebSocket input is enabled
+        this.websocketInput = typeof WebSocketInput !== 'undefined' ? new WebSocketInput(this.channelNames) : null;
+        
+        // Generated test signals and the demo bot
+        this.syntheticEnabled = false;  // Whether synthetic input is enabled
+        this.syntheticInput = typeof SyntheticInput !== 'undefined' ? new SyntheticInput() : null;
+        this.inputTypeBeforeDemo = null; // Input restored when a demo ends
+        
+        // Input filtering (one filter chain per channel, built from the configuration)
+        this.filterChains = {};
+        this.configureFilters();
         
         // Status
-        this.inputType = 'none';        // Current input type ('gamepad', 'keyboard', 'none')
+        this.inputType = 'none';        // Current input type ('gamepad', 'keyboard', 'pointer', 'websocket', 'synthetic', 'none')
         this.isConnected = false;       // Whether an input device is connected
         
         // Binding event handlers
@@ -45,6 +79,84 @@ class InputHandler {
         this.onGamepadDisconnected = this.onGamepadDisconnected.bind(this);
         this.onKeyDown = this.onKeyDown.bind(this);
         this.onKeyUp = this.onKeyUp.bind(this);
+        this.onWindowBlur = this.onWindowBlur.bind(this);
+    }
+    
+    /**
+     * Create the state for a pedal channel
+     * @param {string} name - The channel name ('throttle', 'brake' or 'clutch')
+     * @returns {Object} The channel state
+     */
+    createChannel(name) {
+        return {
+            name: name,
+            enabled: name === 'throttle',   // Other pedals are only read once they are mapped
+            gamepadIndex: null,             // Gamepad providing this pedal (null = the active gamepad)
+            gamepadId: null,                // Id of that gamepad, used to find it again after reconnecting
+            axis: this.defaultAxes[name],   // Axis of the gamepad
+            reversed: true,                 // Whether the axis is reversed (1 = released, -1 = fully pressed)
+            rawValue: 0,                    // Raw value from the gamepad
+            rawTimestamp: null,             // Gamepad timestamp of that value (changes when the device sends new data)
+            unfilteredPosition: 0,          // Pedal position before filtering (0-100%)
+            position: 0,                    // Filtered pedal position used by the game (0-100%)
+            prevPosition: 0                 // Position in the previous frame
+        };
+    }
+    
+    /**
+     * Current normalized position of the primary channel (0-100%)
+     * @type {number}
+     */
+    get currentPedalPosition() {
+        return this.channels[this.primaryChannel].position;
+    }
+    
+    set currentPedalPosition(value) {
+        this.channels[this.primaryChannel].position = value;
+    }
+    
+    /**
+     * Previous position of the primary channel
+     * @type {number}
+     */
+    get prevPedalPosition() {
+        return this.channels[this.primaryChannel].prevPosition;
+    }
+    
+    set prevPedalPosition(value) {
+        this.channels[this.primaryChannel].prevPosition = value;
+    }
+    
+    /**
+     * Raw gamepad value of the primary channel
+     * @type {number}
+     */
+    get rawPedalValue() {
+        return this.channels[this.primaryChannel].rawValue;
+    }
+    
+    /**
+     * Axis of the primary channel
+     * @type {number}
+     */
+    get pedalAxis() {
+        return this.channels[this.primaryChannel].axis;
+    }
+    
+    set pedalAxis(axis) {
+        this.channels[this.primaryChannel].axis = axis;
+    }
+    
+    /**
+     * Whether the axis of the primary channel is reversed
+     * @type {boolean}
+     */
+    get pedalReversed() {
+        return this.channels[this.primaryChannel].reversed;
+    }
+    
+    set pedalReversed(reversed) {
+        this.channels[this.primaryChannel].reversed = reversed;
     }
     
     /**
@@ -60,6 +172,31 @@ class InputHandler {
         // Set up keyboard event listeners
         window.addEventListener('keydown', this.onKeyDown);
         window.addEventListener('keyup', this.onKeyUp);
+        window.addEventListener('blur', this.onWindowBlur);
+        
+        // Listen to the on-screen pedal, and switch to it when it's used
+        const pointerPedal = document.getElementById('pointer-pedal');
+        if (this.pointerInput && pointerPedal) {
+            this.pointerInput.attach(pointerPedal);
+            this.pointerInput.onActivity = () => {
+                if (this.canSwitchToPointer()) {
+                    this.enablePointerInput();
+                }
+            };
+        }
+        
+        // Show changes of the WebSocket connection
+        if (this.websocketInput) {
+            this.websocketInput.onStatusChange = () => {
+                if (this.websocketEnabled) {
+                    this.isConnected = this.websocketInput.isReceiving();
+                    this.updateDeviceStatus();
+                }
+            };
+        }
+        
+        // Load the axis mapping saved for the active driver profile
+        this.loadInputMapping();
         
         // Check if any gamepads are already connected
         this.checkForGamepads();
@@ -67,8 +204,7 @@ class InputHandler {
         // Set up UI event listeners
         this.setupUIEventListeners();
         
-        // Start the update loop
-        this.startUpdateLoop();
+        // Updates are driven by the InputSampler, which polls at a fixed rate
         
         console.log("Input handler initialized");
     }
@@ -94,6 +230,30 @@ class InputHandler {
                 this.enableKeyboardInput();
             });
         }
+        
+        // Listen for clicks on "Use Mouse / Touch" button
+        const usePointerButton = document.getElementById('use-pointer');
+        if (usePointerButton) {
+            usePointerButton.addEventListener('click', () => {
+                this.enablePointerInput();
+            });
+        }
+        
+        // Listen for clicks on "Use WebSocket Bridge" button
+        const useWebSocketButton = document.getElementById('use-websocket');
+        if (useWebSocketButton) {
+            useWebSocketButton.addEventListener('click', () => {
+                this.promptWebSocketInput();
+            });
+        }
+        
+        // Listen for clicks on "Use Test Signal" button
+        const useSyntheticButton = document.getElementById('use-synthetic');
+        if (useSyntheticButton) {
+            useSyntheticButton.addEventListener('click', () => {
+                this.promptSyntheticInput();
+            });
+        }
     }
     
     /**
@@ -117,11 +277,17 @@ class InputHandler {
         // Add gamepad selection dropdown if we have gamepads
         const gamepadIds = Object.keys(this.gamepads);
         if (gamepadIds.length > 0) {
+            // Pick which pedal to configure
+            this.createChannelSelectionUI(deviceContainer);
+            
+            const channel = this.channels[this.configuringChannel];
+            const channelGamepad = this.getChannelGamepadIndex(channel);
+            
             const gamepadSelectionDiv = document.createElement('div');
             gamepadSelectionDiv.classList.add('setting');
             
             const gamepadLabel = document.createElement('label');
-            gamepadLabel.textContent = 'Select Gamepad:';
+            gamepadLabel.textContent = `Gamepad for ${this.getChannelLabel(channel.name)}:`;
             gamepadLabel.htmlFor = 'gamepad-select';
             
             const gamepadSelect = document.createElement('select');
@@ -133,19 +299,28 @@ class InputHandler {
                 const option = document.createElement('option');
                 option.value = id;
                 option.textContent = gamepad.id;
-                option.selected = (this.activeGamepad === parseInt(id));
+                option.selected = (channelGamepad === parseInt(id));
                 gamepadSelect.appendChild(option);
             });
             
-            // Event listener for changing gamepad
+            // Event listener for changing the gamepad of the configured pedal
             gamepadSelect.addEventListener('change', () => {
-                this.activeGamepad = parseInt(gamepadSelect.value);
+                const index = parseInt(gamepadSelect.value);
+                channel.gamepadIndex = index;
+                channel.gamepadId = this.gamepads[index].id;
+                
+                // The game pedal's device also becomes the default device
+                if (channel.name === this.primaryChannel) {
+                    this.activeGamepad = index;
+                }
+                
                 this.inputType = 'gamepad';
                 this.isConnected = true;
+                this.saveInputMapping();
                 this.updateDeviceStatus();
                 
                 // Refresh the axis selection UI for the new gamepad
-                this.createAxisSelectionUI(deviceContainer);
+                this.showGamepadSelectionUI();
             });
             
             gamepadSelectionDiv.appendChild(gamepadLabel);
@@ -163,16 +338,94 @@ class InputHandler {
         }
     }
     
+    /**
+     * Create the controls for choosing which pedal channel to configure
+     * @param {HTMLElement} container - The container element
+     */
+    createChannelSelectionUI(container) {
+        const channel = this.channels[this.configuringChannel];
+        
+        const channelDiv = document.createElement('div');
+        channelDiv.classList.add('setting', 'channel-selection');
+        
+        // Pedal selection
+        const channelLabel = document.createElement('label');
+        channelLabel.textContent = 'Configure Pedal:';
+        channelLabel.htmlFor = 'channel-select';
+        
+        const channelSelect = document.createElement('select');
+        channelSelect.id = 'channel-select';
+        
+        this.channelNames.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = this.getChannelLabel(name) +
+                (name === this.primaryChannel ? ' (game)' : this.channels[name].enabled ? '' : ' (off)');
+            option.selected = name === this.configuringChannel;
+            channelSelect.appendChild(option);
+        });
+        
+        channelSelect.addEventListener('change', () => {
+            this.configuringChannel = channelSelect.value;
+            this.showGamepadSelectionUI();
+        });
+        
+        // Whether the pedal is read at all
+        const enabledLabel = document.createElement('label');
+        const enabledCheckbox = document.createElement('input');
+        enabledCheckbox.type = 'checkbox';
+        enabledCheckbox.id = 'channel-enabled';
+        enabledCheckbox.checked = channel.enabled;
+        // The game pedal is always read
+        enabledCheckbox.disabled = channel.name === this.primaryChannel;
+        enabledLabel.appendChild(enabledCheckbox);
+        enabledLabel.appendChild(document.createTextNode(' Enabled'));
+        
+        enabledCheckbox.addEventListener('change', () => {
+            this.setChannelEnabled(channel.name, enabledCheckbox.checked);
+            this.showGamepadSelectionUI();
+        });
+        
+        // Whether the game uses this pedal
+        const primaryLabel = document.createElement('label');
+        const primaryCheckbox = document.createElement('input');
+        primaryCheckbox.type = 'checkbox';
+        primaryCheckbox.id = 'channel-primary';
+        primaryCheckbox.checked = channel.name === this.primaryChannel;
+        primaryCheckbox.disabled = primaryCheckbox.checked;
+        primaryLabel.appendChild(primaryCheckbox);
+        primaryLabel.appendChild(document.createTextNode(' Use in game'));
+        
+        primaryCheckbox.addEventListener('change', () => {
+            this.setPrimaryChannel(channel.name);
+            this.showGamepadSelectionUI();
+        });
+        
+        channelDiv.appendChild(channelLabel);
+        channelDiv.appendChild(channelSelect);
+        channelDiv.appendChild(enabledLabel);
+        channelDiv.appendChild(primaryLabel);
+        container.appendChild(channelDiv);
+    }
+    
     /**
      * Create the axis selection UI with live testing
      * @param {HTMLElement} container - The container element
      */
     createAxisSelectionUI(container) {
-        // Get the active gamepad
+        // Stop live updates of a previously shown axis table
+        if (this.axisUpdateInterval) {
+            clearInterval(this.axisUpdateInterval);
+            this.axisUpdateInterval = null;
+        }
+        
+        // Get the gamepad of the pedal being configured
+        const channel = this.channels[this.configuringChannel];
+        const gamepadIndex = this.getChannelGamepadIndex(channel);
         const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
         let gamepad = null;
-        if (this.activeGamepad !== null && gamepads[this.activeGamepad] !== null) {
-            gamepad = gamepads[this.activeGamepad];
+        if (gamepadIndex !== null && gamepads[gamepadIndex]) {
+            gamepad = gamepads[gamepadIndex];
         }
         
         if (!gamepad) return;
@@ -183,18 +436,51 @@ class InputHandler {
         axisSection.style.marginTop = '15px';
         
         const axisHeading = document.createElement('h3');
-        axisHeading.textContent = 'Pedal Axis Configuration';
+        axisHeading.textContent = `${this.getChannelLabel(channel.name)} Axis Configuration`;
         axisHeading.style.marginBottom = '10px';
         axisSection.appendChild(axisHeading);
         
         // Instructions
         const instructions = document.createElement('p');
-        instructions.textContent = 'Press your pedal and observe which axis responds. Select that axis as your pedal input.';
+        instructions.textContent = 'Press your pedal and observe which axis responds. Select that axis as your pedal input, or let Detect Axis find it.';
         instructions.style.marginBottom = '15px';
         instructions.style.fontSize = '0.9em';
         instructions.style.fontStyle = 'italic';
         axisSection.appendChild(instructions);
         
+        // Automatic detection
+        const detectionDiv = document.createElement('div');
+        detectionDiv.classList.add('axis-detection');
+        
+        const detectButton = document.createElement('button');
+        detectButton.textContent = 'Detect Axis';
+        detectButton.classList.add('secondary-button');
+        detectButton.disabled = this.isDetectingAxis;
+        
+        const detectionResult = document.createElement('p');
+        detectionResult.classList.add('axis-detection-result');
+        detectionResult.textContent = this.axisDetectionMessage || '';
+        
+        detectButton.addEventListener('click', () => {
+            const channelName = channel.name;
+            detectButton.disabled = true;
+            detectButton.textContent = 'Detecting...';
+            detectionResult.textContent = `Press and release the ${this.getChannelLabel(channelName).toLowerCase()} pedal fully a few times.`;
+            
+            this.detectPedalAxis().then(result => {
+                this.applyDetectedAxis(channelName, result);
+                
+                // Rebuild the UI to show the detected axis
+                if (document.getElementById('device-selection-container')) {
+                    this.showGamepadSelectionUI();
+                }
+            });
+        });
+        
+        detectionDiv.appendChild(detectButton);
+        detectionDiv.appendChild(detectionResult);
+        axisSection.appendChild(detectionDiv);
+        
         // Create axis display table
         const axisTable = document.createElement('div');
         axisTable.classList.add('axis-table');
@@ -241,7 +527,7 @@ class InputHandler {
             valueBar.id = `axis-value-${i}`;
             valueBar.style.height = '100%';
             valueBar.style.width = '50%'; // Start at center
-            valueBar.style.backgroundColor = i === this.pedalAxis ? 'var(--primary-color)' : '#aaa';
+            valueBar.style.backgroundColor = i === channel.axis ? 'var(--primary-color)' : '#aaa';
             valueBar.style.transition = 'width 0.1s ease-out';
             valueBarContainer.appendChild(valueBar);
             
@@ -263,13 +549,18 @@ class InputHandler {
             
             // Select button
             const selectButton = document.createElement('button');
-            selectButton.textContent = i === this.pedalAxis ? 'Selected' : 'Select';
-            selectButton.classList.add(i === this.pedalAxis ? 'primary-button' : 'secondary-button');
+            selectButton.textContent = i === channel.axis ? 'Selected' : 'Select';
+            selectButton.classList.add(i === channel.axis ? 'primary-button' : 'secondary-button');
             selectButton.style.padding = '5px 10px';
             selectButton.style.fontSize = '0.8rem';
             
             selectButton.addEventListener('click', () => {
-                this.pedalAxis = i;
+                channel.axis = i;
+                
+                // Selecting an axis also ties the pedal to the gamepad it is on
+                channel.gamepadIndex = gamepadIndex;
+                channel.gamepadId = gamepad.id;
+                this.saveInputMapping();
                 
                 // Update all select buttons
                 const allButtons = axisTable.querySelectorAll('button');
@@ -301,15 +592,16 @@ class InputHandler {
         const reversalCheckbox = document.createElement('input');
         reversalCheckbox.type = 'checkbox';
         reversalCheckbox.id = 'axis-reversed';
-        reversalCheckbox.checked = this.pedalReversed;
+        reversalCheckbox.checked = channel.reversed;
         
         const reversalLabel = document.createElement('label');
-        reversalLabel.textContent = 'Reverse Axis (if pedal is inverted)';
+        reversalLabel.textContent = 'Reverse Axis (if pedal is inverted and not calibrated)';
         reversalLabel.htmlFor = 'axis-reversed';
         
         // Event listener for changing axis reversal
         reversalCheckbox.addEventListener('change', () => {
-            this.pedalReversed = reversalCheckbox.checked;
+            channel.reversed = reversalCheckbox.checked;
+            this.saveInputMapping();
         });
         
         reversalDiv.appendChild(reversalCheckbox);
@@ -321,9 +613,7 @@ class InputHandler {
         
         // Set up live updates of axis values
         this.axisUpdateInterval = setInterval(() => {
-            if (!this.activeGamepad) return;
-            
-            const gamepad = navigator.getGamepads()[this.activeGamepad];
+            const gamepad = navigator.getGamepads()[gamepadIndex];
             if (!gamepad) return;
             
             for (let i = 0; i < gamepad.axes.length; i++) {
@@ -339,10 +629,10 @@ class InputHandler {
                     
                     // Highlight when value changes significantly
                     if (Math.abs(value) > 0.5) {
-                        valueBar.style.backgroundColor = i === this.pedalAxis ? 
+                        valueBar.style.backgroundColor = i === channel.axis ? 
                             'var(--secondary-color)' : 'var(--warning-color)';
                     } else {
-                        valueBar.style.backgroundColor = i === this.pedalAxis ? 
+                        valueBar.style.backgroundColor = i === channel.axis ? 
                             'var(--primary-color)' : '#aaa';
                     }
                 }
@@ -351,204 +641,1127 @@ class InputHandler {
     }
     
     /**
-     * Enable gamepad input and disable keyboard input
+     * Watch every axis of every connected gamepad while the player presses a pedal
+     * @param {number} duration - How long to watch (ms)
+     * @returns {Promise<Object>} The axis with the biggest sweep (best, or null if nothing moved)
+     *          and the axes that look noisy or stuck (flagged)
      */
-    enableGamepadInput() {
-        this.keyboardEnabled = false;
-        this.updateDeviceStatus();
+    detectPedalAxis(duration = this.axisDetectionDuration) {
+        this.isDetectingAxis = true;
+        
+        // Raw values of each axis, keyed by "<gamepad index>#<axis>"
+        const samples = {};
+        
+        return new Promise(resolve => {
+            const endTime = performance.now() + duration;
+            
+            const timer = setInterval(() => {
+                const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+                
+                for (let g = 0; g < gamepads.length; g++) {
+                    const gamepad = gamepads[g];
+                    if (!gamepad) continue;
+                    
+                    gamepad.axes.forEach((value, axis) => {
+                        const key = `${gamepad.index}#${axis}`;
+                        if (!samples[key]) {
+                            samples[key] = { gamepadIndex: gamepad.index, gamepadId: gamepad.id, axis: axis, values: [] };
+                        }
+                        samples[key].values.push(value);
+                    });
+                }
+                
+                if (performance.now() < endTime) {
+                    return;
+                }
+                
+                clearInterval(timer);
+                this.isDetectingAxis = false;
+                
+                const axes = Object.keys(samples).map(key => ({
+                    ...samples[key],
+                    ...this.analyzeAxisSamples(samples[key].values)
+                }));
+                
+                // The pedal is the axis that moved the most, preferring axes that returned to rest
+                const candidates = axes
+                    .filter(axis => axis.sweep >= this.minDetectionSweep)
+                    .sort((a, b) => (a.stuck - b.stuck) || (b.sweep - a.sweep));
+                
+                resolve({
+                    best: candidates.length > 0 ? candidates[0] : null,
+                    flagged: axes.filter(axis => axis.noisy || axis.stuck)
+                });
+            }, this.axisDetectionInterval);
+        });
     }
     
     /**
-     * Enable keyboard input as a fallback
+     * Work out the travel and quality of an axis from its recorded values
+     * The player starts with the pedal released, so the end of the travel nearest
+     * the first value is the resting position
+     * @param {Array<number>} values - Raw axis values in recording order
+     * @returns {Object} sweep, rest, full, reversed, presses, noisy and stuck
      */
-    enableKeyboardInput() {
-        this.keyboardEnabled = true;
-        this.inputType = 'keyboard';
-        this.isConnected = true;
-        this.updateDeviceStatus();
+    analyzeAxisSamples(values) {
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const sweep = max - min;
         
-        // Reset the current position to 0 when switching to keyboard
-        this.currentPedalPosition = 0;
-        this.prevPedalPosition = 0;
+        const restIsMax = Math.abs(values[0] - max) < Math.abs(values[0] - min);
+        const rest = restIsMax ? max : min;
+        const full = restIsMax ? min : max;
         
-        // Start telemetry if it's not already running
-        if (App.telemetry && !App.telemetry.isRecording && App.state && App.state.currentState === 'gameScreen') {
-            App.telemetry.startRecording();
+        // Count presses as crossings past the middle of the travel
+        const middle = (min + max) / 2;
+        let presses = 0;
+        let pressed = false;
+        values.forEach(value => {
+            const isPressed = restIsMax ? value < middle : value > middle;
+            if (isPressed && !pressed) {
+                presses++;
+            }
+            pressed = isPressed;
+        });
+        
+        // Jitter: small changes that keep flipping direction
+        let jitter = 0;
+        let lastDelta = 0;
+        for (let i = 1; i < values.length; i++) {
+            const delta = values[i] - values[i - 1];
+            if (delta === 0) continue;
+            
+            if (Math.abs(delta) < 0.02 && lastDelta !== 0 && Math.sign(delta) !== Math.sign(lastDelta)) {
+                jitter++;
+            }
+            lastDelta = delta;
         }
+        
+        return {
+            sweep: sweep,
+            rest: rest,
+            full: full,
+            reversed: restIsMax,
+            presses: sweep >= this.minDetectionSweep ? presses : 0,
+            noisy: values.length > 1 && jitter / (values.length - 1) > 0.2,
+            // Pressed, but didn't come back to rest at the end
+            stuck: sweep >= this.minDetectionSweep && Math.abs(values[values.length - 1] - rest) > sweep * 0.1
+        };
     }
     
     /**
-     * Start the input update loop
+     * Map a pedal channel to a detected axis and save its calibration
+     * @param {string} channelName - The channel name
+     * @param {Object} result - Result of detectPedalAxis
      */
-    startUpdateLoop() {
-        // Define the update function
-        const updateInputs = () => {
-            this.update();
-            requestAnimationFrame(updateInputs);
-        };
+    applyDetectedAxis(channelName, result) {
+        const channel = this.channels[channelName];
+        const best = result.best;
+        const messages = [];
+        
+        if (best) {
+            channel.gamepadIndex = best.gamepadIndex;
+            channel.gamepadId = best.gamepadId;
+            channel.axis = best.axis;
+            channel.reversed = best.reversed;
+            
+            // The game pedal's device also becomes the default device
+            if (channelName === this.primaryChannel) {
+                this.activeGamepad = best.gamepadIndex;
+                this.inputType = 'gamepad';
+                this.isConnected = true;
+            }
+            
+            this.saveInputMapping();
+            this.updateDeviceStatus();
+            
+            try {
+                Calibration.saveCalibration(best.gamepadId, best.axis, {
+                    rest: best.rest,
+                    full: best.full,
+                    innerDeadzone: 0,
+                    outerDeadzone: 0
+                });
+            } catch (error) {
+                console.error("Failed to save detected calibration:", error);
+            }
+            
+            messages.push(`Detected axis ${best.axis} on ${best.gamepadId} ` +
+                `(${best.reversed ? 'reversed' : 'normal'} direction, ${best.presses} press${best.presses === 1 ? '' : 'es'}).`);
+            
+            if (best.presses < 2) {
+                messages.push('Only one press was seen, so check the result or run the detection again.');
+            }
+        } else {
+            messages.push('No pedal movement was detected. Press the pedal all the way down during the detection.');
+        }
+        
+        result.flagged.forEach(axis => {
+            messages.push(axis.stuck ?
+                `Axis ${axis.axis} on ${axis.gamepadId} didn't return to rest and may be sticking.` :
+                `Axis ${axis.axis} on ${axis.gamepadId} looks noisy.`);
+        });
         
-        // Start the loop
-        requestAnimationFrame(updateInputs);
+        this.axisDetectionMessage = messages.join(' ');
+        console.log(`Axis detection: ${this.axisDetectionMessage}`);
     }
     
     /**
-     * Update input states (called on each animation frame)
+     * Get the localStorage key for the active driver profile's input mapping
+     * @returns {string} The storage key
      */
-    update() {
-        // Update gamepad state if using gamepad
-        if (this.inputType === 'gamepad' && this.activeGamepad) {
-            this.updateGamepadState();
+    getMappingStorageKey() {
+        const baseKey = 'pedal_training_input';
+        return typeof Profiles !== 'undefined' ? Profiles.scopedKey(baseKey) : baseKey;
+    }
+    
+    /**
+     * Save the pedal channel mapping to localStorage
+     * @param {boolean} rememberDevices - Whether to also remember the mapping for each device in use
+     */
+    saveInputMapping(rememberDevices = true) {
+        try {
+            const mapping = {
+                primaryChannel: this.primaryChannel,
+                channels: {}
+            };
+            
+            this.channelNames.forEach(name => {
+                const channel = this.channels[name];
+                mapping.channels[name] = {
+                    enabled: channel.enabled,
+                    gamepadId: channel.gamepadId,
+                    axis: channel.axis,
+                    reversed: channel.reversed
+                };
+            });
+            
+            localStorage.setItem(this.getMappingStorageKey(), JSON.stringify(mapping));
+        } catch (error) {
+            console.error("Failed to save input mapping:", error);
         }
         
-        // Update keyboard input if enabled
-        if (this.inputType === 'keyboard' && this.keyboardEnabled) {
-            this.updateKeyboardInput();
+        if (rememberDevices) {
+            this.saveDeviceMappings();
         }
-        
-        // Apply smoothing to pedal position
-        this.smoothPedalPosition();
     }
     
     /**
-     * Update the gamepad state
+     * Load the pedal channel mapping from localStorage
+     * Profiles without a saved mapping use the default channel settings
      */
-    updateGamepadState() {
-        // Get fresh gamepad data
-        const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+    loadInputMapping() {
+        // Defaults
+        this.channelNames.forEach(name => {
+            this.channels[name] = this.createChannel(name);
+        });
+        this.primaryChannel = 'throttle';
+        this.configuringChannel = 'throttle';
         
-        // Find our active gamepad
-        let gamepad = null;
-        if (this.activeGamepad !== null && gamepads[this.activeGamepad] !== null) {
-            gamepad = gamepads[this.activeGamepad];
+        try {
+            const saved = localStorage.getItem(this.getMappingStorageKey());
+            if (saved) {
+                const mapping = JSON.parse(saved);
+                
+                // Mappings saved before multi-pedal support describe a single pedal
+                if (!mapping.channels) {
+                    this.applyChannelMapping(this.channels.throttle, {
+                        axis: mapping.pedalAxis,
+                        reversed: mapping.pedalReversed
+                    });
+                } else {
+                    this.channelNames.forEach(name => {
+                        this.applyChannelMapping(this.channels[name], mapping.channels[name]);
+                    });
+                    
+                    // The game pedal is always read
+                    if (this.channels[mapping.primaryChannel]) {
+                        this.primaryChannel = mapping.primaryChannel;
+                        this.configuringChannel = mapping.primaryChannel;
+                        this.channels[mapping.primaryChannel].enabled = true;
+                    }
+                }
+                
+                console.log(`Input mapping loaded (${this.getEnabledChannels().map(channel => channel.name).join(', ')})`);
+            }
+        } catch (error) {
+            console.error("Failed to load input mapping:", error);
         }
         
-        // If we have a gamepad, read its values
-        if (gamepad) {
-            // Store all axis values for display in the UI
-            this.axisValues = [];
-            for (let i = 0; i < gamepad.axes.length; i++) {
-                this.axisValues.push(gamepad.axes[i]);
-            }
-            
-            // Read the pedal axis
-            this.rawPedalValue = gamepad.axes[this.pedalAxis];
-            
-            // Convert to 0-100% range
-            let normalizedValue;
-            if (this.pedalReversed) {
-                // Reversed axis (1 = released, -1 = pressed)
-                normalizedValue = (1 - this.rawPedalValue) * 50;
-            } else {
-                // Normal axis (-1 = released, 1 = pressed)
-                normalizedValue = (this.rawPedalValue + 1) * 50;
-            }
-            
-            // Clamp to 0-100 range
-            this.currentPedalPosition = Math.max(0, Math.min(100, normalizedValue));
+        // Find the saved devices among the connected gamepads
+        this.resolveChannelGamepads();
+        
+        // Devices remember their own mapping, which applies to every profile
+        this.restoredDeviceIds = [];
+        this.applyDeviceMappings();
+        
+        // Refresh the axis selection if it is being shown
+        if (document.getElementById('device-selection-container') && this.activeGamepad !== null) {
+            this.showGamepadSelectionUI();
         }
     }
     
     /**
-     * Update keyboard input state
+     * Apply saved mapping values to a channel, ignoring invalid values
+     * @param {Object} channel - The channel state
+     * @param {Object} mapping - Saved mapping values (enabled, gamepadId, axis, reversed)
      */
-    updateKeyboardInput() {
-        // Adjust pedal position based on which keys are pressed
-        if (this.keysPressedState.ArrowUp) {
-            this.currentPedalPosition += this.keyboardIncrement;
+    applyChannelMapping(channel, mapping) {
+        if (!mapping || typeof mapping !== 'object') {
+            return;
         }
         
-        if (this.keysPressedState.ArrowDown) {
-            this.currentPedalPosition -= this.keyboardIncrement;
+        if (typeof mapping.enabled === 'boolean') {
+            channel.enabled = mapping.enabled;
         }
-        
-        // Clamp to 0-100 range
-        this.currentPedalPosition = Math.max(0, Math.min(100, this.currentPedalPosition));
-        
-        // Make sure telemetry is recording when keyboard is active
-        if (this.keyboardEnabled && App.telemetry && App.state && 
-            App.state.currentState === 'gameScreen' && !App.telemetry.isRecording) {
-            App.telemetry.startRecording();
+        if (typeof mapping.gamepadId === 'string') {
+            channel.gamepadId = mapping.gamepadId;
+        }
+        if (Number.isInteger(mapping.axis) && mapping.axis >= 0) {
+            channel.axis = mapping.axis;
+        }
+        if (typeof mapping.reversed === 'boolean') {
+            channel.reversed = mapping.reversed;
         }
     }
     
     /**
-     * Apply smoothing to the pedal position
+     * Link each channel to the connected gamepad it was mapped to
+     * Channels whose gamepad isn't connected fall back to the active gamepad
      */
-    smoothPedalPosition() {
-        // Apply smoothing if enabled
-        if (this.smoothingFactor > 0) {
-            this.currentPedalPosition = this.prevPedalPosition * this.smoothingFactor + 
-                                        this.currentPedalPosition * (1 - this.smoothingFactor);
-        }
-        
-        // Store current position for next frame
-        this.prevPedalPosition = this.currentPedalPosition;
+    resolveChannelGamepads() {
+        this.channelNames.forEach(name => {
+            const channel = this.channels[name];
+            channel.gamepadIndex = null;
+            
+            if (channel.gamepadId) {
+                const index = Object.keys(this.gamepads).find(key => this.gamepads[key].id === channel.gamepadId);
+                if (index !== undefined) {
+                    channel.gamepadIndex = parseInt(index);
+                }
+            }
+        });
     }
     
     /**
-     * Handle gamepad connected event
-     * @param {GamepadEvent} event - The gamepad connection event
+     * Get the mappings remembered per device
+     * @returns {Object} Mappings keyed by gamepad id ({ channels: { name: { enabled, axis, reversed } }, savedAt })
      */
-    onGamepadConnected(event) {
-        console.log(`Gamepad connected: ${event.gamepad.id}`);
-        
-        // Store reference to the connected gamepad
-        this.gamepads[event.gamepad.index] = event.gamepad;
-        
-        // If we don't have an active gamepad, use this one
-        if (this.activeGamepad === null) {
-            this.activeGamepad = event.gamepad.index;
-            this.inputType = 'gamepad';
-            this.isConnected = true;
+    getDeviceMappings() {
+        if (this.deviceMappings) {
+            return this.deviceMappings;
         }
         
-        // Update device status display
-        this.updateDeviceStatus();
-        
-        // Update gamepad selection UI if visible
-        if (document.getElementById('device-selection-container')) {
-            this.showGamepadSelectionUI();
+        this.deviceMappings = {};
+        try {
+            const saved = localStorage.getItem(this.deviceMappingStorageKey);
+            const mappings = saved ? JSON.parse(saved) : {};
+            
+            Object.keys(mappings || {}).forEach(id => {
+                if (mappings[id] && typeof mappings[id].channels === 'object') {
+                    this.deviceMappings[id] = mappings[id];
+                }
+            });
+        } catch (error) {
+            console.error("Failed to load device mappings:", error);
         }
+        
+        return this.deviceMappings;
     }
     
     /**
-     * Handle gamepad disconnected event
-     * @param {GamepadEvent} event - The gamepad disconnection event
+     * Remember the current mapping of every device that enabled pedals read from
      */
-    onGamepadDisconnected(event) {
-        console.log(`Gamepad disconnected: ${event.gamepad.id}`);
+    saveDeviceMappings() {
+        const mappings = this.getDeviceMappings();
+        const byDevice = {};
         
-        // Remove reference to the disconnected gamepad
-        delete this.gamepads[event.gamepad.index];
-        
-        // If this was the active gamepad, find another one
-        if (this.activeGamepad === event.gamepad.index) {
-            // Look for another connected gamepad
-            const gamepadIndices = Object.keys(this.gamepads);
-            if (gamepadIndices.length > 0) {
-                this.activeGamepad = parseInt(gamepadIndices[0]);
-            } else {
-                this.activeGamepad = null;
-                this.inputType = this.keyboardEnabled ? 'keyboard' : 'none';
-                this.isConnected = this.keyboardEnabled;
+        this.getEnabledChannels().forEach(channel => {
+            const gamepadIndex = this.getChannelGamepadIndex(channel);
+            const gamepad = gamepadIndex !== null ? this.gamepads[gamepadIndex] : null;
+            if (!gamepad) {
+                return;
             }
-        }
+            
+            byDevice[gamepad.id] = byDevice[gamepad.id] || {};
+            byDevice[gamepad.id][channel.name] = {
+                enabled: true,
+                axis: channel.axis,
+                reversed: channel.reversed
+            };
+        });
         
-        // Update device status display
-        this.updateDeviceStatus();
+        Object.keys(byDevice).forEach(id => {
+            mappings[id] = { channels: byDevice[id], savedAt: new Date().toISOString() };
+        });
         
-        // Update gamepad selection UI if visible
-        if (document.getElementById('device-selection-container')) {
-            this.showGamepadSelectionUI();
+        try {
+            localStorage.setItem(this.deviceMappingStorageKey, JSON.stringify(mappings));
+        } catch (error) {
+            console.error("Failed to save device mappings:", error);
         }
     }
     
     /**
-     * Handle key down event
-     * @param {KeyboardEvent} event - The key down event
+     * Apply the remembered mappings of the connected gamepads
+     * A remembered pedal is restored if it isn't already mapped to another device
      */
-    onKeyDown(event) {
-        // Only handle arrow keys
+    applyDeviceMappings() {
+        const mappings = this.getDeviceMappings();
+        let applied = false;
+        
+        Object.keys(this.gamepads).forEach(index => {
+            const gamepad = this.gamepads[index];
+            const mapping = mappings[gamepad.id];
+            if (!mapping || this.restoredDeviceIds.includes(gamepad.id)) {
+                return;
+            }
+            
+            const restored = Object.keys(mapping.channels).filter(name => {
+                const channel = this.channels[name];
+                const readsDevice = channel && (channel.gamepadId === gamepad.id ||
+                    (channel.gamepadId === null && this.activeGamepad === parseInt(index)));
+                if (!readsDevice) {
+                    return false;
+                }
+                
+                this.applyChannelMapping(channel, mapping.channels[name]);
+                channel.gamepadId = gamepad.id;
+                return true;
+            });
+            
+            if (restored.length > 0) {
+                this.restoredDeviceIds.push(gamepad.id);
+                applied = true;
+                console.log(`Saved mapping applied for ${gamepad.id} (${restored.join(', ')})`);
+            }
+        });
+        
+        if (applied) {
+            this.resolveChannelGamepads();
+            this.saveInputMapping(false);
+        }
+    }
+    
+    /**
+     * Forget the remembered mapping of a device
+     * Pedals on the device go back to the default axis settings
+     * @param {string} gamepadId - The gamepad's id string
+     */
+    forgetDeviceMapping(gamepadId) {
+        const mappings = this.getDeviceMappings();
+        delete mappings[gamepadId];
+        
+        try {
+            localStorage.setItem(this.deviceMappingStorageKey, JSON.stringify(mappings));
+        } catch (error) {
+            console.error("Failed to save device mappings:", error);
+        }
+        
+        this.restoredDeviceIds = this.restoredDeviceIds.filter(id => id !== gamepadId);
+        
+        this.channelNames.forEach(name => {
+            const channel = this.channels[name];
+            if (channel.gamepadId === gamepadId) {
+                channel.axis = this.defaultAxes[name];
+                channel.reversed = true;
+            }
+        });
+        
+        this.saveInputMapping(false);
+        this.updateDeviceStatus();
+        
+        if (document.getElementById('device-selection-container')) {
+            this.showGamepadSelectionUI();
+        }
+        
+        console.log(`Saved mapping forgotten for ${gamepadId}`);
+    }
+    
+    /**
+     * Get the index of the gamepad a channel reads from
+     * @param {Object} channel - The channel state
+     * @returns {number|null} The gamepad index, or null if there is none or the channel's
+     *     own device is not connected
+     */
+    getChannelGamepadIndex(channel) {
+        if (channel.gamepadIndex !== null) {
+            return channel.gamepadIndex;
+        }
+        
+        // A pedal bound to a device that is not connected has no gamepad
+        return channel.gamepadId ? null : this.activeGamepad;
+    }
+    
+    /**
+     * Forget the devices lost during a game, e.g. when the player quits while waiting for them
+     */
+    clearLostDevices() {
+        this.lostDeviceIds.clear();
+        this.lostActiveDeviceId = null;
+    }
+    
+    /**
+     * Get the pedals the running game reads
+     * @returns {Array<string>} Channel names: the game's pedal, the pedals the game mode requires
+     *     and the pedals of the parts of a compound target
+     */
+    getGameChannels() {
+        const mode = App.gameLoop ? App.gameLoop.gameMode : null;
+        const compoundTarget = App.gameLoop ? App.gameLoop.compoundTarget : null;
+        const names = [this.primaryChannel]
+            .concat(mode && mode.requiredChannels ? mode.requiredChannels : [])
+            .concat(compoundTarget ? compoundTarget.parts.map(part => part.channel) : []);
+        return names.filter((name, index) => names.indexOf(name) === index);
+    }
+    
+    /**
+     * Get the channels that are currently read
+     * @returns {Array<Object>} Enabled channel states
+     */
+    getEnabledChannels() {
+        return this.channelNames
+            .map(name => this.channels[name])
+            .filter(channel => channel.enabled);
+    }
+    
+    /**
+     * Enable or disable a pedal channel
+     * The primary channel can't be disabled
+     * @param {string} name - The channel name
+     * @param {boolean} enabled - Whether the channel should be read
+     */
+    setChannelEnabled(name, enabled) {
+        const channel = this.channels[name];
+        if (!channel || (name === this.primaryChannel && !enabled)) {
+            return;
+        }
+        
+        channel.enabled = enabled;
+        if (!enabled) {
+            channel.position = 0;
+            channel.prevPosition = 0;
+            channel.unfilteredPosition = 0;
+            this.filterChains[name].reset();
+        }
+        
+        this.saveInputMapping();
+    }
+    
+    /**
+     * Choose the channel used by the game (and controlled by the keyboard)
+     * @param {string} name - The channel name
+     */
+    setPrimaryChannel(name) {
+        if (!this.channels[name]) {
+            return;
+        }
+        
+        this.primaryChannel = name;
+        this.channels[name].enabled = true;
+        this.saveInputMapping();
+    }
+    
+    /**
+     * Get the display name of a channel
+     * @param {string} name - The channel name
+     * @returns {string} The display name
+     */
+    getChannelLabel(name) {
+        return name.charAt(0).toUpperCase() + name.slice(1);
+    }
+    
+    /**
+     * Enable gamepad input and disable keyboard input
+     */
+    enableGamepadInput() {
+        this.keyboardEnabled = false;
+        this.pointerEnabled = false;
+        this.syntheticEnabled = false;
+        this.disableWebSocketInput();
+        if (this.activeGamepad !== null) {
+            this.inputType = 'gamepad';
+            this.isConnected = true;
+        }
+        this.updateDeviceStatus();
+    }
+    
+    /**
+     * Enable keyboard input as a fallback
+     */
+    enableKeyboardInput() {
+        this.keyboardEnabled = true;
+        this.pointerEnabled = false;
+        this.syntheticEnabled = false;
+        this.disableWebSocketInput();
+        this.inputType = 'keyboard';
+        this.isConnected = true;
+        this.updateDeviceStatus();
+        
+        // Reset the current position to 0 when switching to keyboard
+        this.channels[this.primaryChannel].unfilteredPosition = 0;
+        this.filterChains[this.primaryChannel].reset();
+        this.currentPedalPosition = 0;
+        this.prevPedalPosition = 0;
+        this.keyboardVelocity = 0;
+        
+        // Start telemetry if it's not already running
+        if (App.telemetry && !App.telemetry.isRecording && App.state && App.state.currentState === 'gameScreen') {
+            App.telemetry.startRecording();
+        }
+    }
+    
+    /**
+     * Enable mouse, touch and pen input on the on-screen pedal
+     */
+    enablePointerInput() {
+        if (!this.pointerInput) {
+            console.error("Pointer input is not available");
+            return;
+        }
+        
+        this.pointerEnabled = true;
+        this.keyboardEnabled = false;
+        this.syntheticEnabled = false;
+        this.disableWebSocketInput();
+        this.inputType = 'pointer';
+        this.isConnected = true;
+        this.updateDeviceStatus();
+        
+        // Start from 0 unless the control is being dragged right now
+        if (this.pointerInput.pointerId === null) {
+            this.pointerInput.reset();
+        }
+        this.channels[this.primaryChannel].unfilteredPosition = this.pointerInput.getPosition();
+        this.filterChains[this.primaryChannel].reset();
+    }
+    
+    /**
+     * Ask for the address of the WebSocket bridge and connect to it
+     */
+    promptWebSocketInput() {
+        const url = prompt("WebSocket bridge address:", Config.websocket_url);
+        if (url === null) {
+            return;
+        }
+        
+        const validUrl = Config.validateValue('websocket_url', url.trim());
+        if (validUrl === undefined) {
+            alert("Please enter a WebSocket address such as ws://localhost:8765");
+            return;
+        }
+        
+        Config.websocket_url = validUrl;
+        Config.saveToStorage();
+        this.enableWebSocketInput();
+    }
+    
+    /**
+     * Enable input from the WebSocket bridge at the configured address
+     */
+    enableWebSocketInput() {
+        if (!this.websocketInput) {
+            console.error("WebSocket input is not available");
+            return;
+        }
+        
+        this.websocketEnabled = true;
+        this.keyboardEnabled = false;
+        this.pointerEnabled = false;
+        this.syntheticEnabled = false;
+        this.inputType = 'websocket';
+        this.isConnected = false;   // Until frames arrive
+        
+        // Start every pedal from 0
+        this.channelNames.forEach(name => {
+            this.channels[name].unfilteredPosition = 0;
+            if (this.filterChains[name]) {
+                this.filterChains[name].reset();
+            }
+        });
+        
+        this.websocketInput.connect(Config.websocket_url);
+        this.updateDeviceStatus();
+    }
+    
+    /**
+     * Close the WebSocket bridge connection when switching to another input
+     */
+    disableWebSocketInput() {
+        if (!this.websocketEnabled) {
+            return;
+        }
+        
+        this.websocketEnabled = false;
+        this.websocketInput.disconnect();
+    }
+    
+    /**
+     * Update the pedals from the WebSocket bridge
+     * Pedals drop to 0 while the bridge is disconnected or its data is stale
+     * @param {number} time - Sample timestamp from performance.now()
+     */
+    updateWebSocketInput(time) {
+        this.websocketInput.checkStale(time);
+        
+        this.channelNames.forEach(name => {
+            const value = this.websocketInput.getValue(name);
+            this.channels[name].unfilteredPosition = value !== null
+                ? ResponseCurves.apply(value, ResponseCurves.getCurve(name))
+                : 0;
+        });
+    }
+    
+    /**
+     * Ask which test signal to play and start it
+     */
+    promptSyntheticInput() {
+        const names = Object.keys(SyntheticInput.signals).join(', ');
+        const signal = prompt(`Test signal (${names}):`, Config.synthetic_signal);
+        if (signal === null) {
+            return;
+        }
+        
+        const validSignal = Config.validateValue('synthetic_signal', signal.trim().toLowerCase());
+        if (validSignal === undefined) {
+            alert(`Please choose one of: ${names}`);
+            return;
+        }
+        
+        Config.synthetic_signal = validSignal;
+        Config.saveToStorage();
+        this.enableSyntheticInput(validSignal);
+    }
+    
+    /**
+     * Enable a generated pedal signal
+     * @param {string} signal - The signal (a key of SyntheticInput.signals)
+     */
+    enableSyntheticInput(signal) {
+        if (!this.syntheticInput) {
+            console.error("Synthetic input is not available");
+            return;
+        }
+        
+        this.syntheticEnabled = true;
+        this.keyboardEnabled = false;
+        this.pointerEnabled = false;
+        this.disableWebSocketInput();
+        this.inputType = 'synthetic';
+        this.isConnected = true;
+        
+        this.syntheticInput.start(signal);
+        this.channels[this.primaryChannel].unfilteredPosition = 0;
+        this.filterChains[this.primaryChannel].reset();
+        this.updateDeviceStatus();
+    }
+    
+    /**
+     * Let the bot drive the pedal for a demo, remembering the current input
+     */
+    startDemoInput() {
+        if (this.inputTypeBeforeDemo === null) {
+            this.inputTypeBeforeDemo = this.inputType;
+        }
+        this.enableSyntheticInput('bot');
+    }
+    
+    /**
+     * Go back to the input used before the demo
+     */
+    endDemoInput() {
+        const previousType = this.inputTypeBeforeDemo;
+        if (previousType === null) {
+            return;
+        }
+        this.inputTypeBeforeDemo = null;
+        
+        switch (previousType) {
+            case 'gamepad':
+                this.enableGamepadInput();
+                break;
+            case 'keyboard':
+                this.enableKeyboardInput();
+                break;
+            case 'pointer':
+                this.enablePointerInput();
+                break;
+            case 'websocket':
+                this.enableWebSocketInput();
+                break;
+            case 'synthetic':
+                this.enableSyntheticInput(Config.synthetic_signal);
+                break;
+            default:
+                this.syntheticEnabled = false;
+                this.inputType = 'none';
+                this.isConnected = false;
+        }
+        
+        this.updateDeviceStatus();
+    }
+    
+    /**
+     * Update input states (called by the InputSampler for every sample)
+     * @param {number} time - Sample timestamp from performance.now()
+     */
+    update(time = performance.now()) {
+        const deltaTime = this.lastUpdateTime !== null ? (time - this.lastUpdateTime) / 1000 : 0;
+        this.lastUpdateTime = time;
+        
+        // Update gamepad state if using gamepad
+        if (this.inputType === 'gamepad' && this.activeGamepad !== null) {
+            this.updateGamepadState();
+        }
+        
+        // Update keyboard input if enabled
+        if (this.inputType === 'keyboard' && this.keyboardEnabled) {
+            this.updateKeyboardInput(deltaTime);
+        }
+        
+        // Update pointer input if enabled
+        if (this.inputType === 'pointer' && this.pointerEnabled) {
+            this.channels[this.primaryChannel].unfilteredPosition = this.pointerInput.getPosition();
+        }
+        
+        // Update WebSocket input if enabled
+        if (this.inputType === 'websocket' && this.websocketEnabled) {
+            this.updateWebSocketInput(time);
+        }
+        
+        // Update synthetic input if enabled
+        if (this.inputType === 'synthetic' && this.syntheticEnabled) {
+            this.channels[this.primaryChannel].unfilteredPosition = this.syntheticInput.update(time);
+        }
+        
+        // Filter the pedal positions
+        this.filterPedalPositions(time);
+    }
+    
+    /**
+     * Update the gamepad state
+     */
+    updateGamepadState() {
+        // Get fresh gamepad data
+        const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+        
+        // Store all axis values of the active gamepad for display in the UI
+        const activeGamepad = gamepads[this.activeGamepad];
+        if (activeGamepad) {
+            this.axisValues = [];
+            for (let i = 0; i < activeGamepad.axes.length; i++) {
+                this.axisValues.push(activeGamepad.axes[i]);
+            }
+        }
+        
+        // Read each enabled pedal from its own gamepad
+        this.getEnabledChannels().forEach(channel => {
+            const gamepadIndex = this.getChannelGamepadIndex(channel);
+            const gamepad = gamepadIndex !== null ? gamepads[gamepadIndex] : null;
+            
+            if (!gamepad || channel.axis >= gamepad.axes.length) {
+                return;
+            }
+            
+            channel.rawValue = gamepad.axes[channel.axis];
+            channel.rawTimestamp = gamepad.timestamp;
+            const calibrated = Calibration.normalize(channel.rawValue, this.getChannelCalibration(channel, gamepad));
+            channel.unfilteredPosition = ResponseCurves.apply(calibrated, ResponseCurves.getCurve(channel.name));
+        });
+    }
+    
+    /**
+     * Get the calibration used to normalize a channel
+     * Axes without a saved calibration are assumed to cover the full -1 to 1 range
+     * @param {Object} channel - The channel state
+     * @param {Gamepad} gamepad - The gamepad the channel reads from
+     * @returns {Object} The calibration
+     */
+    getChannelCalibration(channel, gamepad) {
+        const saved = gamepad ? Calibration.getCalibration(gamepad.id, channel.axis) : null;
+        return saved || Calibration.createDefault(channel.reversed);
+    }
+    
+    /**
+     * Get the gamepad a channel currently reads from
+     * @param {string} name - The channel name
+     * @returns {Gamepad|null} The gamepad, or null if it isn't connected
+     */
+    getChannelGamepad(name) {
+        const channel = this.channels[name];
+        const gamepadIndex = channel ? this.getChannelGamepadIndex(channel) : null;
+        if (gamepadIndex === null) {
+            return null;
+        }
+        
+        const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+        return gamepads[gamepadIndex] || null;
+    }
+    
+    /**
+     * Update keyboard input state
+     * The keyboard behaves like a sprung pedal: holding up presses it with increasing speed,
+     * holding down eases off, holding both keeps the position, and with no key held the
+     * pedal returns to 0. Number keys hold the pedal at a fixed position.
+     * @param {number} deltaTime - Time since the previous update (seconds)
+     */
+    updateKeyboardInput(deltaTime) {
+        // The keys move the unfiltered position, which is filtered like pedal input
+        const channel = this.channels[this.primaryChannel];
+        const pressing = this.keysPressedState.ArrowUp;
+        const easing = this.keysPressedState.ArrowDown;
+        
+        if (this.keyboardJumpKey !== null) {
+            // A number key is held: jump to its position
+            channel.unfilteredPosition = this.getJumpPosition(this.keyboardJumpKey);
+            this.keyboardVelocity = 0;
+        } else if (pressing !== easing) {
+            // Speed up in the held direction (starting from rest when the direction changes)
+            const direction = pressing ? 1 : -1;
+            const fineFactor = this.keysPressedState.fine ? Config.keyboard_fine_factor : 1;
+            const maxSpeed = Config.keyboard_max_speed * fineFactor;
+            
+            if (Math.sign(this.keyboardVelocity) !== direction) {
+                this.keyboardVelocity = 0;
+            }
+            this.keyboardVelocity += direction * Config.keyboard_press_acceleration * fineFactor * deltaTime;
+            this.keyboardVelocity = Math.max(-maxSpeed, Math.min(maxSpeed, this.keyboardVelocity));
+            
+            channel.unfilteredPosition += this.keyboardVelocity * deltaTime;
+        } else if (pressing) {
+            // Both keys held: keep the position
+            this.keyboardVelocity = 0;
+        } else {
+            // No key held: the spring returns the pedal to 0
+            this.keyboardVelocity = 0;
+            channel.unfilteredPosition -= Config.keyboard_release_rate * deltaTime;
+        }
+        
+        // Clamp to 0-100 range
+        channel.unfilteredPosition = Math.max(0, Math.min(100, channel.unfilteredPosition));
+        
+        // Make sure telemetry is recording when keyboard is active
+        if (this.keyboardEnabled && App.telemetry && App.state && 
+            App.state.currentState === 'gameScreen' && !App.telemetry.isRecording) {
+            App.telemetry.startRecording();
+        }
+    }
+    
+    /**
+     * Run each enabled channel's unfiltered position through its filter chain
+     * @param {number} time - Sample timestamp from performance.now()
+     */
+    filterPedalPositions(time) {
+        this.getEnabledChannels().forEach(channel => {
+            // Store the position of the previous frame
+            channel.prevPosition = channel.position;
+            
+            const chain = this.filterChains[channel.name];
+            channel.position = chain ? chain.process(channel.unfilteredPosition, time) : channel.unfilteredPosition;
+        });
+    }
+    
+    /**
+     * Build the filter chains from the configuration
+     * Call again after the filter settings change
+     */
+    configureFilters() {
+        this.channelNames.forEach(name => {
+            this.filterChains[name] = InputFilters.createChain(Config.input_filter_chain);
+        });
+    }
+    
+    /**
+     * Check whether the player chose an input that gamepads shouldn't take over
+     * Gamepads that connect meanwhile are still registered for when the player switches back
+     * @returns {boolean} True while the WebSocket bridge or the synthetic input is in use
+     */
+    hasSelectedSource() {
+        return this.websocketEnabled || this.syntheticEnabled;
+    }
+    
+    /**
+     * Check whether pressing a pedal key should switch the input to the keyboard
+     * Only the on-screen inputs give way; a gamepad, the WebSocket bridge or the synthetic input keep the pedal
+     * @returns {boolean} True if the keyboard can take over
+     */
+    canSwitchToKeyboard() {
+        return !this.keyboardEnabled && (this.inputType === 'none' || this.inputType === 'keyboard' || this.inputType === 'pointer');
+    }
+    
+    /**
+     * Whether using the on-screen pedal should make it the input
+     * Like the keyboard, it only takes over from no input or the keyboard
+     * @returns {boolean} True if the on-screen pedal can take over
+     */
+    canSwitchToPointer() {
+        return !this.pointerEnabled && (this.inputType === 'none' || this.inputType === 'keyboard');
+    }
+    
+    /**
+     * Handle gamepad connected event
+     * @param {GamepadEvent} event - The gamepad connection event
+     */
+    onGamepadConnected(event) {
+        console.log(`Gamepad connected: ${event.gamepad.id}`);
+        
+        // Store reference to the connected gamepad
+        this.gamepads[event.gamepad.index] = event.gamepad;
+        
+        // A pedal lost during a game is back: read from it again
+        const isLostDevice = this.lostDeviceIds.has(event.gamepad.id);
+        if (isLostDevice) {
+            this.lostDeviceIds.delete(event.gamepad.id);
+            if (this.lostActiveDeviceId === event.gamepad.id) {
+                this.lostActiveDeviceId = null;
+                this.activeGamepad = event.gamepad.index;
+            }
+            this.inputType = 'gamepad';
+            this.isConnected = true;
+        }
+        
+        // If we don't have an active gamepad, use this one
+        if (this.activeGamepad === null) {
+            this.activeGamepad = event.gamepad.index;
+            if (!this.hasSelectedSource()) {
+                this.inputType = 'gamepad';
+                this.isConnected = true;
+            }
+        }
+        
+        // Reconnect pedals that were mapped to this device
+        this.resolveChannelGamepads();
+        
+        // Restore the mapping remembered for this device
+        this.applyDeviceMappings();
+        
+        // Update device status display
+        this.updateDeviceStatus();
+        
+        // Continue the paused game once every lost pedal is back, without a jump from the values read before the disconnect
+        if (isLostDevice && App.gameLoop) {
+            Object.values(this.filterChains).forEach(chain => chain.reset());
+            if (this.lostDeviceIds.size === 0) {
+                App.gameLoop.handleInputRestored();
+            } else {
+                App.gameLoop.handleInputLost([...this.lostDeviceIds].join(', '));
+            }
+        }
+        
+        // Update gamepad selection UI if visible
+        if (document.getElementById('device-selection-container')) {
+            this.showGamepadSelectionUI();
+        }
+    }
+    
+    /**
+     * Handle gamepad disconnected event
+     * @param {GamepadEvent} event - The gamepad disconnection event
+     */
+    onGamepadDisconnected(event) {
+        console.log(`Gamepad disconnected: ${event.gamepad.id}`);
+        
+        // Check whether a pedal the game reads was on this device before the references change
+        const lostGamePedal = this.inputType === 'gamepad' && this.getGameChannels()
+            .some(name => this.getChannelGamepadIndex(this.channels[name]) === event.gamepad.index);
+        const wasActiveGamepad = this.activeGamepad === event.gamepad.index;
+        
+        // Remove reference to the disconnected gamepad
+        delete this.gamepads[event.gamepad.index];
+        
+        // Restore its mapping again when it comes back
+        this.restoredDeviceIds = this.restoredDeviceIds.filter(id => id !== event.gamepad.id);
+        
+        // If this was the active gamepad, find another one
+        if (this.activeGamepad === event.gamepad.index) {
+            // Look for another connected gamepad
+            const gamepadIndices = Object.keys(this.gamepads);
+            if (gamepadIndices.length > 0) {
+                this.activeGamepad = parseInt(gamepadIndices[0]);
+            } else {
+                this.activeGamepad = null;
+                this.inputType = this.keyboardEnabled ? 'keyboard' : (this.pointerEnabled ? 'pointer' : 'none');
+                this.isConnected = this.keyboardEnabled || this.pointerEnabled;
+            }
+        }
+        
+        // Pedals on this device wait for it to come back (or use the active gamepad)
+        this.resolveChannelGamepads();
+        
+        // Update device status display
+        this.updateDeviceStatus();
+        
+        // Pause a running game until every lost device returns
+        if (lostGamePedal && App.gameLoop && (App.gameLoop.isRunning || App.gameLoop.isWaitingForInput)) {
+            // Devices lost in an earlier game don't hold up this one
+            if (!App.gameLoop.isWaitingForInput) {
+                this.clearLostDevices();
+            }
+            this.lostDeviceIds.add(event.gamepad.id);
+            if (wasActiveGamepad) {
+                this.lostActiveDeviceId = event.gamepad.id;
+            }
+            App.gameLoop.handleInputLost([...this.lostDeviceIds].join(', '));
+        }
+        
+        // Update gamepad selection UI if visible
+        if (document.getElementById('device-selection-container')) {
+            this.showGamepadSelectionUI();
+        }
+    }
+    
+    /**
+     * Get the pedal position a number key jumps to
+     * @param {string} key - The key ('1'-'9' or '0')
+     * @returns {number} Position (0-100%), 1-9 give 10-90% and 0 gives 100%
+     */
+    getJumpPosition(key) {
+        return key === '0' ? 100 : parseInt(key) * 10;
+    }
+    
+    /**
+     * Check whether a key event should be used as a number key jump
+     * @param {KeyboardEvent} event - The key event
+     * @returns {boolean} True for digit keys when enabled, outside text fields
+     */
+    isJumpKey(event) {
+        if (!Config.keyboard_number_keys || !/^[0-9]$/.test(event.key)) {
+            return false;
+        }
+        
+        // Leave digits alone while the user is typing in a form field
+        const target = event.target;
+        return !(target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT'));
+    }
+    
+    /**
+     * Track the fine-adjust modifier from a key event
+     * @param {KeyboardEvent} event - The key event
+     */
+    updateFineModifier(event) {
+        const modifierProperties = { shift: 'shiftKey', control: 'ctrlKey', alt: 'altKey' };
+        this.keysPressedState.fine = !!event[modifierProperties[Config.keyboard_fine_modifier]];
+    }
+    
+    /**
+     * Handle key down event
+     * @param {KeyboardEvent} event - The key down event
+     */
+    onKeyDown(event) {
+        this.updateFineModifier(event);
+        
+        // Number keys hold the pedal at a fixed position
+        if (this.isJumpKey(event)) {
+            event.preventDefault();
+            this.keyboardJumpKey = event.key;
+            
+            if (this.canSwitchToKeyboard()) {
+                this.enableKeyboardInput();
+            }
+            return;
+        }
+        
+        // Arrow keys press and ease off the pedal
         if (event.key === 'ArrowUp' || event.key === 'ArrowDown') {
             // Prevent default action (scrolling)
             event.preventDefault();
@@ -562,25 +1775,11 @@ class InputHandler {
             this.keysPressedState[event.key] = true;
             
             // Enable keyboard input if it's not already enabled
-            if (!this.keyboardEnabled && this.inputType !== 'gamepad') {
+            if (this.canSwitchToKeyboard()) {
                 this.enableKeyboardInput();
             }
             
-            // Immediately apply the key press
-            this.updateKeyboardInput();
-            
-            // Start key repeat timer if not already running
-            if (!this.keyRepeatTimer) {
-                this.keyRepeatTimer = setInterval(() => {
-                    if (this.keysPressedState.ArrowUp || this.keysPressedState.ArrowDown) {
-                        this.updateKeyboardInput();
-                    } else {
-                        // No keys pressed, clear the interval
-                        clearInterval(this.keyRepeatTimer);
-                        this.keyRepeatTimer = null;
-                    }
-                }, this.keyRepeatRate);
-            }
+            // The pedal moves while the key is held, on every input sample
         }
     }
     
@@ -589,6 +1788,14 @@ class InputHandler {
      * @param {KeyboardEvent} event - The key up event
      */
     onKeyUp(event) {
+        this.updateFineModifier(event);
+        
+        // Releasing the held number key lets the pedal spring back
+        if (event.key === this.keyboardJumpKey) {
+            this.keyboardJumpKey = null;
+            return;
+        }
+        
         // Only handle arrow keys
         if (event.key === 'ArrowUp' || event.key === 'ArrowDown') {
             // Prevent default action
@@ -599,6 +1806,16 @@ class InputHandler {
         }
     }
     
+    /**
+     * Release all keys when the window loses focus, since their key up events won't arrive
+     */
+    onWindowBlur() {
+        this.keysPressedState.ArrowUp = false;
+        this.keysPressedState.ArrowDown = false;
+        this.keysPressedState.fine = false;
+        this.keyboardJumpKey = null;
+    }
+    
     /**
      * Check for already connected gamepads
      */
@@ -618,42 +1835,153 @@ class InputHandler {
                 // If we don't have an active gamepad, use this one
                 if (this.activeGamepad === null) {
                     this.activeGamepad = gamepad.index;
-                    this.inputType = 'gamepad';
-                    this.isConnected = true;
+                    if (!this.hasSelectedSource()) {
+                        this.inputType = 'gamepad';
+                        this.isConnected = true;
+                    }
                 }
             }
         }
         
+        // Link mapped pedals to their devices
+        this.resolveChannelGamepads();
+        
+        // Restore the mappings remembered for these devices
+        this.applyDeviceMappings();
+        
         // Update device status display
         this.updateDeviceStatus();
     }
     
+    /**
+     * Describe the state of the WebSocket bridge connection
+     * @returns {Object} Status text and color
+     */
+    getWebSocketStatus() {
+        const input = this.websocketInput;
+        
+        switch (input.status) {
+            case 'connected': {
+                const pedals = input.getReceivedChannels().map(name => this.getChannelLabel(name));
+                return {
+                    text: `WebSocket bridge: receiving from ${input.url} (${pedals.join(', ')})`,
+                    color: 'var(--secondary-color)'
+                };
+            }
+            case 'stale':
+                return {
+                    text: `WebSocket bridge: no data from ${input.url} for ${Config.websocket_stale_timeout} ms`,
+                    color: 'var(--warning-color)'
+                };
+            case 'connecting':
+                return {
+                    text: input.isOpen()
+                        ? `WebSocket bridge: connected to ${input.url}, waiting for pedal data`
+                        : `WebSocket bridge: connecting to ${input.url}...`,
+                    color: 'var(--primary-color)'
+                };
+            default:
+                return {
+                    text: `WebSocket bridge: can't reach ${input.url}, retrying every ${Config.websocket_reconnect_delay / 1000} s`,
+                    color: 'var(--danger-color)'
+                };
+        }
+    }
+    
     /**
      * Update the device status display
      */
     updateDeviceStatus() {
+        // The on-screen pedal is shown while it is the input or can take over by being used
+        const pointerPedal = document.getElementById('pointer-pedal');
+        if (pointerPedal) {
+            pointerPedal.classList.toggle('hidden', this.inputType !== 'pointer' && !this.canSwitchToPointer());
+        }
+        
         const deviceStatusEl = document.getElementById('device-status');
         if (deviceStatusEl) {
             if (this.inputType === 'gamepad' && this.activeGamepad !== null) {
                 const gamepad = this.gamepads[this.activeGamepad];
-                deviceStatusEl.textContent = `Gamepad connected: ${gamepad.id}`;
+                const pedals = this.getEnabledChannels().map(channel => this.getChannelLabel(channel.name));
+                deviceStatusEl.textContent = `Gamepad connected: ${gamepad.id} (${pedals.join(', ')})`;
                 deviceStatusEl.style.color = 'var(--secondary-color)';
             } else if (this.inputType === 'keyboard') {
                 deviceStatusEl.textContent = 'Using keyboard (arrow keys)';
                 deviceStatusEl.style.color = 'var(--primary-color)';
+            } else if (this.inputType === 'pointer') {
+                deviceStatusEl.textContent = 'Using mouse / touch (drag the on-screen pedal or scroll over it)';
+                deviceStatusEl.style.color = 'var(--primary-color)';
+            } else if (this.inputType === 'synthetic' && this.syntheticInput) {
+                const demo = this.inputTypeBeforeDemo !== null ? 'Demo - ' : '';
+                deviceStatusEl.textContent = `${demo}Synthetic input: ${this.syntheticInput.describe()}`;
+                deviceStatusEl.style.color = 'var(--warning-color)';
+            } else if (this.inputType === 'websocket' && this.websocketInput) {
+                const status = this.getWebSocketStatus();
+                deviceStatusEl.textContent = status.text;
+                deviceStatusEl.style.color = status.color;
             } else {
                 deviceStatusEl.textContent = 'No input device detected';
                 deviceStatusEl.style.color = 'var(--danger-color)';
             }
         }
+        
+        // List the connected devices whose saved mapping was applied
+        const mappingStatusEl = document.getElementById('device-mapping-status');
+        if (mappingStatusEl) {
+            mappingStatusEl.innerHTML = '';
+            
+            const connectedIds = Object.keys(this.gamepads).map(index => this.gamepads[index].id);
+            this.restoredDeviceIds
+                .filter(id => connectedIds.includes(id))
+                .forEach(id => {
+                    const row = document.createElement('div');
+                    row.classList.add('device-mapping');
+                    
+                    const text = document.createElement('span');
+                    text.textContent = `Saved mapping applied for ${id}`;
+                    
+                    const forgetButton = document.createElement('button');
+                    forgetButton.classList.add('secondary-button');
+                    forgetButton.textContent = 'Forget';
+                    forgetButton.addEventListener('click', () => {
+                        this.forgetDeviceMapping(id);
+                    });
+                    
+                    row.appendChild(text);
+                    row.appendChild(forgetButton);
+                    mappingStatusEl.appendChild(row);
+                });
+        }
     }
     
     /**
-     * Get the current pedal position
-     * @returns {number} The current pedal position (0-100%)
+     * Get the current position of a pedal
+     * @param {string} channel - The channel name (defaults to the pedal used by the game)
+     * @returns {number} The current pedal position (0-100%), or 0 for an unknown channel
      */
-    getPedalPosition() {
-        return this.currentPedalPosition;
+    getPedalPosition(channel = this.primaryChannel) {
+        return this.channels[channel] ? this.channels[channel].position : 0;
+    }
+    
+    /**
+     * Get the position of a pedal before filtering
+     * @param {string} channel - The channel name (defaults to the pedal used by the game)
+     * @returns {number} The unfiltered pedal position (0-100%), or 0 for an unknown channel
+     */
+    getUnfilteredPedalPosition(channel = this.primaryChannel) {
+        return this.channels[channel] ? this.channels[channel].unfilteredPosition : 0;
+    }
+    
+    /**
+     * Get the current positions of all enabled pedals
+     * @returns {Object} Pedal positions (0-100%) keyed by channel name
+     */
+    getChannelPositions() {
+        const positions = {};
+        this.getEnabledChannels().forEach(channel => {
+            positions[channel.name] = channel.position;
+        });
+        return positions;
     }
     
     /**
@@ -687,6 +2015,8 @@ class InputHandler {
     forcePedalPosition(position) {
         this.currentPedalPosition = Math.max(0, Math.min(100, position));
         this.prevPedalPosition = this.currentPedalPosition;
+        this.channels[this.primaryChannel].unfilteredPosition = this.currentPedalPosition;
+        this.filterChains[this.primaryChannel].reset();
     }
     
     /**
@@ -697,16 +2027,20 @@ class InputHandler {
         window.removeEventListener('gamepaddisconnected', this.onGamepadDisconnected);
         window.removeEventListener('keydown', this.onKeyDown);
         window.removeEventListener('keyup', this.onKeyUp);
+        window.removeEventListener('blur', this.onWindowBlur);
+        
+        if (this.pointerInput) {
+            this.pointerInput.detach();
+        }
+        
+        if (this.websocketInput) {
+            this.websocketInput.disconnect();
+        }
         
         // Clear any running intervals
         if (this.axisUpdateInterval) {
             clearInterval(this.axisUpdateInterval);
         }
-        
-        if (this.keyRepeatTimer) {
-            clearInterval(this.keyRepeatTimer);
-            this.keyRepeatTimer = null;
-        }
     }
 }
 
@@ -0,0 +1,222 @@
+/**
+ * inputSampler.js
+ *
+ * Polls the input devices at a fixed rate and hands every sample to its subscribers.
+ * Telemetry, the game loop and the UI all read from this one stream, so every
+ * timing measurement is based on the same samples and the same clock (performance.now()).
+ *
+ * The timer runs in a Web Worker when possible, because browsers throttle timers
+ * and animation frames of background tabs much more than worker timers.
+ */
+
+class InputSampler {
+    /**
+     * Initialize the input sampler
+     * @param {InputHandler} inputHandler - The input handler to poll
+     */
+    constructor(inputHandler) {
+        this.inputHandler = inputHandler;
+        
+        // Configuration
+        this.sampleRate = Config.input_sample_rate;    // Samples per second
+        
+        // Timer (a worker, or a plain interval if workers aren't available)
+        this.worker = null;
+        this.workerUrl = null;
+        this.intervalId = null;
+        this.isRunning = false;
+        
+        // Subscribers and the most recent sample
+        this.subscribers = [];
+        this.latestSample = null;
+        
+        // Measured rate, to show whether the browser keeps up
+        this.sampleCount = 0;
+        this.rateWindowStart = 0;
+        this.measuredRate = 0;
+        
+        // Bind methods
+        this.tick = this.tick.bind(this);
+    }
+    
+    /**
+     * Start sampling
+     */
+    start() {
+        if (this.isRunning) {
+            return;
+        }
+        
+        this.isRunning = true;
+        this.rateWindowStart = performance.now();
+        this.sampleCount = 0;
+        
+        const interval = 1000 / this.sampleRate;
+        
+        try {
+            // The worker only keeps time; polling has to happen here because gamepads can't be read in workers
+            const source = 'let timer = null;\n' +
+                'self.onmessage = event => {\n' +
+                '    clearInterval(timer);\n' +
+                '    if (event.data > 0) timer = setInterval(() => self.postMessage(0), event.data);\n' +
+                '};';
+            this.workerUrl = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+            this.worker = new Worker(this.workerUrl);
+            this.worker.onmessage = this.tick;
+            
+            // Workers can also fail after they were created, e.g. when a content security policy blocks blob: URLs
+            this.worker.onerror = error => {
+                console.warn("Worker timer failed, sampling with setInterval:", error);
+                this.startIntervalTimer(interval);
+            };
+            this.worker.postMessage(interval);
+        } catch (error) {
+            console.warn("Worker timer not available, sampling with setInterval:", error);
+            this.startIntervalTimer(interval);
+        }
+        
+        console.log(`Input sampling started at ${this.sampleRate} Hz`);
+    }
+    
+    /**
+     * Stop sampling
+     */
+    stop() {
+        if (!this.isRunning) {
+            return;
+        }
+        
+        this.isRunning = false;
+        this.stopWorker();
+        
+        if (this.intervalId !== null) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+        
+        console.log("Input sampling stopped");
+    }
+    
+    /**
+     * Sample with a plain interval instead of the worker timer
+     * @param {number} interval - Time between samples (ms)
+     */
+    startIntervalTimer(interval) {
+        this.stopWorker();
+        
+        if (this.isRunning && this.intervalId === null) {
+            this.intervalId = setInterval(this.tick, interval);
+        }
+    }
+    
+    /**
+     * Shut down the worker timer
+     */
+    stopWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        
+        if (this.workerUrl) {
+            URL.revokeObjectURL(this.workerUrl);
+            this.workerUrl = null;
+        }
+    }
+    
+    /**
+     * Change the sampling rate
+     * @param {number} sampleRate - Samples per second
+     */
+    setSampleRate(sampleRate) {
+        this.sampleRate = sampleRate;
+        
+        // Restart the timer with the new interval
+        if (this.isRunning) {
+            this.stop();
+            this.start();
+        }
+    }
+    
+    /**
+     * Take one sample and pass it to the subscribers
+     */
+    tick() {
+        const time = performance.now();
+        
+        // Poll the devices and filter the new values
+        this.inputHandler.update(time);
+        
+        const sample = {
+            time: time,                                                     // performance.now() timestamp (ms)
+            position: this.inputHandler.getPedalPosition(),                 // Filtered position of the game pedal (0-100%)
+            rawPosition: this.inputHandler.getUnfilteredPedalPosition(),    // Position before filtering (0-100%)
+            channels: this.inputHandler.getChannelPositions(),              // Position of every enabled pedal (0-100%)
+            inputType: this.inputHandler.inputType                          // Device the sample came from
+        };
+        
+        this.latestSample = sample;
+        this.updateMeasuredRate(time);
+        
+        // Copy the list so subscribers can unsubscribe while being called
+        this.subscribers.slice().forEach(callback => {
+            try {
+                callback(sample);
+            } catch (error) {
+                console.error("Error in input sample subscriber:", error);
+            }
+        });
+    }
+    
+    /**
+     * Track how many samples per second are actually taken
+     * @param {number} time - Time of the current sample
+     */
+    updateMeasuredRate(time) {
+        this.sampleCount++;
+        
+        const elapsed = time - this.rateWindowStart;
+        if (elapsed >= 1000) {
+            this.measuredRate = Math.round(this.sampleCount * 1000 / elapsed);
+            this.sampleCount = 0;
+            this.rateWindowStart = time;
+        }
+    }
+    
+    /**
+     * Receive every input sample
+     * @param {Function} callback - Called with each sample
+     * @returns {Function} Call to unsubscribe
+     */
+    subscribe(callback) {
+        this.subscribers.push(callback);
+        return () => this.unsubscribe(callback);
+    }
+    
+    /**
+     * Stop receiving input samples
+     * @param {Function} callback - The callback passed to subscribe
+     */
+    unsubscribe(callback) {
+        this.subscribers = this.subscribers.filter(subscriber => subscriber !== callback);
+    }
+    
+    /**
+     * Get the most recent sample
+     * @returns {Object|null} The sample, or null if sampling hasn't started
+     */
+    getLatestSample() {
+        return this.latestSample;
+    }
+    
+    /**
+     * Get the number of samples taken in the last second
+     * @returns {number} Samples per second
+     */
+    getMeasuredRate() {
+        return this.measuredRate;
+    }
+}
+
+// Make InputSampler available globally
+window.InputSampler = InputSampler;
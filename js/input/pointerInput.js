@@ -0,0 +1,196 @@
+/**
+ * pointerInput.js
+ *
+ * Mouse, touch and pen input for a pedal-shaped control on the screen.
+ * Dragging vertically over the control sets the pedal position directly (top = 100%),
+ * and the mouse wheel or a trackpad nudges it up and down.
+ * The InputHandler reads the position on every input sample.
+ */
+
+class PointerInput {
+    /**
+     * Initialize the pointer input
+     */
+    constructor() {
+        this.position = 0;              // Current position (0-100%)
+        this.pointerId = null;          // Pointer currently dragging the control
+        this.element = null;            // The pedal control
+        this.fillElement = null;        // Part of the control that shows the position
+        this.onActivity = null;         // Called when the user drags or scrolls the control
+        
+        // Pixels per wheel step for wheel events not measured in pixels
+        this.lineHeight = 16;
+        this.pageHeight = 800;
+        
+        // Bind event handlers
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onWheel = this.onWheel.bind(this);
+    }
+    
+    /**
+     * Start listening to a pedal control
+     * @param {HTMLElement} element - The control
+     */
+    attach(element) {
+        this.detach();
+        
+        this.element = element;
+        this.fillElement = element.querySelector('.pointer-pedal-fill');
+        
+        element.addEventListener('pointerdown', this.onPointerDown);
+        element.addEventListener('pointermove', this.onPointerMove);
+        element.addEventListener('pointerup', this.onPointerUp);
+        element.addEventListener('pointercancel', this.onPointerUp);
+        element.addEventListener('wheel', this.onWheel, { passive: false });
+        
+        this.render();
+    }
+    
+    /**
+     * Stop listening to the pedal control
+     */
+    detach() {
+        if (!this.element) {
+            return;
+        }
+        
+        this.element.removeEventListener('pointerdown', this.onPointerDown);
+        this.element.removeEventListener('pointermove', this.onPointerMove);
+        this.element.removeEventListener('pointerup', this.onPointerUp);
+        this.element.removeEventListener('pointercancel', this.onPointerUp);
+        this.element.removeEventListener('wheel', this.onWheel);
+        
+        this.element = null;
+        this.fillElement = null;
+    }
+    
+    /**
+     * Get the current position
+     * @returns {number} Position (0-100%)
+     */
+    getPosition() {
+        return this.position;
+    }
+    
+    /**
+     * Release the control and return to 0
+     */
+    reset() {
+        this.pointerId = null;
+        this.setPosition(0);
+    }
+    
+    /**
+     * Set the position and update the control
+     * @param {number} position - Position (0-100%)
+     */
+    setPosition(position) {
+        this.position = Math.max(0, Math.min(100, position));
+        this.render();
+    }
+    
+    /**
+     * Show the current position on the control
+     */
+    render() {
+        if (this.fillElement) {
+            this.fillElement.style.height = `${this.position}%`;
+        }
+    }
+    
+    /**
+     * Convert the vertical pointer position to a pedal position
+     * @param {PointerEvent} event - The pointer event
+     * @returns {number} Position (0-100%)
+     */
+    positionFromEvent(event) {
+        const rect = this.element.getBoundingClientRect();
+        return rect.height > 0 ? (rect.bottom - event.clientY) / rect.height * 100 : 0;
+    }
+    
+    /**
+     * Tell the input handler the control is being used
+     */
+    notifyActivity() {
+        if (this.onActivity) {
+            this.onActivity();
+        }
+    }
+    
+    /**
+     * Start dragging the control
+     * @param {PointerEvent} event - The pointer down event
+     */
+    onPointerDown(event) {
+        // Only one pointer drives the pedal at a time
+        if (this.pointerId !== null) {
+            return;
+        }
+        
+        event.preventDefault();
+        this.pointerId = event.pointerId;
+        
+        // Keep receiving moves when the pointer leaves the control
+        if (this.element.setPointerCapture) {
+            this.element.setPointerCapture(event.pointerId);
+        }
+        
+        this.setPosition(this.positionFromEvent(event));
+        this.notifyActivity();
+    }
+    
+    /**
+     * Follow the dragging pointer
+     * @param {PointerEvent} event - The pointer move event
+     */
+    onPointerMove(event) {
+        if (event.pointerId !== this.pointerId) {
+            return;
+        }
+        
+        event.preventDefault();
+        this.setPosition(this.positionFromEvent(event));
+    }
+    
+    /**
+     * Stop dragging the control
+     * @param {PointerEvent} event - The pointer up or cancel event
+     */
+    onPointerUp(event) {
+        if (event.pointerId !== this.pointerId) {
+            return;
+        }
+        
+        this.pointerId = null;
+        
+        // Lifting the finger or releasing the button takes the foot off the pedal
+        if (Config.pointer_return_on_release) {
+            this.setPosition(0);
+        }
+    }
+    
+    /**
+     * Nudge the position with the mouse wheel or a trackpad
+     * @param {WheelEvent} event - The wheel event
+     */
+    onWheel(event) {
+        event.preventDefault();
+        
+        // Convert line and page scrolling to pixels
+        let delta = event.deltaY;
+        if (event.deltaMode === 1) {
+            delta *= this.lineHeight;
+        } else if (event.deltaMode === 2) {
+            delta *= this.pageHeight;
+        }
+        
+        // Scrolling up presses the pedal
+        this.setPosition(this.position - delta * Config.pointer_wheel_sensitivity);
+        this.notifyActivity();
+    }
+}
+
+// Make PointerInput available globally
+window.PointerInput = PointerInput;
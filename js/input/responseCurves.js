@@ -0,0 +1,200 @@
+/**
+ * responseCurves.js
+ *
+ * Response curves map a calibrated pedal position to the 0-100% output used by the game,
+ * so a pedal can feel the same as it does in-sim. Each pedal channel has its own curve,
+ * saved per driver profile.
+ */
+
+const ResponseCurves = {
+    // Available curve types
+    types: {
+        linear: 'Linear',
+        gamma: 'Gamma (exponent)',
+        scurve: 'S-curve',
+        custom: 'Custom points'
+    },
+    
+    // Allowed parameter ranges
+    minExponent: 0.2,
+    maxExponent: 5,
+    minStrength: 0.5,
+    maxStrength: 4,
+    maxPoints: 12,
+    
+    // localStorage key for saved curves (scoped to the active driver profile)
+    storageKey: 'pedal_training_curves',
+    
+    // Loaded curves keyed by channel name, and the storage key they were loaded from
+    data: null,
+    loadedKey: null,
+    
+    /**
+     * Create the curve used for channels without a saved curve
+     * Every type keeps its own parameters so switching types doesn't lose them
+     * @returns {Object} The curve
+     */
+    createDefault() {
+        return {
+            type: 'linear',
+            exponent: 1.5,
+            strength: 2,
+            points: [[0, 0], [25, 25], [50, 50], [75, 75], [100, 100]]
+        };
+    },
+    
+    /**
+     * Get the localStorage key for the active driver profile's curves
+     * @returns {string} The storage key
+     */
+    getStorageKey() {
+        return typeof Profiles !== 'undefined' ? Profiles.scopedKey(this.storageKey) : this.storageKey;
+    },
+    
+    /**
+     * Load the saved curves from storage
+     * Reloads automatically when the active driver profile changes
+     */
+    ensureLoaded() {
+        const key = this.getStorageKey();
+        if (this.data && this.loadedKey === key) {
+            return;
+        }
+        
+        this.data = {};
+        this.loadedKey = key;
+        
+        try {
+            const raw = localStorage.getItem(key);
+            const stored = raw ? JSON.parse(raw) : {};
+            
+            // Keep only curves that can be used
+            Object.keys(stored || {}).forEach(channelName => {
+                const curve = this.sanitize(stored[channelName]);
+                if (curve) {
+                    this.data[channelName] = curve;
+                }
+            });
+        } catch (error) {
+            console.error("Failed to load response curves:", error);
+        }
+    },
+    
+    /**
+     * Save all curves to storage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.loadedKey, JSON.stringify(this.data));
+        } catch (error) {
+            console.error("Failed to save response curves:", error);
+        }
+    },
+    
+    /**
+     * Get the curve of a pedal channel
+     * @param {string} channelName - The channel name
+     * @returns {Object} The curve (the default linear curve if none is saved)
+     */
+    getCurve(channelName) {
+        this.ensureLoaded();
+        return this.data[channelName] || this.createDefault();
+    },
+    
+    /**
+     * Save the curve of a pedal channel
+     * @param {string} channelName - The channel name
+     * @param {Object} curve - The curve
+     * @throws {Error} If the curve can't be used
+     */
+    setCurve(channelName, curve) {
+        this.ensureLoaded();
+        
+        const validCurve = this.sanitize(curve);
+        if (!validCurve) {
+            throw new Error("The response curve is invalid");
+        }
+        
+        this.data[channelName] = validCurve;
+        this.save();
+    },
+    
+    /**
+     * Check a curve and clamp its parameters to the allowed ranges
+     * @param {Object} curve - The curve to check
+     * @returns {Object|null} A clean copy of the curve, or null if it can't be used
+     */
+    sanitize(curve) {
+        if (!curve || !Object.prototype.hasOwnProperty.call(this.types, curve.type)) {
+            return null;
+        }
+        
+        const defaults = this.createDefault();
+        const clamp = (value, min, max, fallback) =>
+            typeof value === 'number' && isFinite(value) ? Math.max(min, Math.min(max, value)) : fallback;
+        
+        const points = Array.isArray(curve.points) ? curve.points : defaults.points;
+        const validPoints = points.length >= 2 && points.length <= this.maxPoints && points.every((point, index) =>
+            Array.isArray(point) && point.length === 2 &&
+            point.every(value => typeof value === 'number' && value >= 0 && value <= 100) &&
+            (index === 0 || point[0] > points[index - 1][0])
+        ) && points[0][0] === 0 && points[points.length - 1][0] === 100;
+        
+        return {
+            type: curve.type,
+            exponent: clamp(curve.exponent, this.minExponent, this.maxExponent, defaults.exponent),
+            strength: clamp(curve.strength, this.minStrength, this.maxStrength, defaults.strength),
+            points: (validPoints ? points : defaults.points).map(point => [point[0], point[1]])
+        };
+    },
+    
+    /**
+     * Apply a curve to a pedal position
+     * @param {number} position - Calibrated pedal position (0-100%)
+     * @param {Object} curve - The curve to apply
+     * @returns {number} Output position (0-100%)
+     */
+    apply(position, curve) {
+        const x = Math.max(0, Math.min(100, position)) / 100;
+        
+        switch (curve.type) {
+            case 'gamma':
+                // Exponent above 1 gives more control at the start of the travel
+                return Math.pow(x, curve.exponent) * 100;
+            
+            case 'scurve': {
+                // Strength above 1 flattens both ends and steepens the middle
+                const a = Math.pow(x, curve.strength);
+                const b = Math.pow(1 - x, curve.strength);
+                return a + b > 0 ? a / (a + b) * 100 : 0;
+            }
+            
+            case 'custom':
+                return this.interpolate(curve.points, x * 100);
+            
+            default:
+                return x * 100;
+        }
+    },
+    
+    /**
+     * Interpolate linearly between the points of a custom curve
+     * @param {Array<Array<number>>} points - [input, output] points sorted by input, from 0 to 100
+     * @param {number} x - Input position (0-100%)
+     * @returns {number} Output position (0-100%)
+     */
+    interpolate(points, x) {
+        for (let i = 1; i < points.length; i++) {
+            const [x1, y1] = points[i];
+            if (x <= x1) {
+                const [x0, y0] = points[i - 1];
+                return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+            }
+        }
+        
+        return points[points.length - 1][1];
+    }
+};
+
+// Make ResponseCurves available globally
+window.ResponseCurves = ResponseCurves;
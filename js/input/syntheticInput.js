@@ -0,0 +1,177 @@
+/**
+ * syntheticInput.js
+ *
+ * Generated pedal signals for testing and demos, so game modes, scoring and the UI
+ * can be exercised without hardware. The test signals (step, ramp, sine, noise) move
+ * between two levels; the bot follows the targets of the running game with a reaction
+ * time, overshoot and jitter like a human driver.
+ */
+
+class SyntheticInput {
+    /**
+     * Initialize the synthetic input
+     */
+    constructor() {
+        this.signal = 'bot';            // Signal being played (a key of SyntheticInput.signals)
+        this.startTime = null;          // Time the signal started (performance.now())
+        this.lastTime = null;           // Time of the previous update
+        
+        // Bot state
+        this.position = 0;              // Current pedal position (%)
+        this.velocity = 0;              // Current pedal speed (%/s)
+        this.aim = 0;                   // Position the bot is moving to
+        this.pendingAims = [];          // Aims the bot hasn't reacted to yet ({ time, aim }, oldest first)
+        
+        // How quickly the bot's foot moves (natural frequency, rad/s)
+        this.botFrequency = 10;
+        
+        // Largest integration step for the bot's movement (s)
+        this.maxStep = 0.005;
+    }
+    
+    /**
+     * Start playing a signal from the beginning
+     * @param {string} signal - The signal (a key of SyntheticInput.signals)
+     */
+    start(signal) {
+        this.signal = SyntheticInput.signals[signal] ? signal : 'bot';
+        this.startTime = null;
+        this.lastTime = null;
+        this.position = 0;
+        this.velocity = 0;
+        this.aim = 0;
+        this.pendingAims = [];
+    }
+    
+    /**
+     * Get the pedal position for a sample
+     * @param {number} time - Sample timestamp from performance.now()
+     * @returns {number} Position (0-100%)
+     */
+    update(time) {
+        if (this.startTime === null) {
+            this.startTime = time;
+        }
+        
+        const elapsed = (time - this.startTime) / 1000;
+        const phase = (elapsed % Config.synthetic_period) / Config.synthetic_period;
+        const low = Math.min(Config.synthetic_low, Config.synthetic_high);
+        const high = Math.max(Config.synthetic_low, Config.synthetic_high);
+        
+        let position;
+        switch (this.signal) {
+            case 'step':
+                position = phase < 0.5 ? low : high;
+                break;
+            case 'ramp':
+                position = low + (high - low) * phase;
+                break;
+            case 'sine':
+                position = low + (high - low) * (1 - Math.cos(2 * Math.PI * phase)) / 2;
+                break;
+            case 'noise':
+                position = low + (high - low) * Math.random();
+                break;
+            default:
+                position = this.updateBot(time);
+        }
+        
+        this.lastTime = time;
+        return Math.max(0, Math.min(100, position));
+    }
+    
+    /**
+     * Move the bot's pedal towards the position the game asks for
+     * The foot is modelled as a damped spring, with the damping chosen to give the configured overshoot
+     * @param {number} time - Sample timestamp from performance.now()
+     * @returns {number} Position (%)
+     */
+    updateBot(time) {
+        // React to a new aim only after the reaction time
+        // Moving targets change the aim on every sample, so the bot follows them with that delay
+        const aim = this.getBotAim();
+        const lastAim = this.pendingAims.length > 0 ? this.pendingAims[this.pendingAims.length - 1].aim : this.aim;
+        if (aim !== null && aim !== lastAim) {
+            this.pendingAims.push({ time: time, aim: aim });
+        }
+        while (this.pendingAims.length > 0 && time - this.pendingAims[0].time >= Config.bot_reaction_time) {
+            this.aim = this.pendingAims.shift().aim;
+        }
+        
+        // Damping ratio for the overshoot (1 = no overshoot)
+        const overshoot = Config.bot_overshoot / 100;
+        const damping = overshoot > 0
+            ? -Math.log(overshoot) / Math.sqrt(Math.PI * Math.PI + Math.log(overshoot) * Math.log(overshoot))
+            : 1;
+        
+        // Integrate in small steps so long gaps between samples stay stable
+        let remaining = this.lastTime !== null ? Math.max(0, (time - this.lastTime) / 1000) : 0;
+        while (remaining > 0) {
+            const dt = Math.min(this.maxStep, remaining);
+            const acceleration = this.botFrequency * this.botFrequency * (this.aim - this.position) -
+                2 * damping * this.botFrequency * this.velocity;
+            this.velocity += acceleration * dt;
+            this.position += this.velocity * dt;
+            remaining -= dt;
+        }
+        
+        // Keep the foot on the pedal's travel
+        if (this.position < 0 || this.position > 100) {
+            this.position = Math.max(0, Math.min(100, this.position));
+            this.velocity = 0;
+        }
+        
+        const jitter = (Math.random() * 2 - 1) * Config.bot_jitter;
+        return this.position + jitter;
+    }
+    
+    /**
+     * Get the position the running game asks for
+     * @returns {number|null} Target position (%), or null to keep the current aim
+     */
+    getBotAim() {
+        const gameLoop = typeof App !== 'undefined' ? App.gameLoop : null;
+        if (!gameLoop || !gameLoop.isRunning) {
+            return null;
+        }
+        
+        if (gameLoop.isInTransition) {
+            return gameLoop.gameMode ? gameLoop.gameMode.getTransitionTarget() : null;
+        }
+        
+        // Aim for the middle of the range the target asks for (below the lock pressure when threshold braking),
+        // and ease off to the bottom of it after a lock-up
+        if (gameLoop.targetState) {
+            const band = gameLoop.getTargetBand(gameLoop.currentTime - gameLoop.targetStartTime);
+            return gameLoop.lockUpFeedbackTime > 0 ? band.low : (band.low + band.high) / 2;
+        }
+        
+        return gameLoop.currentTarget;
+    }
+    
+    /**
+     * Describe the signal being played
+     * @returns {string} Description for the device status
+     */
+    describe() {
+        if (this.signal === 'bot') {
+            return `${SyntheticInput.signals.bot} (reaction ${Config.bot_reaction_time} ms, ` +
+                `overshoot ${Config.bot_overshoot}%, jitter ${Config.bot_jitter}%)`;
+        }
+        
+        return `${SyntheticInput.signals[this.signal]} between ${Config.synthetic_low}% and ` +
+            `${Config.synthetic_high}% every ${Config.synthetic_period} s`;
+    }
+}
+
+// Available signals
+SyntheticInput.signals = {
+    bot: 'Bot',
+    step: 'Step',
+    ramp: 'Ramp',
+    sine: 'Sine',
+    noise: 'Noise'
+};
+
+// Make SyntheticInput available globally
+window.SyntheticInput = SyntheticInput;
@@ -18,9 +18,13 @@ class Telemetry {
         
         // Data storage
         this.buffer = [];              // Array of telemetry data points
-        this.sessionStartTime = null;  // When the current recording session started
+        this.sessionTrace = [];        // Every sample of the current session (not capped, used for archiving)
+        this.sessionStartTime = null;  // When the current recording session started (performance.now() time)
         this.isRecording = false;      // Whether recording is active
-        this.lastSampleTime = 0;       // Time of the last sample
+        this.nextSampleTime = 0;       // Input sample time from which the next telemetry sample is due
+        this.gaps = [];                // Times the input was lost ({ start, end, deviceId }, ms since start)
+        this.gapStartTime = null;      // Start of the current gap (performance.now() time), null if there is none
+        this.gapDeviceId = null;       // Device that was lost
         
         // Statistics
         this.stats = {
@@ -30,8 +34,10 @@ class Telemetry {
             totalSamples: 0      // Total number of samples taken
         };
         
-        // Reference to the input handler
+        // Reference to the input handler and the input sample stream
         this.inputHandler = null;
+        this.sampler = null;
+        this.unsubscribe = null;
         
         // Bind methods
         this.recordSample = this.recordSample.bind(this);
@@ -45,6 +51,14 @@ class Telemetry {
         this.inputHandler = inputHandler;
     }
     
+    /**
+     * Set the input sampler that provides the samples to record
+     * @param {InputSampler} sampler - The input sampler instance
+     */
+    setSampler(sampler) {
+        this.sampler = sampler;
+    }
+    
     /**
      * Start recording telemetry data
      */
@@ -58,15 +72,25 @@ class Telemetry {
         
         // Reset buffer and statistics
         this.buffer = [];
+        this.sessionTrace = [];
+        this.gaps = [];
+        this.gapStartTime = null;
         this.resetStatistics();
         
         // Set start time and recording flag
-        this.sessionStartTime = Date.now();
-        this.lastSampleTime = this.sessionStartTime;
+        this.sessionStartTime = performance.now();
+        this.nextSampleTime = this.sessionStartTime;
         this.isRecording = true;
         
-        // Start the recording loop
-        this.recordingInterval = setInterval(this.recordSample, this.sampleInterval);
+        // Record from the input sample stream
+        if (!this.sampler && App.sampler) {
+            this.sampler = App.sampler;
+        }
+        if (this.sampler) {
+            this.unsubscribe = this.sampler.subscribe(this.recordSample);
+        } else {
+            console.error("No input sampler available, telemetry will be empty");
+        }
     }
     
     /**
@@ -80,10 +104,10 @@ class Telemetry {
         
         console.log("Stopping telemetry recording");
         
-        // Clear the recording interval
-        if (this.recordingInterval) {
-            clearInterval(this.recordingInterval);
-            this.recordingInterval = null;
+        // Stop receiving input samples
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
         }
         
         // Update recording flag
@@ -103,50 +127,58 @@ class Telemetry {
     }
     
     /**
-     * Record a telemetry sample
+     * Record a telemetry sample from an input sample
+     * Input is sampled faster than telemetry is recorded, so only samples that are due are kept
+     * @param {Object} inputSample - Sample from the InputSampler
      */
-    recordSample() {
+    recordSample(inputSample) {
         // Skip if not recording
         if (!this.isRecording) {
             return;
         }
         
-        // Get current time and pedal position
-        const currentTime = Date.now();
-        
-        // Get pedal position from input handler if available, otherwise use last known position
-        let pedalPosition = 0;
-        if (this.inputHandler) {
-            pedalPosition = this.inputHandler.getPedalPosition();
-        } else if (App.input) {
-            // Fallback to global input handler
-            pedalPosition = App.input.getPedalPosition();
-            // Store reference to input handler for future use
-            this.inputHandler = App.input;
+        // The input reads nothing useful while it is lost
+        if (this.gapStartTime !== null) {
+            return;
         }
         
-        // Calculate time since start of session in milliseconds
-        const timeSinceStart = currentTime - this.sessionStartTime;
+        // Skip samples until the next one is due
+        if (inputSample.time < this.nextSampleTime) {
+            return;
+        }
+        
+        // Keep an even rate, but don't try to catch up after a long gap
+        if (inputSample.time - this.nextSampleTime >= this.sampleInterval) {
+            this.nextSampleTime = inputSample.time + this.sampleInterval;
+        } else {
+            this.nextSampleTime += this.sampleInterval;
+        }
+        
+        const pedalPosition = inputSample.position;
         
         // Create sample data point
         const sample = {
-            time: timeSinceStart,          // Time since start (ms)
-            timestamp: currentTime,        // Absolute timestamp (ms)
-            position: pedalPosition,       // Pedal position (0-100%)
-            isInTarget: false,             // Whether this position was within a target range
-            isTransition: false,           // Whether this was during a transition period
-            targetValue: null              // Current target value (if any)
+            time: inputSample.time - this.sessionStartTime,                     // Time since start (ms)
+            timestamp: Math.round(performance.timeOrigin + inputSample.time),   // Absolute timestamp (ms)
+            position: pedalPosition,                // Pedal position (0-100%)
+            rawPosition: inputSample.rawPosition,   // Pedal position before filtering (0-100%)
+            isInTarget: false,                      // Whether this position was within a target range
+            isTransition: false,                    // Whether this was during a transition period
+            targetValue: null,                      // Current target value (if any)
+            channels: { ...inputSample.channels }   // Position of every enabled pedal (0-100%)
         };
         
         // Add game state info if available
         if (window.App && App.gameLoop) {
             sample.isInTarget = App.gameLoop.isInTargetRange || false;
             sample.isTransition = App.gameLoop.isInTransition || false;
-            sample.targetValue = App.gameLoop.currentTarget || null;
+            sample.targetValue = typeof App.gameLoop.currentTarget === 'number' ? App.gameLoop.currentTarget : null;
         }
         
-        // Add to buffer
+        // Add to buffer and to the full session trace
+        // Both hold the same object, so later target/range marking applies to both
         this.buffer.push(sample);
+        this.sessionTrace.push(sample);
         
         // Trim buffer if it exceeds maximum size
         if (this.buffer.length > this.bufferSize) {
@@ -155,9 +187,6 @@ class Telemetry {
         
         // Update statistics
         this.updateStatistics(pedalPosition);
-        
-        // Update last sample time
-        this.lastSampleTime = currentTime;
     }
     
     /**
@@ -213,6 +242,54 @@ class Telemetry {
         }
     }
     
+    /**
+     * Mark the start of a gap in the input, while the pedal is disconnected
+     * No samples are recorded until the gap ends
+     * @param {number} time - When the input was lost (performance.now() time)
+     * @param {string} deviceId - The lost device
+     */
+    startGap(time, deviceId) {
+        if (!this.isRecording || this.gapStartTime !== null) {
+            return;
+        }
+        
+        this.gapStartTime = time;
+        this.gapDeviceId = deviceId;
+    }
+    
+    /**
+     * Mark the end of a gap in the input
+     * @param {number} time - When the input returned (performance.now() time)
+     * @returns {Object|null} The gap ({ start, end, deviceId }, ms since start), or null if there was none
+     */
+    endGap(time) {
+        if (this.gapStartTime === null) {
+            return null;
+        }
+        
+        const gap = {
+            start: this.gapStartTime - this.sessionStartTime,
+            end: time - this.sessionStartTime,
+            deviceId: this.gapDeviceId
+        };
+        this.gaps.push(gap);
+        this.gapStartTime = null;
+        this.gapDeviceId = null;
+        
+        // Start recording again straight away
+        this.nextSampleTime = time;
+        
+        return gap;
+    }
+    
+    /**
+     * Get the gaps in the input of the current (or last) session
+     * @returns {Array<Object>} Gaps ({ start, end, deviceId }, ms since start)
+     */
+    getGaps() {
+        return this.gaps.map(gap => ({ ...gap }));
+    }
+    
     /**
      * Get all telemetry data
      * @returns {Array} The telemetry buffer
@@ -221,6 +298,15 @@ class Telemetry {
         return this.buffer.slice();
     }
     
+    /**
+     * Get every sample recorded during the current (or last) session
+     * Unlike the rolling buffer, this is not limited by the buffer size
+     * @returns {Array} The full session trace
+     */
+    getFullTrace() {
+        return this.sessionTrace.slice();
+    }
+    
     /**
      * Get the most recent N telemetry samples
      * @param {number} count - Number of samples to retrieve
@@ -324,8 +410,8 @@ class Telemetry {
      */
     prepareGraphData(width = 600, timeWindow = 10000) {
         // Get recent data within the time window
-        const currentTime = this.isRecording ? (Date.now() - this.sessionStartTime) : 
-                           (this.buffer.length > 0 ? this.buffer[this.buffer.length - 1].time : 0);
+        const currentTime = this.isRecording ? (performance.now() - this.sessionStartTime) : 
+                                   (this.buffer.length > 0 ? this.buffer[this.buffer.length - 1].time : 0);
         
         const startTime = Math.max(0, currentTime - timeWindow);
         let data = this.getDataInTimeRange(startTime, currentTime);
@@ -336,6 +422,9 @@ class Telemetry {
                 points: data.map(sample => ({
                     x: sample.time,
                     y: sample.position,
+                    raw: sample.rawPosition,
+                    target: sample.targetValue,
+                    channels: sample.channels,
                     isInTarget: sample.isInTarget,
                     isTransition: sample.isTransition
                 })),
@@ -363,6 +452,9 @@ class Telemetry {
         const points = data.map(sample => ({
             x: sample.time,
             y: sample.position,
+            raw: sample.rawPosition,
+            target: sample.targetValue,
+            channels: sample.channels,
             isInTarget: sample.isInTarget,
             isTransition: sample.isTransition
         }));
@@ -374,11 +466,54 @@ class Telemetry {
         };
     }
     
+    /**
+     * Estimate how far the filtered position lags behind the unfiltered position
+     * Finds the time shift that best lines up the two signals
+     * @param {Array} samples - Telemetry samples (defaults to the recent buffer)
+     * @param {number} maxLag - Largest lag to look for (ms)
+     * @returns {number|null} The lag in ms, or null if the pedal hasn't moved enough to tell
+     */
+    estimateFilterLag(samples = this.buffer, maxLag = 200) {
+        const data = samples.filter(sample => typeof sample.rawPosition === 'number');
+        if (data.length < 10) {
+            return null;
+        }
+        
+        // A still pedal looks the same at any shift
+        const rawValues = data.map(sample => sample.rawPosition);
+        if (Math.max(...rawValues) - Math.min(...rawValues) < 10) {
+            return null;
+        }
+        
+        const interval = (data[data.length - 1].time - data[0].time) / (data.length - 1);
+        const maxShift = Math.min(Math.floor(maxLag / Math.max(interval, 1)), data.length - 5);
+        
+        let bestShift = 0;
+        let bestError = Infinity;
+        for (let shift = 0; shift <= maxShift; shift++) {
+            let error = 0;
+            for (let i = shift; i < data.length; i++) {
+                error += Math.abs(data[i].position - data[i - shift].rawPosition);
+            }
+            error /= data.length - shift;
+            
+            if (error < bestError) {
+                bestError = error;
+                bestShift = shift;
+            }
+        }
+        
+        return Math.round(bestShift * interval);
+    }
+    
     /**
      * Clear all telemetry data
      */
     clearData() {
         this.buffer = [];
+        this.sessionTrace = [];
+        this.gaps = [];
+        this.gapStartTime = null;
         this.resetStatistics();
     }
 }
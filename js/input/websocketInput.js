@@ -0,0 +1,261 @@
+/**
+ * websocketInput.js
+ *
+ * Pedal input from a local WebSocket bridge, for DIY pedals and devices that
+ * aren't gamepads (SimHub, a serial-to-WebSocket script, ...).
+ * The bridge sends JSON frames such as {"throttle": 42.5, "brake": 0, "clutch": 0, "t": 1234}
+ * with positions in percent (0-100). "t" is the sender's timestamp in ms and is optional.
+ * The connection is re-opened automatically, and the data counts as stale when
+ * frames stop arriving.
+ */
+
+class WebSocketInput {
+    /**
+     * Initialize the WebSocket input
+     * @param {Array<string>} channelNames - Pedal channels read from the frames
+     */
+    constructor(channelNames) {
+        this.channelNames = channelNames;
+        
+        // Connection
+        this.url = null;
+        this.socket = null;
+        this.shouldConnect = false;     // Whether the connection should be kept open
+        this.reconnectTimer = null;
+        
+        // Status ('disconnected', 'connecting', 'connected', 'stale'), connected once a valid frame arrived
+        this.status = 'disconnected';
+        this.onStatusChange = null;     // Called with the new status
+        
+        // Received data
+        this.values = {};               // Latest position of each channel in the frames
+        this.lastFrameTime = 0;         // When the last valid frame arrived (performance.now())
+        this.lastSenderTime = null;     // "t" of the last frame, if the bridge sends it
+        this.frameCount = 0;
+        this.invalidFrameCount = 0;
+        
+        // Bind event handlers
+        this.onOpen = this.onOpen.bind(this);
+        this.onMessage = this.onMessage.bind(this);
+        this.onClose = this.onClose.bind(this);
+        this.onError = this.onError.bind(this);
+    }
+    
+    /**
+     * Connect to a bridge, and keep reconnecting until disconnect() is called
+     * @param {string} url - The WebSocket address
+     */
+    connect(url) {
+        this.disconnect();
+        
+        this.url = url;
+        this.shouldConnect = true;
+        this.values = {};
+        this.openSocket();
+    }
+    
+    /**
+     * Close the connection and stop reconnecting
+     */
+    disconnect() {
+        this.shouldConnect = false;
+        
+        if (this.reconnectTimer !== null) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        
+        if (this.socket) {
+            this.closeSocket();
+        }
+        
+        this.setStatus('disconnected');
+    }
+    
+    /**
+     * Open the WebSocket
+     */
+    openSocket() {
+        this.setStatus('connecting');
+        
+        try {
+            this.socket = new WebSocket(this.url);
+        } catch (error) {
+            console.error("Failed to open WebSocket input:", error);
+            this.socket = null;
+            this.scheduleReconnect();
+            return;
+        }
+        
+        this.socket.addEventListener('open', this.onOpen);
+        this.socket.addEventListener('message', this.onMessage);
+        this.socket.addEventListener('close', this.onClose);
+        this.socket.addEventListener('error', this.onError);
+    }
+    
+    /**
+     * Close the WebSocket without triggering a reconnect
+     */
+    closeSocket() {
+        this.socket.removeEventListener('open', this.onOpen);
+        this.socket.removeEventListener('message', this.onMessage);
+        this.socket.removeEventListener('close', this.onClose);
+        this.socket.removeEventListener('error', this.onError);
+        this.socket.close();
+        this.socket = null;
+    }
+    
+    /**
+     * Try to connect again after the configured delay
+     */
+    scheduleReconnect() {
+        if (!this.shouldConnect || this.reconnectTimer !== null) {
+            return;
+        }
+        
+        this.setStatus('disconnected');
+        
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (this.shouldConnect) {
+                this.openSocket();
+            }
+        }, Config.websocket_reconnect_delay);
+    }
+    
+    /**
+     * Handle the connection opening
+     */
+    onOpen() {
+        console.log(`WebSocket input connected to ${this.url}`);
+        
+        // Values from before a reconnect are out of date, and the bridge only counts
+        // as connected once its first valid frame arrives
+        this.values = {};
+        this.lastSenderTime = null;
+        
+        // Still 'connecting', but the listener can show that the socket is open
+        if (this.onStatusChange) {
+            this.onStatusChange(this.status);
+        }
+    }
+    
+    /**
+     * Read a frame from the bridge
+     * @param {MessageEvent} event - The message event
+     */
+    onMessage(event) {
+        let frame;
+        try {
+            frame = JSON.parse(event.data);
+        } catch (error) {
+            frame = null;
+        }
+        
+        // Use every known channel with a numeric value, ignore anything else in the frame
+        const channels = frame && typeof frame === 'object'
+            ? this.channelNames.filter(name => typeof frame[name] === 'number' && isFinite(frame[name]))
+            : [];
+        
+        if (channels.length === 0) {
+            this.invalidFrameCount++;
+            if (this.invalidFrameCount === 1) {
+                console.warn("WebSocket input received a frame without pedal values:", event.data);
+            }
+            return;
+        }
+        
+        channels.forEach(name => {
+            this.values[name] = Math.max(0, Math.min(100, frame[name]));
+        });
+        this.lastSenderTime = typeof frame.t === 'number' ? frame.t : null;
+        this.lastFrameTime = performance.now();
+        this.frameCount++;
+        
+        if (this.status !== 'connected') {
+            this.setStatus('connected');
+        }
+    }
+    
+    /**
+     * Handle the connection closing
+     */
+    onClose() {
+        console.log(`WebSocket input disconnected from ${this.url}`);
+        this.socket = null;
+        this.scheduleReconnect();
+    }
+    
+    /**
+     * Handle connection errors (a close event follows)
+     */
+    onError() {
+        console.error(`WebSocket input error on ${this.url}`);
+    }
+    
+    /**
+     * Mark the data as stale when no frame arrived recently
+     * @param {number} time - Current time (performance.now())
+     */
+    checkStale(time) {
+        if (this.status === 'connected' && time - this.lastFrameTime > Config.websocket_stale_timeout) {
+            console.warn(`WebSocket input: no frames for ${Config.websocket_stale_timeout} ms`);
+            this.setStatus('stale');
+        }
+    }
+    
+    /**
+     * Whether the socket is open, even if no valid frame arrived yet
+     * @returns {boolean} True if the connection is open
+     */
+    isOpen() {
+        return this.socket !== null && this.socket.readyState === WebSocket.OPEN;
+    }
+    
+    /**
+     * Whether fresh data is arriving
+     * @returns {boolean} True if connected and frames are arriving
+     */
+    isReceiving() {
+        return this.status === 'connected';
+    }
+    
+    /**
+     * Get the latest position of a channel
+     * @param {string} name - The channel name
+     * @returns {number|null} Position (0-100%), or null if there is no fresh value
+     */
+    getValue(name) {
+        if (!this.isReceiving() || typeof this.values[name] !== 'number') {
+            return null;
+        }
+        
+        return this.values[name];
+    }
+    
+    /**
+     * Get the channels the bridge sends
+     * @returns {Array<string>} Channel names
+     */
+    getReceivedChannels() {
+        return this.channelNames.filter(name => typeof this.values[name] === 'number');
+    }
+    
+    /**
+     * Change the status and tell the listener
+     * @param {string} status - The new status
+     */
+    setStatus(status) {
+        if (this.status === status) {
+            return;
+        }
+        
+        this.status = status;
+        if (this.onStatusChange) {
+            this.onStatusChange(status);
+        }
+    }
+}
+
+// Make WebSocketInput available globally
+window.WebSocketInput = WebSocketInput;
@@ -12,6 +12,7 @@ let App = {
     // References to important components
     state: null,       // GameState instance
     input: null,       // InputHandler instance
+    sampler: null,     // InputSampler instance
     telemetry: null,   // Telemetry instance
     gameLoop: null,    // GameLoop instance
     
@@ -48,6 +49,10 @@ function initializeApp() {
         if (typeof InputHandler !== 'undefined') {
             App.input = new InputHandler();
             App.input.initialize();
+            
+            // Poll the input at a fixed rate, independent of the display refresh rate
+            App.sampler = new InputSampler(App.input);
+            App.sampler.start();
         } else {
             console.error("InputHandler module not loaded");
         }
@@ -58,6 +63,7 @@ function initializeApp() {
             // Connect the telemetry to the input handler
             if (App.input) {
                 App.telemetry.setInputHandler(App.input);
+                App.telemetry.setSampler(App.sampler);
             }
         } else {
             console.error("Telemetry module not loaded");
@@ -120,6 +126,41 @@ function initializeUI() {
         console.error("ResultsScreen module not loaded");
     }
     
+    // Initialize the calibration screen UI
+    if (typeof CalibrationScreen !== 'undefined') {
+        CalibrationScreen.initialize();
+    } else {
+        console.error("CalibrationScreen module not loaded");
+    }
+    
+    // Initialize the input diagnostics screen UI
+    if (typeof DiagnosticsScreen !== 'undefined') {
+        DiagnosticsScreen.initialize();
+    } else {
+        console.error("DiagnosticsScreen module not loaded");
+    }
+    
+    // Initialize the input filter settings
+    if (typeof FilterSettings !== 'undefined') {
+        FilterSettings.initialize();
+    } else {
+        console.error("FilterSettings module not loaded");
+    }
+    
+    // Initialize the keyboard emulation settings
+    if (typeof KeyboardSettings !== 'undefined') {
+        KeyboardSettings.initialize();
+    } else {
+        console.error("KeyboardSettings module not loaded");
+    }
+    
+    // Initialize the session history panel
+    if (typeof HistoryView !== 'undefined') {
+        HistoryView.initialize();
+    } else {
+        console.error("HistoryView module not loaded");
+    }
+    
     // Set up global UI event listeners
     window.addEventListener('resize', handleWindowResize);
 }
@@ -140,6 +181,9 @@ function handleWindowResize() {
             case 'resultsScreen':
                 if (typeof ResultsScreen !== 'undefined') ResultsScreen.handleResize();
                 break;
+            case 'calibrationScreen':
+                if (typeof CalibrationScreen !== 'undefined') CalibrationScreen.handleResize();
+                break;
         }
     }
 }
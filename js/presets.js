@@ -0,0 +1,365 @@
+/**
+ * presets.js
+ *
+ * Named training presets for the Sim Racing Pedal Training application.
+ * A preset sets the main game settings (targets, precision, timing, game mode,
+ * reflex mode and target range) together. Built-in presets cover common drills;
+ * users can save their own and share them as a short code string.
+ */
+
+const Presets = {
+    // Configuration fields stored in a preset (the order is used by share codes)
+    fields: [
+        'number_of_targets',
+        'precision_range',
+        'valid_duration',
+        'transition_delay',
+        'default_game_mode',
+        'reflex_mode_enabled',
+        'min_target_percentage',
+        'max_target_percentage'
+    ],
+    
+    // Built-in presets
+    builtIn: {
+        warmUp: {
+            name: 'Warm-up',
+            values: {
+                number_of_targets: 5,
+                precision_range: 8,
+                valid_duration: 1.0,
+                transition_delay: 1.0,
+                default_game_mode: 'fromZero',
+                reflex_mode_enabled: false,
+                min_target_percentage: 20,
+                max_target_percentage: 80
+            }
+        },
+        thresholdBraking: {
+            name: 'Threshold braking',
+            values: {
+                number_of_targets: 15,
+                precision_range: 3,
+                valid_duration: 2.0,
+                transition_delay: 1.0,
+                default_game_mode: 'fromZero',
+                reflex_mode_enabled: true,
+                min_target_percentage: 60,
+                max_target_percentage: 95
+            }
+        },
+        fineThrottle: {
+            name: 'Fine throttle',
+            values: {
+                number_of_targets: 20,
+                precision_range: 2,
+                valid_duration: 2.5,
+                transition_delay: 0.5,
+                default_game_mode: 'continuous',
+                reflex_mode_enabled: false,
+                min_target_percentage: 10,
+                max_target_percentage: 50
+            }
+        },
+        raceStart: {
+            name: 'Race start',
+            values: {
+                number_of_targets: 10,
+                precision_range: 4,
+                valid_duration: 1.0,
+                transition_delay: 1.5,
+                default_game_mode: 'fromZero',
+                reflex_mode_enabled: true,
+                min_target_percentage: 70,
+                max_target_percentage: 90
+            }
+        }
+    },
+    
+    // localStorage key for user presets (scoped to the active driver profile)
+    storageKey: 'pedal_training_presets',
+    
+    // Prefix that identifies a share code and its format version
+    codePrefix: 'PTP1:',
+    
+    // Maximum length of a preset name
+    maxNameLength: 30,
+    
+    /**
+     * Get all presets, built-in presets first
+     * @returns {Array<Object>} Presets with id, name, values and builtIn flag
+     */
+    getPresets() {
+        const builtIn = Object.keys(this.builtIn).map(id => ({
+            id: id,
+            name: this.builtIn[id].name,
+            values: { ...this.builtIn[id].values },
+            builtIn: true
+        }));
+        
+        const user = this.readUserPresets().map(preset => ({ ...preset, builtIn: false }));
+        
+        return builtIn.concat(user);
+    },
+    
+    /**
+     * Get a preset by ID
+     * @param {string} id - The preset ID
+     * @returns {Object|null} The preset or null if not found
+     */
+    getPreset(id) {
+        return this.getPresets().find(preset => preset.id === id) || null;
+    },
+    
+    /**
+     * Get the current configuration values covered by presets
+     * @returns {Object} Field values keyed by name
+     */
+    getCurrentValues() {
+        const values = {};
+        this.fields.forEach(field => {
+            values[field] = Config[field];
+        });
+        return values;
+    },
+    
+    /**
+     * Find the preset that matches the current configuration
+     * @returns {Object|null} The matching preset, or null if the settings are custom
+     */
+    findMatchingPreset() {
+        const current = this.getCurrentValues();
+        
+        return this.getPresets().find(preset =>
+            this.fields.every(field => preset.values[field] === current[field])
+        ) || null;
+    },
+    
+    /**
+     * Apply a preset to the configuration and save it
+     * @param {string} id - The preset ID
+     * @returns {boolean} Whether the preset was applied
+     */
+    applyPreset(id) {
+        const preset = this.getPreset(id);
+        if (!preset) {
+            console.error(`Preset '${id}' not found`);
+            return false;
+        }
+        
+        const problems = Config.applyValues(preset.values);
+        if (problems.length > 0) {
+            console.warn(`Preset '${preset.name}' was adjusted:`, problems);
+        }
+        
+        Config.saveToStorage();
+        Config.updateUIElements();
+        
+        console.log(`Preset applied: ${preset.name}`);
+        return true;
+    },
+    
+    /**
+     * Save the current configuration as a user preset
+     * @param {string} name - The preset name
+     * @returns {Object} The new preset
+     * @throws {Error} If the name is invalid
+     */
+    savePreset(name) {
+        return this.addPreset(name, this.getCurrentValues());
+    },
+    
+    /**
+     * Add a user preset
+     * @param {string} name - The preset name
+     * @param {Object} values - Field values keyed by name
+     * @returns {Object} The new preset
+     * @throws {Error} If the name is invalid
+     */
+    addPreset(name, values) {
+        const error = this.validateName(name);
+        if (error) {
+            throw new Error(error);
+        }
+        
+        const preset = {
+            id: `user-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: name.trim(),
+            values: { ...values }
+        };
+        
+        const presets = this.readUserPresets();
+        presets.push(preset);
+        this.writeUserPresets(presets);
+        
+        console.log(`Preset saved: ${preset.name}`);
+        return { ...preset, builtIn: false };
+    },
+    
+    /**
+     * Delete a user preset
+     * @param {string} id - The preset ID
+     * @returns {boolean} Whether a preset was deleted
+     */
+    deletePreset(id) {
+        const presets = this.readUserPresets();
+        const remaining = presets.filter(preset => preset.id !== id);
+        
+        if (remaining.length === presets.length) {
+            return false;
+        }
+        
+        this.writeUserPresets(remaining);
+        return true;
+    },
+    
+    /**
+     * Check a preset name
+     * @param {string} name - The proposed name
+     * @returns {string|null} An error message, or null if the name is valid
+     */
+    validateName(name) {
+        const trimmed = (name || '').trim();
+        
+        if (trimmed.length === 0) {
+            return 'Preset name cannot be empty';
+        }
+        
+        if (trimmed.length > this.maxNameLength) {
+            return `Preset name must be at most ${this.maxNameLength} characters`;
+        }
+        
+        if (this.getPresets().some(preset => preset.name.toLowerCase() === trimmed.toLowerCase())) {
+            return `A preset named "${trimmed}" already exists`;
+        }
+        
+        return null;
+    },
+    
+    /**
+     * Create a share code for a preset
+     * The code is the prefix followed by base64 encoded JSON: [name, value1, value2, ...]
+     * @param {Object} preset - The preset
+     * @returns {string} The share code
+     */
+    encodePreset(preset) {
+        const data = [preset.name].concat(this.fields.map(field => {
+            const value = preset.values[field];
+            return typeof value === 'boolean' ? (value ? 1 : 0) : value;
+        }));
+        
+        // Encode as UTF-8 first so names with any characters survive btoa
+        const json = JSON.stringify(data);
+        const bytes = new TextEncoder().encode(json);
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        
+        return this.codePrefix + btoa(binary);
+    },
+    
+    /**
+     * Read a share code
+     * @param {string} code - The share code
+     * @returns {Object} name and values of the shared preset
+     * @throws {Error} If the code is not a valid preset code
+     */
+    decodePreset(code) {
+        const trimmed = (code || '').trim();
+        if (!trimmed.startsWith(this.codePrefix)) {
+            throw new Error("This is not a preset code");
+        }
+        
+        let data;
+        try {
+            const binary = atob(trimmed.slice(this.codePrefix.length));
+            const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+            data = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            throw new Error("The preset code is damaged or incomplete");
+        }
+        
+        if (!Array.isArray(data) || data.length !== this.fields.length + 1 || typeof data[0] !== 'string') {
+            throw new Error("The preset code is damaged or incomplete");
+        }
+        
+        const values = {};
+        this.fields.forEach((field, index) => {
+            let value = data[index + 1];
+            if (Config.schema[field].type === 'boolean' && (value === 0 || value === 1)) {
+                value = value === 1;
+            }
+            
+            const validValue = Config.validateValue(field, value);
+            if (validValue === undefined) {
+                throw new Error(`The preset code has an invalid value for ${field}`);
+            }
+            values[field] = validValue;
+        });
+        
+        return { name: data[0], values: values };
+    },
+    
+    /**
+     * Add a preset from a share code
+     * If the name is already used, a number is added to it
+     * @param {string} code - The share code
+     * @returns {Object} The new preset
+     * @throws {Error} If the code is invalid
+     */
+    importPreset(code) {
+        const shared = this.decodePreset(code);
+        const baseName = shared.name.trim().slice(0, this.maxNameLength - 8) || 'Shared preset';
+        
+        let name = baseName;
+        let suffix = 2;
+        while (this.validateName(name)) {
+            name = `${baseName} (${suffix++})`;
+        }
+        
+        return this.addPreset(name, shared.values);
+    },
+    
+    /**
+     * Get the localStorage key for the active driver profile's presets
+     * @returns {string} The storage key
+     */
+    getStorageKey() {
+        return typeof Profiles !== 'undefined' ? Profiles.scopedKey(this.storageKey) : this.storageKey;
+    },
+    
+    /**
+     * Read the user presets from storage
+     * @returns {Array<Object>} User presets with id, name and values
+     */
+    readUserPresets() {
+        try {
+            const raw = localStorage.getItem(this.getStorageKey());
+            const presets = raw ? JSON.parse(raw) : [];
+            
+            return Array.isArray(presets) ?
+                presets.filter(preset => preset && typeof preset.id === 'string' &&
+                    typeof preset.name === 'string' && preset.values && typeof preset.values === 'object') :
+                [];
+        } catch (error) {
+            console.error("Failed to read saved presets:", error);
+            return [];
+        }
+    },
+    
+    /**
+     * Write the user presets to storage
+     * @param {Array<Object>} presets - User presets
+     */
+    writeUserPresets(presets) {
+        try {
+            localStorage.setItem(this.getStorageKey(), JSON.stringify(presets));
+        } catch (error) {
+            console.error("Failed to save presets:", error);
+        }
+    }
+};
+
+// Make Presets available globally
+window.Presets = Presets;
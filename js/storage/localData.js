@@ -0,0 +1,415 @@
+/**
+ * localData.js
+ *
+ * Manages persistent storage for the Sim Racing Pedal Training application.
+ * Stores completed game sessions (configuration, per-target data and scores)
+ * in localStorage and provides methods to query, prune and clear them.
+ */
+
+const LocalData = {
+    // localStorage keys (scoped to the active driver profile by getStorageKey)
+    storageKeys: {
+        results: 'pedal_training_results',          // Array of stored session results
+        corruptBackup: 'pedal_training_results_corrupt' // Raw copy of unreadable result data
+    },
+    
+    /**
+     * Load the saved configuration and tidy up stored history
+     * Called once during application initialization
+     */
+    loadConfiguration() {
+        console.log("Loading saved data");
+        
+        // Configuration values live in Config, which knows its own storage format
+        if (typeof Config !== 'undefined') {
+            Config.loadFromStorage();
+        }
+        
+        // Drop results that exceed the configured history limits
+        this.pruneResults();
+    },
+    
+    /**
+     * Save the results of a completed game session
+     * @param {Object} sessionData - The game session data (with calculated scores)
+     * @returns {Object|null} The stored result record, or null if nothing was saved
+     */
+    saveGameResult(sessionData) {
+        // Only completed sessions with at least one target are worth keeping
+        if (!sessionData || !sessionData.targets || sessionData.targets.length === 0) {
+            console.warn("No completed targets, session result not saved");
+            return null;
+        }
+        
+        const record = this.createResultRecord(sessionData);
+        
+        // Newest results are kept at the front of the list
+        const results = this.readResults();
+        results.unshift(record);
+        
+        if (!this.writeResults(this.applyRetentionLimits(results))) {
+            return null;
+        }
+        
+        // Remember which record belongs to this session so it isn't shown twice
+        sessionData.resultId = record.id;
+        
+        console.log(`Session result saved (${record.id})`);
+        return record;
+    },
+    
+    /**
+     * Build a storable result record from session data
+     * @param {Object} sessionData - The game session data
+     * @returns {Object} The result record
+     */
+    createResultRecord(sessionData) {
+        const scores = sessionData.scores || {};
+        
+        return {
+            id: this.generateId(),
+            date: new Date(sessionData.endTime || Date.now()).toISOString(),
+            gameMode: sessionData.gameMode,
+            reflexMode: !!sessionData.reflexMode,
+            profileId: sessionData.profileId || null,
+            startTime: sessionData.startTime,
+            endTime: sessionData.endTime,
+            config: {
+                number_of_targets: sessionData.totalTargets,
+                precision_range: Config.precision_range,
+                valid_duration: Config.valid_duration,
+                transition_delay: Config.transition_delay,
+                min_target_percentage: Config.min_target_percentage,
+                max_target_percentage: Config.max_target_percentage
+            },
+            targets: sessionData.targets.map(target => ({ ...target })),
+            scores: { ...scores }
+        };
+    },
+    
+    /**
+     * Add a result record from another source (e.g. an imported file)
+     * Records that are already stored (same ID) are skipped
+     * @param {Object} record - The result record
+     * @returns {boolean} Whether the record was added
+     */
+    importResult(record) {
+        if (!this.isValidResult(record)) {
+            console.warn("Import skipped, result record is invalid");
+            return false;
+        }
+        
+        const results = this.readResults();
+        if (results.some(result => result.id === record.id)) {
+            console.log(`Result ${record.id} is already stored, skipping import`);
+            return false;
+        }
+        
+        // Keep the list ordered from newest to oldest
+        results.push(record);
+        results.sort((a, b) => new Date(b.date).getTime() - new Date(a.date).getTime());
+        
+        return this.writeResults(this.applyRetentionLimits(results));
+    },
+    
+    /**
+     * Get historical results in the flat format used by the results chart
+     * @param {string} gameMode - Only return results for this game mode (optional)
+     * @param {Object} options - Additional filters (see getResults), plus excludeId
+     * @returns {Array} Results ordered from newest to oldest
+     */
+    getHistoricalResults(gameMode = null, options = {}) {
+        const results = this.getResults({ ...options, gameMode: gameMode || options.gameMode });
+        
+        return results
+            .filter(result => result.id !== options.excludeId)
+            .map(result => ({
+                id: result.id,
+                date: result.date,
+                gameMode: result.gameMode,
+                reflexMode: result.reflexMode,
+                gameTime: result.scores.gameTime,
+                totalTime: result.scores.totalTime,
+                avgReactionTime: result.scores.avgReactionTime,
+                avgPrecision: result.scores.avgPrecision,
+                consistencyScore: result.scores.consistencyScore,
+                overallScore: result.scores.overallScore
+            }));
+    },
+    
+    /**
+     * Get stored result records matching a filter
+     * @param {Object} filter - Filter options
+     * @param {string} filter.gameMode - Only results for this game mode
+     * @param {boolean} filter.reflexMode - Only results with this reflex mode setting
+     * @param {Date|string|number} filter.from - Only results on or after this date
+     * @param {Date|string|number} filter.to - Only results on or before this date
+     * @param {number} filter.limit - Maximum number of results to return
+     * @returns {Array} Matching result records, newest first
+     */
+    getResults(filter = {}) {
+        const from = filter.from !== undefined && filter.from !== null ? new Date(filter.from).getTime() : null;
+        const to = filter.to !== undefined && filter.to !== null ? new Date(filter.to).getTime() : null;
+        
+        let results = this.readResults().filter(result => {
+            const time = new Date(result.date).getTime();
+            
+            if (filter.gameMode && result.gameMode !== filter.gameMode) return false;
+            if (typeof filter.reflexMode === 'boolean' && result.reflexMode !== filter.reflexMode) return false;
+            if (from !== null && time < from) return false;
+            if (to !== null && time > to) return false;
+            
+            return true;
+        });
+        
+        if (filter.limit) {
+            results = results.slice(0, filter.limit);
+        }
+        
+        return results;
+    },
+    
+    /**
+     * Get the best value of each score for a game mode
+     * @param {string} gameMode - Only consider results for this game mode (optional)
+     * @returns {Object|null} Best scores with the ID of the session that set them, or null if there are no results
+     */
+    getPersonalBests(gameMode = null) {
+        const results = this.getResults({ gameMode });
+        if (results.length === 0) {
+            return null;
+        }
+        
+        // Whether a lower value is better for each score
+        const scoreTypes = {
+            gameTime: true,
+            avgReactionTime: true,
+            avgPrecision: true,
+            consistencyScore: false,
+            overallScore: false
+        };
+        
+        const bests = { sessionCount: results.length };
+        
+        Object.keys(scoreTypes).forEach(score => {
+            const lowerIsBetter = scoreTypes[score];
+            let best = null;
+            
+            results.forEach(result => {
+                const value = result.scores[score];
+                if (typeof value !== 'number' || !isFinite(value)) {
+                    return;
+                }
+                
+                if (best === null || (lowerIsBetter ? value < best.value : value > best.value)) {
+                    best = { value: value, resultId: result.id, date: result.date };
+                }
+            });
+            
+            bests[score] = best;
+        });
+        
+        return bests;
+    },
+    
+    /**
+     * Get a single result record by ID
+     * @param {string} id - The result ID
+     * @returns {Object|null} The result record or null if not found
+     */
+    getResult(id) {
+        return this.readResults().find(result => result.id === id) || null;
+    },
+    
+    /**
+     * Delete a single result record
+     * @param {string} id - The result ID
+     * @returns {boolean} Whether a record was deleted
+     */
+    deleteResult(id) {
+        const results = this.readResults();
+        const remaining = results.filter(result => result.id !== id);
+        
+        if (remaining.length === results.length) {
+            return false;
+        }
+        
+        return this.writeResults(remaining);
+    },
+    
+    /**
+     * Remove all stored results
+     */
+    clearResults() {
+        try {
+            localStorage.removeItem(this.getStorageKey('results'));
+            console.log("Stored results cleared");
+        } catch (error) {
+            console.error("Failed to clear stored results:", error);
+        }
+    },
+    
+    /**
+     * Remove results that exceed the configured count and age limits
+     * @returns {number} Number of results removed
+     */
+    pruneResults() {
+        const results = this.readResults();
+        const pruned = this.applyRetentionLimits(results);
+        const removed = results.length - pruned.length;
+        
+        if (removed > 0) {
+            this.writeResults(pruned);
+            console.log(`Pruned ${removed} old session results`);
+        }
+        
+        return removed;
+    },
+    
+    /**
+     * Apply the history count and age limits to a list of results
+     * @param {Array} results - Results ordered from newest to oldest
+     * @returns {Array} The results that should be kept
+     */
+    applyRetentionLimits(results) {
+        const maxResults = Config.history_max_results;
+        const maxAgeMs = Config.history_max_age_days * 24 * 60 * 60 * 1000;
+        const oldestAllowed = Date.now() - maxAgeMs;
+        
+        return results
+            .filter(result => new Date(result.date).getTime() >= oldestAllowed)
+            .slice(0, maxResults);
+    },
+    
+    /**
+     * Read all stored results, recovering from missing or corrupted data
+     * @returns {Array} Valid result records, newest first
+     */
+    readResults() {
+        let raw = null;
+        
+        try {
+            raw = localStorage.getItem(this.getStorageKey('results'));
+        } catch (error) {
+            console.error("Failed to read stored results:", error);
+            return [];
+        }
+        
+        if (!raw) {
+            return [];
+        }
+        
+        let parsed;
+        try {
+            parsed = JSON.parse(raw);
+        } catch (error) {
+            console.error("Stored results are corrupted, starting a new history:", error);
+            this.backupCorruptData(raw);
+            return [];
+        }
+        
+        if (!Array.isArray(parsed)) {
+            console.error("Stored results have an unexpected format, starting a new history");
+            this.backupCorruptData(raw);
+            return [];
+        }
+        
+        // Skip individual entries that can't be used rather than losing everything
+        return parsed.filter(result => this.isValidResult(result));
+    },
+    
+    /**
+     * Write the list of results to storage
+     * If storage is full, the oldest half of the history is dropped and the write retried
+     * @param {Array} results - Results ordered from newest to oldest
+     * @returns {boolean} Whether the results were written
+     */
+    writeResults(results) {
+        if (results.length === 0) {
+            this.clearResults();
+            return true;
+        }
+        
+        let toWrite = results;
+        
+        while (true) {
+            try {
+                localStorage.setItem(this.getStorageKey('results'), JSON.stringify(toWrite));
+                return true;
+            } catch (error) {
+                if (!this.isQuotaError(error) || toWrite.length === 1) {
+                    console.error("Failed to save results to localStorage:", error);
+                    return false;
+                }
+                
+                // Storage is full: keep the newest half and try again
+                const keep = Math.ceil(toWrite.length / 2);
+                console.warn(`Storage full, dropping ${toWrite.length - keep} oldest results`);
+                toWrite = toWrite.slice(0, keep);
+            }
+        }
+    },
+    
+    /**
+     * Check whether a stored entry looks like a usable result record
+     * @param {Object} result - The stored entry
+     * @returns {boolean} Whether the entry is valid
+     */
+    isValidResult(result) {
+        return !!result &&
+            typeof result === 'object' &&
+            typeof result.id === 'string' &&
+            !isNaN(new Date(result.date).getTime()) &&
+            !!result.scores &&
+            typeof result.scores === 'object';
+    },
+    
+    /**
+     * Check whether an error was caused by the storage quota being exceeded
+     * @param {Error} error - The error thrown by localStorage
+     * @returns {boolean} Whether this is a quota error
+     */
+    isQuotaError(error) {
+        return !!error && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 ||
+            error.code === 1014
+        );
+    },
+    
+    /**
+     * Keep a copy of unreadable data so it can be inspected, then reset the history
+     * @param {string} raw - The raw stored string
+     */
+    backupCorruptData(raw) {
+        try {
+            localStorage.setItem(this.getStorageKey('corruptBackup'), raw);
+        } catch (error) {
+            console.warn("Could not back up corrupted results:", error);
+        }
+        
+        this.clearResults();
+    },
+    
+    /**
+     * Get the localStorage key for the active driver profile
+     * @param {string} name - Name of the key in storageKeys
+     * @returns {string} The storage key
+     */
+    getStorageKey(name) {
+        const baseKey = this.storageKeys[name];
+        return typeof Profiles !== 'undefined' ? Profiles.scopedKey(baseKey) : baseKey;
+    },
+    
+    /**
+     * Generate a unique ID for a result record
+     * @returns {string} A unique ID
+     */
+    generateId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+};
+
+// Make LocalData available globally
+window.LocalData = LocalData;
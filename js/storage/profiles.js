@@ -0,0 +1,300 @@
+/**
+ * profiles.js
+ *
+ * Manages named driver profiles. Each profile has its own configuration,
+ * input mapping, session history and personal bests.
+ * Other modules keep their data separate by storing it under
+ * Profiles.scopedKey(baseKey) instead of a fixed localStorage key.
+ */
+
+const Profiles = {
+    // localStorage key for the profile list
+    storageKey: 'pedal_training_profiles',
+    
+    // The default profile uses the original (unscoped) storage keys,
+    // so data saved before profiles existed belongs to it
+    defaultProfileId: 'default',
+    
+    // Maximum length of a profile name
+    maxNameLength: 30,
+    
+    // Loaded profile data ({ activeProfileId, profiles: [{ id, name, createdAt }] })
+    data: null,
+    
+    /**
+     * Load the profile list from storage (only once)
+     * Called automatically by the other methods, so there is no initialization order to worry about
+     */
+    ensureLoaded() {
+        if (this.data) {
+            return;
+        }
+        
+        let stored = null;
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            stored = raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            console.error("Failed to load driver profiles, using the default profile:", error);
+        }
+        
+        const profiles = stored && Array.isArray(stored.profiles) ?
+            stored.profiles.filter(profile => profile && typeof profile.id === 'string' && typeof profile.name === 'string') :
+            [];
+        
+        // There is always a default profile
+        if (!profiles.some(profile => profile.id === this.defaultProfileId)) {
+            profiles.unshift({ id: this.defaultProfileId, name: 'Default', createdAt: new Date().toISOString() });
+        }
+        
+        const activeProfileId = stored && profiles.some(profile => profile.id === stored.activeProfileId) ?
+            stored.activeProfileId : this.defaultProfileId;
+        
+        this.data = { activeProfileId, profiles };
+    },
+    
+    /**
+     * Save the profile list to storage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+        } catch (error) {
+            console.error("Failed to save driver profiles:", error);
+        }
+    },
+    
+    /**
+     * Get all profiles
+     * @returns {Array<Object>} Profiles with id, name and createdAt
+     */
+    getProfiles() {
+        this.ensureLoaded();
+        return this.data.profiles.map(profile => ({ ...profile }));
+    },
+    
+    /**
+     * Get a profile by ID
+     * @param {string} id - The profile ID
+     * @returns {Object|null} The profile or null if not found
+     */
+    getProfile(id) {
+        this.ensureLoaded();
+        const profile = this.data.profiles.find(p => p.id === id);
+        return profile ? { ...profile } : null;
+    },
+    
+    /**
+     * Get the ID of the active profile
+     * @returns {string} The active profile ID
+     */
+    getActiveProfileId() {
+        this.ensureLoaded();
+        return this.data.activeProfileId;
+    },
+    
+    /**
+     * Get the active profile
+     * @returns {Object} The active profile
+     */
+    getActiveProfile() {
+        return this.getProfile(this.getActiveProfileId());
+    },
+    
+    /**
+     * Get the storage key to use for the active profile
+     * @param {string} baseKey - The base localStorage key
+     * @param {string} profileId - Profile to get the key for (defaults to the active profile)
+     * @returns {string} The profile-specific storage key
+     */
+    scopedKey(baseKey, profileId = null) {
+        const id = profileId || this.getActiveProfileId();
+        return id === this.defaultProfileId ? baseKey : `${baseKey}__${id}`;
+    },
+    
+    /**
+     * Check a profile name
+     * @param {string} name - The proposed name
+     * @param {string} ignoreId - Profile to ignore in the duplicate check (when renaming)
+     * @returns {string|null} An error message, or null if the name is valid
+     */
+    validateName(name, ignoreId = null) {
+        const trimmed = (name || '').trim();
+        
+        if (trimmed.length === 0) {
+            return 'Profile name cannot be empty';
+        }
+        
+        if (trimmed.length > this.maxNameLength) {
+            return `Profile name must be at most ${this.maxNameLength} characters`;
+        }
+        
+        const duplicate = this.getProfiles().some(profile =>
+            profile.id !== ignoreId && profile.name.toLowerCase() === trimmed.toLowerCase()
+        );
+        if (duplicate) {
+            return `A profile named "${trimmed}" already exists`;
+        }
+        
+        return null;
+    },
+    
+    /**
+     * Create a new profile
+     * @param {string} name - The profile name
+     * @returns {Object} The new profile
+     * @throws {Error} If the name is invalid
+     */
+    createProfile(name) {
+        const error = this.validateName(name);
+        if (error) {
+            throw new Error(error);
+        }
+        
+        const profile = {
+            id: `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: name.trim(),
+            createdAt: new Date().toISOString()
+        };
+        
+        this.data.profiles.push(profile);
+        this.save();
+        
+        console.log(`Profile created: ${profile.name}`);
+        return { ...profile };
+    },
+    
+    /**
+     * Rename a profile
+     * @param {string} id - The profile ID
+     * @param {string} name - The new name
+     * @throws {Error} If the profile doesn't exist or the name is invalid
+     */
+    renameProfile(id, name) {
+        this.ensureLoaded();
+        const profile = this.data.profiles.find(p => p.id === id);
+        if (!profile) {
+            throw new Error("Profile not found");
+        }
+        
+        const error = this.validateName(name, id);
+        if (error) {
+            throw new Error(error);
+        }
+        
+        profile.name = name.trim();
+        this.save();
+        
+        console.log(`Profile renamed: ${profile.name}`);
+    },
+    
+    /**
+     * Delete a profile and all data stored for it
+     * The default profile can't be deleted
+     * @param {string} id - The profile ID
+     * @throws {Error} If the profile can't be deleted
+     */
+    deleteProfile(id) {
+        this.ensureLoaded();
+        
+        if (id === this.defaultProfileId) {
+            throw new Error("The default profile can't be deleted");
+        }
+        
+        const index = this.data.profiles.findIndex(p => p.id === id);
+        if (index === -1) {
+            throw new Error("Profile not found");
+        }
+        
+        // Remove every localStorage entry scoped to this profile
+        const suffix = `__${id}`;
+        try {
+            const keys = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key && key.endsWith(suffix)) {
+                    keys.push(key);
+                }
+            }
+            keys.forEach(key => localStorage.removeItem(key));
+        } catch (error) {
+            console.error("Failed to remove profile data:", error);
+        }
+        
+        // Remove archived sessions recorded with this profile
+        if (typeof SessionArchive !== 'undefined' && SessionArchive.isSupported()) {
+            SessionArchive.deleteSessionsForProfile(id)
+                .catch(error => console.error("Failed to remove archived sessions for profile:", error));
+        }
+        
+        const [removed] = this.data.profiles.splice(index, 1);
+        
+        // Fall back to the default profile if the active one was deleted
+        if (this.data.activeProfileId === id) {
+            this.setActiveProfile(this.defaultProfileId);
+        } else {
+            this.save();
+        }
+        
+        console.log(`Profile deleted: ${removed.name}`);
+    },
+    
+    /**
+     * Switch to another profile and reload everything that is stored per profile
+     * @param {string} id - The profile ID
+     */
+    setActiveProfile(id) {
+        this.ensureLoaded();
+        
+        if (!this.data.profiles.some(p => p.id === id)) {
+            console.error(`Profile '${id}' does not exist`);
+            return;
+        }
+        
+        this.data.activeProfileId = id;
+        this.save();
+        
+        console.log(`Active profile: ${this.getActiveProfile().name}`);
+        
+        // Load this profile's configuration (unsaved values start from the defaults)
+        if (typeof Config !== 'undefined') {
+            Config.applyDefaults();
+            Config.loadFromStorage();
+            Config.updateUIElements();
+        }
+        
+        // Load this profile's input mapping, filters and sample rate
+        if (typeof App !== 'undefined' && App.input) {
+            App.input.loadInputMapping();
+            App.input.configureFilters();
+        }
+        if (typeof App !== 'undefined' && App.sampler) {
+            App.sampler.setSampleRate(Config.input_sample_rate);
+        }
+        
+        // Start a fresh session for the new driver
+        if (typeof App !== 'undefined' && App.state) {
+            App.state.resetSessionData();
+        }
+        
+        // Refresh menu views that show profile data
+        if (typeof MainMenu !== 'undefined') {
+            MainMenu.updateUI();
+        }
+        
+        if (typeof HistoryView !== 'undefined') {
+            HistoryView.updateUI();
+        }
+        
+        if (typeof FilterSettings !== 'undefined') {
+            FilterSettings.updateUI();
+        }
+        
+        if (typeof KeyboardSettings !== 'undefined') {
+            KeyboardSettings.updateUI();
+        }
+    }
+};
+
+// Make Profiles available globally
+window.Profiles = Profiles;
@@ -0,0 +1,603 @@
+/**
+ * sessionArchive.js
+ *
+ * Stores the complete telemetry trace of every finished session in IndexedDB
+ * so runs can be reviewed long after the page has been closed.
+ * Session summaries and traces are kept in separate object stores, so listing
+ * the archive never has to load the (large) sample data.
+ */
+
+const SessionArchive = {
+    // Database settings
+    dbName: 'pedal_training_archive',
+    dbVersion: 1,
+    storeNames: {
+        sessions: 'sessions',   // Small summary records, used for listing
+        traces: 'traces'        // Full sample data, loaded only when a session is opened
+    },
+    
+    // Fraction of the browser storage quota the archive is allowed to fill
+    quotaUsageLimit: 0.9,
+    
+    // Cached database connection promise
+    dbPromise: null,
+    
+    /**
+     * Check whether IndexedDB is available in this browser
+     * @returns {boolean} Whether the archive can be used
+     */
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    },
+    
+    /**
+     * Open (and if needed create or upgrade) the archive database
+     * @returns {Promise<IDBDatabase>} The database connection
+     */
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+        
+        if (!this.isSupported()) {
+            return Promise.reject(new Error("IndexedDB is not supported in this browser"));
+        }
+        
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+            
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                
+                if (!db.objectStoreNames.contains(this.storeNames.sessions)) {
+                    const sessions = db.createObjectStore(this.storeNames.sessions, { keyPath: 'id' });
+                    sessions.createIndex('date', 'date');
+                    sessions.createIndex('gameMode', 'gameMode');
+                }
+                
+                if (!db.objectStoreNames.contains(this.storeNames.traces)) {
+                    db.createObjectStore(this.storeNames.traces, { keyPath: 'sessionId' });
+                }
+            };
+            
+            request.onsuccess = () => {
+                const db = request.result;
+                
+                // Drop the cached connection if another tab upgrades the database
+                db.onversionchange = () => {
+                    db.close();
+                    this.dbPromise = null;
+                };
+                
+                resolve(db);
+            };
+            
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+        });
+        
+        return this.dbPromise;
+    },
+    
+    /**
+     * Archive a finished session with its full telemetry trace
+     * @param {Object} sessionData - The game session data (with calculated scores)
+     * @param {Array} samples - Telemetry samples from Telemetry.getFullTrace()
+     * @returns {Promise<Object>} The stored session summary
+     */
+    saveSession(sessionData, samples) {
+        // Copy everything we need now, the session data may be reset while we wait
+        const summary = this.createSummary(sessionData, samples);
+        const trace = {
+            sessionId: summary.id,
+            targets: (sessionData.targets || []).map(target => ({ ...target })),
+            markers: this.extractTargetMarkers(samples),
+            samples: this.packSamples(samples)
+        };
+        
+        summary.sizeBytes = this.estimateSize(trace);
+        
+        return this.ensureSpace(summary.sizeBytes)
+            .then(() => this.writeSession(summary, trace))
+            .catch(error => {
+                if (!this.isQuotaError(error)) {
+                    throw error;
+                }
+                
+                // Storage filled up during the write: make room and try once more
+                console.warn("Archive storage full, removing oldest sessions and retrying");
+                return this.deleteOldestSessions(Math.max(1, Math.ceil(summary.sizeBytes / 50000)))
+                    .then(() => this.writeSession(summary, trace));
+            })
+            .then(() => this.enforceSessionLimit(this.getProfileId(summary)))
+            .then(() => {
+                console.log(`Session archived (${summary.id}, ${summary.sampleCount} samples)`);
+                return summary;
+            });
+    },
+    
+    /**
+     * Build the summary record for a session
+     * @param {Object} sessionData - The game session data
+     * @param {Array} samples - Telemetry samples
+     * @returns {Object} The summary record
+     */
+    createSummary(sessionData, samples) {
+        const id = sessionData.resultId ||
+            (typeof LocalData !== 'undefined' ? LocalData.generateId() : String(Date.now()));
+        
+        return {
+            id: id,
+            date: new Date(sessionData.endTime || Date.now()).toISOString(),
+            gameMode: sessionData.gameMode,
+            reflexMode: !!sessionData.reflexMode,
+            profileId: sessionData.profileId ||
+                (typeof Profiles !== 'undefined' ? Profiles.getActiveProfileId() : null),
+            totalTargets: sessionData.totalTargets,
+            targetsCompleted: (sessionData.targets || []).length,
+            scores: { ...(sessionData.scores || {}) },
+            sampleCount: samples.length,
+            duration: samples.length > 0 ? samples[samples.length - 1].time : 0,
+            sizeBytes: 0
+        };
+    },
+    
+    /**
+     * Write a summary and trace in a single transaction
+     * @param {Object} summary - The session summary
+     * @param {Object} trace - The packed trace record
+     * @returns {Promise} Resolves when the transaction completes
+     */
+    writeSession(summary, trace) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction([this.storeNames.sessions, this.storeNames.traces], 'readwrite');
+            transaction.objectStore(this.storeNames.sessions).put(summary);
+            transaction.objectStore(this.storeNames.traces).put(trace);
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        }));
+    },
+    
+    /**
+     * List archived sessions, newest first, without loading their traces
+     * @param {Object} options - Listing options
+     * @param {number} options.offset - Number of sessions to skip
+     * @param {number} options.limit - Maximum number of sessions to return
+     * @param {string} options.gameMode - Only sessions for this game mode
+     * @param {string} options.profileId - Only sessions recorded with this driver profile
+     * @returns {Promise<Array>} Session summaries
+     */
+    listSessions(options = {}) {
+        const offset = options.offset || 0;
+        const limit = options.limit || 20;
+        
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const store = db.transaction(this.storeNames.sessions, 'readonly').objectStore(this.storeNames.sessions);
+            const request = store.index('date').openCursor(null, 'prev');
+            const results = [];
+            let skipped = 0;
+            
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || results.length >= limit) {
+                    resolve(results);
+                    return;
+                }
+                
+                const summary = cursor.value;
+                if ((!options.gameMode || summary.gameMode === options.gameMode) &&
+                    (!options.profileId || this.getProfileId(summary) === options.profileId)) {
+                    if (skipped < offset) {
+                        skipped++;
+                    } else {
+                        results.push(summary);
+                    }
+                }
+                
+                cursor.continue();
+            };
+            
+            request.onerror = () => reject(request.error);
+        }));
+    },
+    
+    /**
+     * Count the archived sessions
+     * @param {string} profileId - Only count sessions recorded with this driver profile (optional)
+     * @returns {Promise<number>} The number of sessions
+     */
+    countSessions(profileId = null) {
+        if (profileId) {
+            return this.getSessionIdsForProfile(profileId).then(ids => ids.length);
+        }
+        
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const request = db.transaction(this.storeNames.sessions, 'readonly')
+                .objectStore(this.storeNames.sessions).count();
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }));
+    },
+    
+    /**
+     * Get the driver profile a session was recorded with
+     * Sessions archived before profiles existed belong to the default profile
+     * @param {Object} summary - The session summary
+     * @returns {string} The profile ID
+     */
+    getProfileId(summary) {
+        return summary.profileId || (typeof Profiles !== 'undefined' ? Profiles.defaultProfileId : 'default');
+    },
+    
+    /**
+     * Get the IDs of all sessions recorded with a driver profile
+     * @param {string} profileId - The profile ID
+     * @returns {Promise<Array<string>>} Session IDs
+     */
+    getSessionIdsForProfile(profileId) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const request = db.transaction(this.storeNames.sessions, 'readonly')
+                .objectStore(this.storeNames.sessions).openCursor();
+            const ids = [];
+            
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(ids);
+                    return;
+                }
+                
+                if (this.getProfileId(cursor.value) === profileId) {
+                    ids.push(cursor.primaryKey);
+                }
+                cursor.continue();
+            };
+            
+            request.onerror = () => reject(request.error);
+        }));
+    },
+    
+    /**
+     * Delete every session recorded with a driver profile
+     * @param {string} profileId - The profile ID
+     * @returns {Promise<number>} Number of sessions deleted
+     */
+    deleteSessionsForProfile(profileId) {
+        return this.getSessionIdsForProfile(profileId).then(ids => {
+            return this.deleteSessions(ids).then(() => ids.length);
+        });
+    },
+    
+    /**
+     * Load a session with its full telemetry trace
+     * @param {string} id - The session ID
+     * @returns {Promise<Object|null>} summary, targets, markers and unpacked samples, or null if not found
+     */
+    getSession(id) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction([this.storeNames.sessions, this.storeNames.traces], 'readonly');
+            const summaryRequest = transaction.objectStore(this.storeNames.sessions).get(id);
+            const traceRequest = transaction.objectStore(this.storeNames.traces).get(id);
+            
+            transaction.oncomplete = () => {
+                const summary = summaryRequest.result;
+                const trace = traceRequest.result;
+                
+                if (!summary) {
+                    resolve(null);
+                    return;
+                }
+                
+                resolve({
+                    summary: summary,
+                    targets: trace ? trace.targets : [],
+                    markers: trace ? trace.markers : [],
+                    samples: trace ? this.unpackSamples(trace.samples) : []
+                });
+            };
+            
+            transaction.onerror = () => reject(transaction.error);
+        }));
+    },
+    
+    /**
+     * Delete a session and its trace
+     * @param {string} id - The session ID
+     * @returns {Promise} Resolves when the session is deleted
+     */
+    deleteSession(id) {
+        return this.deleteSessions([id]);
+    },
+    
+    /**
+     * Delete several sessions and their traces
+     * @param {Array<string>} ids - The session IDs
+     * @returns {Promise} Resolves when the sessions are deleted
+     */
+    deleteSessions(ids) {
+        if (ids.length === 0) {
+            return Promise.resolve();
+        }
+        
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction([this.storeNames.sessions, this.storeNames.traces], 'readwrite');
+            const sessions = transaction.objectStore(this.storeNames.sessions);
+            const traces = transaction.objectStore(this.storeNames.traces);
+            
+            ids.forEach(id => {
+                sessions.delete(id);
+                traces.delete(id);
+            });
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        }));
+    },
+    
+    /**
+     * Delete every archived session
+     * @returns {Promise} Resolves when the archive is empty
+     */
+    clearArchive() {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction([this.storeNames.sessions, this.storeNames.traces], 'readwrite');
+            transaction.objectStore(this.storeNames.sessions).clear();
+            transaction.objectStore(this.storeNames.traces).clear();
+            
+            transaction.oncomplete = () => {
+                console.log("Session archive cleared");
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+        }));
+    },
+    
+    /**
+     * Delete the oldest archived sessions
+     * @param {number} count - Number of sessions to delete
+     * @param {string} profileId - Only delete sessions recorded with this driver profile (optional)
+     * @returns {Promise<number>} Number of sessions deleted
+     */
+    deleteOldestSessions(count, profileId = null) {
+        return this.getOldestSessionIds(count, profileId).then(ids => {
+            return this.deleteSessions(ids).then(() => {
+                if (ids.length > 0) {
+                    console.log(`Removed ${ids.length} oldest archived sessions`);
+                }
+                return ids.length;
+            });
+        });
+    },
+    
+    /**
+     * Get the IDs of the oldest archived sessions
+     * @param {number} count - Maximum number of IDs to return
+     * @param {string} profileId - Only sessions recorded with this driver profile (optional)
+     * @returns {Promise<Array<string>>} Session IDs, oldest first
+     */
+    getOldestSessionIds(count, profileId = null) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            // The profile is in the summary, so filtering by profile needs the values
+            const index = db.transaction(this.storeNames.sessions, 'readonly')
+                .objectStore(this.storeNames.sessions).index('date');
+            const request = profileId ? index.openCursor(null, 'next') : index.openKeyCursor(null, 'next');
+            const ids = [];
+            
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || ids.length >= count) {
+                    resolve(ids);
+                    return;
+                }
+                
+                if (!profileId || this.getProfileId(cursor.value) === profileId) {
+                    ids.push(cursor.primaryKey);
+                }
+                cursor.continue();
+            };
+            
+            request.onerror = () => reject(request.error);
+        }));
+    },
+    
+    /**
+     * Remove a driver's oldest sessions when they have more than the configured maximum
+     * Each driver profile has its own limit, so one driver's sessions never push out another's
+     * @param {string} profileId - The profile ID (defaults to the active profile)
+     * @returns {Promise<number>} Number of sessions removed
+     */
+    enforceSessionLimit(profileId = null) {
+        const maxSessions = Config.archive_max_sessions;
+        const id = profileId || (typeof Profiles !== 'undefined' ? Profiles.getActiveProfileId() : this.getProfileId({}));
+        
+        return this.getSessionIdsForProfile(id).then(ids => {
+            if (ids.length <= maxSessions) {
+                return 0;
+            }
+            return this.deleteOldestSessions(ids.length - maxSessions, id);
+        });
+    },
+    
+    /**
+     * Make sure there is room in the storage quota for a new session
+     * Removes the oldest sessions while the estimated usage would exceed the limit
+     * @param {number} bytesNeeded - Estimated size of the new session
+     * @returns {Promise} Resolves once there is (probably) enough space
+     */
+    ensureSpace(bytesNeeded) {
+        const estimateSupported = typeof navigator !== 'undefined' &&
+            navigator.storage && typeof navigator.storage.estimate === 'function';
+        
+        if (!estimateSupported) {
+            return Promise.resolve();
+        }
+        
+        const attempt = (remainingTries) => navigator.storage.estimate().then(estimate => {
+            if (!estimate.quota || remainingTries <= 0) {
+                return;
+            }
+            
+            const limit = estimate.quota * this.quotaUsageLimit;
+            if (estimate.usage + bytesNeeded <= limit) {
+                return;
+            }
+            
+            console.warn("Archive is close to the storage quota, removing oldest sessions");
+            return this.deleteOldestSessions(5).then(removed => {
+                if (removed > 0) {
+                    return attempt(remainingTries - 1);
+                }
+            });
+        });
+        
+        return attempt(10);
+    },
+    
+    /**
+     * Get the storage usage reported by the browser
+     * @returns {Promise<Object|null>} usage and quota in bytes, or null if unavailable
+     */
+    getStorageUsage() {
+        if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+            return Promise.resolve(null);
+        }
+        
+        return navigator.storage.estimate().then(estimate => ({
+            usage: estimate.usage || 0,
+            quota: estimate.quota || 0
+        }));
+    },
+    
+    /**
+     * Convert samples to a column layout, which is much smaller to store than an array of objects
+     * @param {Array} samples - Telemetry samples
+     * @returns {Object} Column arrays for each sample field
+     */
+    packSamples(samples) {
+        const packed = {
+            time: [],
+            position: [],
+            rawPosition: [],
+            isInTarget: [],
+            isTransition: [],
+            targetValue: [],
+            channels: {}
+        };
+        
+        // Every pedal channel that appears in the trace gets its own column
+        samples.forEach(sample => {
+            Object.keys(sample.channels || {}).forEach(name => {
+                if (!packed.channels[name]) {
+                    packed.channels[name] = [];
+                }
+            });
+        });
+        
+        samples.forEach(sample => {
+            packed.time.push(Math.round(sample.time));
+            packed.position.push(Math.round(sample.position * 100) / 100);
+            packed.rawPosition.push(typeof sample.rawPosition === 'number' ? Math.round(sample.rawPosition * 100) / 100 : null);
+            packed.isInTarget.push(sample.isInTarget ? 1 : 0);
+            packed.isTransition.push(sample.isTransition ? 1 : 0);
+            packed.targetValue.push(sample.targetValue);
+            
+            Object.keys(packed.channels).forEach(name => {
+                const value = sample.channels ? sample.channels[name] : undefined;
+                packed.channels[name].push(typeof value === 'number' ? Math.round(value * 100) / 100 : null);
+            });
+        });
+        
+        return packed;
+    },
+    
+    /**
+     * Convert column arrays back to telemetry samples
+     * @param {Object} packed - Column arrays from packSamples
+     * @returns {Array} Telemetry samples
+     */
+    unpackSamples(packed) {
+        if (!packed || !Array.isArray(packed.time)) {
+            return [];
+        }
+        
+        // Traces archived before multi-pedal support have no channel columns
+        const channelNames = Object.keys(packed.channels || {});
+        
+        return packed.time.map((time, index) => {
+            const channels = {};
+            channelNames.forEach(name => {
+                if (packed.channels[name][index] !== null) {
+                    channels[name] = packed.channels[name][index];
+                }
+            });
+            
+            // Traces archived before input filtering have no unfiltered positions
+            const rawPosition = packed.rawPosition ? packed.rawPosition[index] : null;
+            
+            return {
+                time: time,
+                position: packed.position[index],
+                rawPosition: rawPosition === null ? undefined : rawPosition,
+                isInTarget: packed.isInTarget[index] === 1,
+                isTransition: packed.isTransition[index] === 1,
+                targetValue: packed.targetValue[index],
+                channels: channels
+            };
+        });
+    },
+    
+    /**
+     * Find the points in a trace where the target (or transition target) changes
+     * @param {Array} samples - Telemetry samples
+     * @returns {Array} Markers with time, value and isTransition
+     */
+    extractTargetMarkers(samples) {
+        const markers = [];
+        let prevValue;
+        let prevTransition;
+        
+        samples.forEach(sample => {
+            if (sample.targetValue !== prevValue || sample.isTransition !== prevTransition) {
+                markers.push({
+                    time: sample.time,
+                    value: sample.targetValue,
+                    isTransition: sample.isTransition
+                });
+                prevValue = sample.targetValue;
+                prevTransition = sample.isTransition;
+            }
+        });
+        
+        return markers;
+    },
+    
+    /**
+     * Roughly estimate the stored size of a record
+     * @param {Object} record - The record to measure
+     * @returns {number} Estimated size in bytes
+     */
+    estimateSize(record) {
+        try {
+            return JSON.stringify(record).length * 2;
+        } catch (error) {
+            return 0;
+        }
+    },
+    
+    /**
+     * Check whether an error was caused by the storage quota being exceeded
+     * @param {Error} error - The error
+     * @returns {boolean} Whether this is a quota error
+     */
+    isQuotaError(error) {
+        return !!error && error.name === 'QuotaExceededError';
+    }
+};
+
+// Make SessionArchive available globally
+window.SessionArchive = SessionArchive;
@@ -0,0 +1,374 @@
+/**
+ * sessionExport.js
+ *
+ * Exports sessions as JSON (full session with telemetry) or CSV (flat telemetry
+ * for spreadsheets), and imports exported JSON back into local history and the
+ * session archive after validating it.
+ */
+
+const SessionExport = {
+    // File format identification
+    formatName: 'pedal-training-session',
+    formatVersion: 1,
+    
+    // Largest number of telemetry samples accepted on import (about 2.7 hours at 100Hz)
+    maxImportSamples: 1000000,
+    
+    // Telemetry fields written to exports, in CSV column order
+    telemetryFields: ['time', 'position', 'rawPosition', 'isInTarget', 'isTransition', 'targetValue'],
+    
+    // Pedal channels written as extra CSV columns when they were recorded
+    channelNames: ['throttle', 'brake', 'clutch'],
+    
+    /**
+     * Build an export object from session data and telemetry samples
+     * @param {Object} sessionData - Session data or a stored result record
+     * @param {Array} samples - Telemetry samples
+     * @returns {Object} The export object
+     */
+    buildExport(sessionData, samples) {
+        const id = sessionData.resultId || sessionData.id || null;
+        const date = sessionData.date || new Date(sessionData.endTime || Date.now()).toISOString();
+        
+        return {
+            format: this.formatName,
+            version: this.formatVersion,
+            exportedAt: new Date().toISOString(),
+            sessionData: {
+                id: id,
+                date: date,
+                gameMode: sessionData.gameMode,
+                reflexMode: !!sessionData.reflexMode,
+                startTime: sessionData.startTime || null,
+                endTime: sessionData.endTime || null,
+                totalTargets: sessionData.totalTargets ||
+                    (sessionData.config ? sessionData.config.number_of_targets : null),
+                config: sessionData.config || null
+            },
+            scores: { ...(sessionData.scores || {}) },
+            targets: (sessionData.targets || []).map(target => ({ ...target })),
+            telemetry: (samples || []).map(sample => ({
+                time: sample.time,
+                position: sample.position,
+                rawPosition: typeof sample.rawPosition === 'number' ? sample.rawPosition : null,
+                isInTarget: !!sample.isInTarget,
+                isTransition: !!sample.isTransition,
+                targetValue: sample.targetValue === undefined ? null : sample.targetValue,
+                channels: { ...(sample.channels || {}) }
+            }))
+        };
+    },
+    
+    /**
+     * Build an export object for an archived session
+     * @param {string} id - The session ID
+     * @returns {Promise<Object>} The export object
+     */
+    buildExportFromArchive(id) {
+        return SessionArchive.getSession(id).then(session => {
+            if (!session) {
+                throw new Error("Session not found in the archive");
+            }
+            
+            // The local history record holds the configuration used for the session
+            const record = typeof LocalData !== 'undefined' ? LocalData.getResult(id) : null;
+            const sessionData = {
+                ...session.summary,
+                config: record ? record.config : null,
+                targets: session.targets
+            };
+            
+            return this.buildExport(sessionData, session.samples);
+        });
+    },
+    
+    /**
+     * Convert an export object to a JSON string
+     * @param {Object} exportData - The export object
+     * @returns {string} JSON text
+     */
+    toJSON(exportData) {
+        return JSON.stringify(exportData, null, 2);
+    },
+    
+    /**
+     * Convert telemetry samples to CSV
+     * @param {Array} telemetry - Telemetry samples (as in an export object)
+     * @returns {string} CSV text with a header row
+     */
+    toCSV(telemetry) {
+        // Only add columns for pedal channels that appear in the data
+        const channels = this.channelNames.filter(name =>
+            telemetry.some(sample => sample.channels && typeof sample.channels[name] === 'number')
+        );
+        
+        const formatValue = value => {
+            if (value === null || value === undefined) {
+                return '';
+            }
+            if (typeof value === 'boolean') {
+                return value ? 1 : 0;
+            }
+            return value;
+        };
+        
+        const lines = [this.telemetryFields.concat(channels).join(',')];
+        
+        telemetry.forEach(sample => {
+            const values = this.telemetryFields.map(field => formatValue(sample[field]));
+            channels.forEach(name => {
+                values.push(formatValue(sample.channels ? sample.channels[name] : null));
+            });
+            lines.push(values.join(','));
+        });
+        
+        return lines.join('\n');
+    },
+    
+    /**
+     * Create a file name for an exported session
+     * @param {Object} exportData - The export object
+     * @param {string} extension - File extension ('json' or 'csv')
+     * @returns {string} The file name
+     */
+    createFileName(exportData, extension) {
+        const date = new Date(exportData.sessionData.date);
+        const stamp = isNaN(date.getTime()) ? 'session' :
+            date.toISOString().slice(0, 19).replace(/[:T]/g, '-');
+        
+        return `pedal-training-${exportData.sessionData.gameMode || 'session'}-${stamp}.${extension}`;
+    },
+    
+    /**
+     * Download an export as a JSON file
+     * @param {Object} exportData - The export object
+     */
+    downloadJSON(exportData) {
+        this.downloadFile(this.createFileName(exportData, 'json'), this.toJSON(exportData), 'application/json');
+    },
+    
+    /**
+     * Download an export's telemetry as a CSV file
+     * @param {Object} exportData - The export object
+     */
+    downloadCSV(exportData) {
+        this.downloadFile(this.createFileName(exportData, 'csv'), this.toCSV(exportData.telemetry), 'text/csv');
+    },
+    
+    /**
+     * Offer text content to the user as a file download
+     * @param {string} fileName - Name of the file
+     * @param {string} content - File content
+     * @param {string} mimeType - MIME type of the content
+     */
+    downloadFile(fileName, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        // Give the browser a moment to start the download before releasing the data
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+    
+    /**
+     * Read a user-selected file as text
+     * @param {File} file - The file to read
+     * @returns {Promise<string>} The file content
+     */
+    readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
+        });
+    },
+    
+    /**
+     * Parse and validate exported JSON text
+     * @param {string} text - The JSON text
+     * @returns {Object} The validated export object
+     * @throws {Error} If the text is not a valid session export
+     */
+    parseImport(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error("The file is not valid JSON");
+        }
+        
+        const errors = this.validateImport(data);
+        if (errors.length > 0) {
+            throw new Error(`Invalid session file: ${errors.join('; ')}`);
+        }
+        
+        return data;
+    },
+    
+    /**
+     * Validate an export object
+     * @param {Object} data - The parsed export object
+     * @returns {Array<string>} Validation errors (empty if valid)
+     */
+    validateImport(data) {
+        const errors = [];
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+        
+        if (!data || typeof data !== 'object') {
+            return ['file does not contain a session'];
+        }
+        
+        if (data.format !== this.formatName) {
+            errors.push('not a pedal training session export');
+            return errors;
+        }
+        
+        if (!isNumber(data.version) || data.version > this.formatVersion) {
+            errors.push(`unsupported format version ${data.version}`);
+            return errors;
+        }
+        
+        // Session information
+        const session = data.sessionData;
+        if (!session || typeof session !== 'object') {
+            errors.push('missing sessionData');
+        } else {
+            if (typeof session.gameMode !== 'string' ||
+                (typeof GameModes !== 'undefined' && !GameModes.getMode(session.gameMode))) {
+                errors.push(`unknown game mode "${session.gameMode}"`);
+            }
+            if (isNaN(new Date(session.date).getTime())) {
+                errors.push('invalid session date');
+            }
+        }
+        
+        // Scores
+        if (!data.scores || typeof data.scores !== 'object') {
+            errors.push('missing scores');
+        } else {
+            Object.keys(data.scores).forEach(key => {
+                const value = data.scores[key];
+                if (value !== null && typeof value !== 'object' && !isNumber(value)) {
+                    errors.push(`score "${key}" is not a number`);
+                }
+            });
+        }
+        
+        // Targets
+        if (!Array.isArray(data.targets) || data.targets.length === 0) {
+            errors.push('missing targets');
+        } else if (data.targets.some(target => !target || typeof target !== 'object')) {
+            errors.push('targets contain invalid entries');
+        }
+        
+        // Telemetry (may be empty, but each sample must be well formed)
+        if (!Array.isArray(data.telemetry)) {
+            errors.push('missing telemetry');
+        } else if (data.telemetry.length > this.maxImportSamples) {
+            errors.push('telemetry is too large');
+        } else {
+            const badIndex = data.telemetry.findIndex(sample =>
+                !sample ||
+                !isNumber(sample.time) ||
+                !isNumber(sample.position) ||
+                sample.position < 0 || sample.position > 100 ||
+                (sample.rawPosition !== null && sample.rawPosition !== undefined &&
+                    (!isNumber(sample.rawPosition) || sample.rawPosition < 0 || sample.rawPosition > 100)) ||
+                (sample.targetValue !== null && sample.targetValue !== undefined && !isNumber(sample.targetValue)) ||
+                (sample.channels !== undefined && !this.isValidChannelData(sample.channels))
+            );
+            if (badIndex !== -1) {
+                errors.push(`telemetry sample ${badIndex} is invalid`);
+            }
+        }
+        
+        return errors;
+    },
+    
+    /**
+     * Check the pedal channel positions of an imported sample
+     * @param {Object} channels - Positions keyed by channel name
+     * @returns {boolean} Whether every position is a number from 0 to 100
+     */
+    isValidChannelData(channels) {
+        if (!channels || typeof channels !== 'object') {
+            return false;
+        }
+        
+        return Object.keys(channels).every(name => {
+            const value = channels[name];
+            return typeof value === 'number' && isFinite(value) && value >= 0 && value <= 100;
+        });
+    },
+    
+    /**
+     * Import a validated export into the active profile's history and the session archive
+     * Sessions that are already stored (same ID) are not duplicated
+     * @param {Object} data - A validated export object
+     * @returns {Promise<Object>} id and whether the session was newly imported
+     */
+    importSession(data) {
+        const session = data.sessionData;
+        const id = session.id || LocalData.generateId();
+        
+        const record = {
+            id: id,
+            date: new Date(session.date).toISOString(),
+            gameMode: session.gameMode,
+            reflexMode: !!session.reflexMode,
+            profileId: typeof Profiles !== 'undefined' ? Profiles.getActiveProfileId() : null,
+            startTime: session.startTime,
+            endTime: session.endTime,
+            config: session.config || {},
+            targets: data.targets,
+            scores: data.scores
+        };
+        
+        const imported = LocalData.importResult(record);
+        
+        if (typeof SessionArchive === 'undefined' || !SessionArchive.isSupported()) {
+            return Promise.resolve({ id, imported });
+        }
+        
+        // Only add the trace if the archive doesn't already hold this session
+        return SessionArchive.getSession(id).then(existing => {
+            if (existing) {
+                return { id, imported };
+            }
+            
+            const sessionData = {
+                resultId: id,
+                endTime: new Date(session.date).getTime(),
+                gameMode: session.gameMode,
+                reflexMode: !!session.reflexMode,
+                totalTargets: session.totalTargets,
+                targets: data.targets,
+                scores: data.scores
+            };
+            
+            return SessionArchive.saveSession(sessionData, data.telemetry).then(() => ({ id, imported: true }));
+        });
+    },
+    
+    /**
+     * Read, validate and import a session file
+     * @param {File} file - The user-selected file
+     * @returns {Promise<Object>} id and whether the session was newly imported
+     */
+    importFile(file) {
+        return this.readFile(file)
+            .then(text => this.parseImport(text))
+            .then(data => this.importSession(data));
+    }
+};
+
+// Make SessionExport available globally
+window.SessionExport = SessionExport;
@@ -0,0 +1,364 @@
+/**
+ * statistics.js
+ *
+ * Long-term trend analysis for the Sim Racing Pedal Training application.
+ * Works on the session results stored by LocalData and calculates rolling
+ * averages, improvement rates, plateau estimates and learning curves.
+ */
+
+const Statistics = {
+    // Metrics that can be analysed, and whether a lower value means better performance
+    metrics: {
+        gameTime: { label: 'Game Time', lowerIsBetter: true },
+        avgReactionTime: { label: 'Reaction Time', lowerIsBetter: true },
+        avgPrecision: { label: 'Precision', lowerIsBetter: true },
+        consistencyScore: { label: 'Consistency', lowerIsBetter: false }
+    },
+    
+    // Analysis settings
+    settings: {
+        defaultSessionCount: 20,   // Number of recent sessions analysed by default
+        rollingWindow: 5,          // Number of sessions in each rolling average
+        plateauWindow: 5,          // Number of recent sessions checked for a plateau
+        plateauThreshold: 0.01,    // Relative change per session below which progress counts as flat (1%)
+        minSessions: 3             // Minimum number of sessions needed for a trend
+    },
+    
+    /**
+     * Get stored sessions for analysis, ordered from oldest to newest
+     * @param {Object} filter - Filter options
+     * @param {string} filter.gameMode - Only sessions for this game mode
+     * @param {boolean} filter.reflexMode - Only sessions with this reflex mode setting
+     * @param {number} filter.sessionCount - Only the most recent N sessions
+     * @returns {Array} Session result records
+     */
+    getSessions(filter = {}) {
+        if (typeof LocalData === 'undefined') {
+            return [];
+        }
+        
+        const results = LocalData.getResults({
+            gameMode: filter.gameMode,
+            reflexMode: filter.reflexMode,
+            limit: filter.sessionCount
+        });
+        
+        // LocalData returns newest first; trends read more naturally oldest first
+        return results.slice().reverse();
+    },
+    
+    /**
+     * Extract the values of a metric from a list of sessions
+     * Sessions without a numeric value for the metric are skipped
+     * @param {Array} sessions - Session result records
+     * @param {string} metric - The metric name
+     * @returns {Array<Object>} Points with date (ms), index and value
+     */
+    getMetricSeries(sessions, metric) {
+        const series = [];
+        
+        sessions.forEach((session, index) => {
+            const value = session.scores ? session.scores[metric] : undefined;
+            if (typeof value === 'number' && isFinite(value)) {
+                series.push({
+                    date: new Date(session.date).getTime(),
+                    index: index,
+                    value: value
+                });
+            }
+        });
+        
+        return series;
+    },
+    
+    /**
+     * Calculate a rolling (moving) average
+     * @param {Array<number>} values - Values ordered from oldest to newest
+     * @param {number} windowSize - Number of values in each average
+     * @returns {Array<number>} Rolling averages, one per input value
+     */
+    calculateRollingAverage(values, windowSize = this.settings.rollingWindow) {
+        const averages = [];
+        let sum = 0;
+        
+        values.forEach((value, index) => {
+            sum += value;
+            if (index >= windowSize) {
+                sum -= values[index - windowSize];
+            }
+            
+            const count = Math.min(index + 1, windowSize);
+            averages.push(sum / count);
+        });
+        
+        return averages;
+    },
+    
+    /**
+     * Fit a straight line to a set of points using least squares
+     * @param {Array<Object>} points - Points with x and y values
+     * @returns {Object|null} slope, intercept and r2 (goodness of fit), or null if not enough data
+     */
+    calculateLinearRegression(points) {
+        const n = points.length;
+        if (n < 2) {
+            return null;
+        }
+        
+        let sumX = 0;
+        let sumY = 0;
+        points.forEach(point => {
+            sumX += point.x;
+            sumY += point.y;
+        });
+        
+        const meanX = sumX / n;
+        const meanY = sumY / n;
+        
+        let sumXY = 0;
+        let sumXX = 0;
+        let sumYY = 0;
+        points.forEach(point => {
+            const dx = point.x - meanX;
+            const dy = point.y - meanY;
+            sumXY += dx * dy;
+            sumXX += dx * dx;
+            sumYY += dy * dy;
+        });
+        
+        // All points share the same x value, so there is no trend to fit
+        if (sumXX === 0) {
+            return null;
+        }
+        
+        const slope = sumXY / sumXX;
+        const intercept = meanY - slope * meanX;
+        const r2 = sumYY === 0 ? 1 : (sumXY * sumXY) / (sumXX * sumYY);
+        
+        return { slope, intercept, r2 };
+    },
+    
+    /**
+     * Calculate how quickly a metric is improving
+     * @param {Array<Object>} series - Metric series from getMetricSeries
+     * @param {string} metric - The metric name
+     * @returns {Object|null} Improvement rates per session and per week, or null if not enough data
+     */
+    calculateImprovementRate(series, metric) {
+        if (series.length < this.settings.minSessions) {
+            return null;
+        }
+        
+        const lowerIsBetter = this.metrics[metric] ? this.metrics[metric].lowerIsBetter : true;
+        const direction = lowerIsBetter ? -1 : 1;
+        
+        // Trend per session
+        const perSessionFit = this.calculateLinearRegression(
+            series.map((point, index) => ({ x: index, y: point.value }))
+        );
+        
+        // Trend per week, using the real session dates
+        // Sessions spread over less than a day can't give a meaningful weekly rate
+        const msPerDay = 24 * 60 * 60 * 1000;
+        const firstDate = series[0].date;
+        const lastDate = series[series.length - 1].date;
+        const perWeekFit = lastDate - firstDate >= msPerDay ?
+            this.calculateLinearRegression(
+                series.map(point => ({ x: (point.date - firstDate) / (7 * msPerDay), y: point.value }))
+            ) : null;
+        
+        const mean = series.reduce((total, point) => total + point.value, 0) / series.length;
+        
+        // Positive improvement values always mean "getting better"
+        const perSession = perSessionFit ? perSessionFit.slope * direction : 0;
+        const perWeek = perWeekFit ? perWeekFit.slope * direction : null;
+        
+        return {
+            perSession: perSession,
+            perWeek: perWeek,
+            percentPerSession: mean !== 0 ? (perSession / Math.abs(mean)) * 100 : 0,
+            percentPerWeek: perWeek !== null && mean !== 0 ? (perWeek / Math.abs(mean)) * 100 : null,
+            fit: perSessionFit ? perSessionFit.r2 : 0
+        };
+    },
+    
+    /**
+     * Estimate whether a metric has reached a plateau
+     * A plateau is reported when the recent sessions show almost no trend
+     * @param {Array<number>} values - Values ordered from oldest to newest
+     * @returns {Object} isPlateau, plateauValue (average of the recent window) and relative slope
+     */
+    estimatePlateau(values) {
+        const windowSize = this.settings.plateauWindow;
+        
+        if (values.length < Math.max(windowSize, this.settings.minSessions)) {
+            return { isPlateau: false, plateauValue: null, relativeSlope: null };
+        }
+        
+        const recent = values.slice(-windowSize);
+        const fit = this.calculateLinearRegression(recent.map((value, index) => ({ x: index, y: value })));
+        const mean = recent.reduce((total, value) => total + value, 0) / recent.length;
+        
+        const relativeSlope = fit && mean !== 0 ? fit.slope / Math.abs(mean) : 0;
+        
+        return {
+            isPlateau: Math.abs(relativeSlope) < this.settings.plateauThreshold,
+            plateauValue: mean,
+            relativeSlope: relativeSlope
+        };
+    },
+    
+    /**
+     * Fit a learning curve (power law of practice: value = a * session^b)
+     * @param {Array<number>} values - Values ordered from oldest to newest
+     * @returns {Object|null} Curve coefficients, fitted values and a function to project future sessions
+     */
+    calculateLearningCurve(values) {
+        // The power law needs positive values to work in log space
+        const points = [];
+        values.forEach((value, index) => {
+            if (value > 0) {
+                points.push({ x: Math.log(index + 1), y: Math.log(value) });
+            }
+        });
+        
+        if (points.length < this.settings.minSessions) {
+            return null;
+        }
+        
+        const fit = this.calculateLinearRegression(points);
+        if (!fit) {
+            return null;
+        }
+        
+        const a = Math.exp(fit.intercept);
+        const b = fit.slope;
+        const predict = (session) => a * Math.pow(session, b);
+        
+        return {
+            a: a,
+            b: b,
+            fit: fit.r2,
+            fittedValues: values.map((value, index) => predict(index + 1)),
+            predict: predict
+        };
+    },
+    
+    /**
+     * Analyse the trend of a single metric
+     * @param {string} metric - The metric name
+     * @param {Object} options - Filter options (gameMode, reflexMode, sessionCount)
+     * @returns {Object} Trend analysis for the metric
+     */
+    analyzeMetric(metric, options = {}) {
+        const sessions = options.sessions || this.getSessions({
+            gameMode: options.gameMode,
+            reflexMode: options.reflexMode,
+            sessionCount: options.sessionCount || this.settings.defaultSessionCount
+        });
+        
+        const series = this.getMetricSeries(sessions, metric);
+        const values = series.map(point => point.value);
+        const improvement = this.calculateImprovementRate(series, metric);
+        
+        return {
+            metric: metric,
+            label: this.metrics[metric] ? this.metrics[metric].label : metric,
+            sessionCount: values.length,
+            values: values,
+            latest: values.length > 0 ? values[values.length - 1] : null,
+            rollingAverage: this.calculateRollingAverage(values),
+            improvement: improvement,
+            isImproving: improvement ? improvement.perSession > 0 : false,
+            plateau: this.estimatePlateau(values),
+            learningCurve: this.calculateLearningCurve(values)
+        };
+    },
+    
+    /**
+     * Analyse all metrics for a game mode
+     * Answers "am I improving over the last N sessions, and by how much per week?"
+     * @param {Object} options - Filter options (gameMode, reflexMode, sessionCount)
+     * @returns {Object} Trend analysis keyed by metric name
+     */
+    getTrendSummary(options = {}) {
+        const sessions = this.getSessions({
+            gameMode: options.gameMode,
+            reflexMode: options.reflexMode,
+            sessionCount: options.sessionCount || this.settings.defaultSessionCount
+        });
+        
+        const summary = {
+            gameMode: options.gameMode || null,
+            reflexMode: typeof options.reflexMode === 'boolean' ? options.reflexMode : null,
+            sessionCount: sessions.length,
+            metrics: {}
+        };
+        
+        Object.keys(this.metrics).forEach(metric => {
+            summary.metrics[metric] = this.analyzeMetric(metric, { sessions });
+        });
+        
+        return summary;
+    },
+    
+    /**
+     * Analyse trends separately for every game mode and reflex mode combination
+     * @param {number} sessionCount - Number of recent sessions to analyse per combination
+     * @returns {Array<Object>} Trend summaries for each combination that has data
+     */
+    getTrendsByMode(sessionCount = this.settings.defaultSessionCount) {
+        const modes = typeof GameModes !== 'undefined' ?
+            Object.keys(GameModes).filter(key => typeof GameModes[key] === 'object') :
+            ['fromZero', 'fromHundred', 'continuous'];
+        
+        const summaries = [];
+        
+        modes.forEach(gameMode => {
+            [false, true].forEach(reflexMode => {
+                const summary = this.getTrendSummary({ gameMode, reflexMode, sessionCount });
+                if (summary.sessionCount > 0) {
+                    summaries.push(summary);
+                }
+            });
+        });
+        
+        return summaries;
+    },
+    
+    /**
+     * Generate a short text describing the trend for a game mode
+     * @param {Object} summary - Trend summary from getTrendSummary
+     * @returns {string} A human readable summary
+     */
+    describeTrend(summary) {
+        if (!summary || summary.sessionCount < this.settings.minSessions) {
+            return `Play at least ${this.settings.minSessions} sessions in this mode to see your trend.`;
+        }
+        
+        const parts = [];
+        
+        Object.values(summary.metrics).forEach(analysis => {
+            if (!analysis.improvement) {
+                return;
+            }
+            
+            if (analysis.plateau.isPlateau) {
+                parts.push(`${analysis.label}: plateau`);
+                return;
+            }
+            
+            const rate = analysis.improvement.percentPerWeek !== null ?
+                analysis.improvement.percentPerWeek : analysis.improvement.percentPerSession;
+            const unit = analysis.improvement.percentPerWeek !== null ? 'week' : 'session';
+            const verb = rate >= 0 ? 'improving' : 'declining';
+            
+            parts.push(`${analysis.label}: ${verb} ${Math.abs(rate).toFixed(1)}%/${unit}`);
+        });
+        
+        return `Last ${summary.sessionCount} sessions - ${parts.join(', ')}`;
+    }
+};
+
+// Make Statistics available globally
+window.Statistics = Statistics;
@@ -0,0 +1,572 @@
+/**
+ * calibrationScreen.js
+ *
+ * Manages the pedal calibration screen for the Sim Racing Pedal Training application.
+ * Records the raw values of a released and a fully pressed pedal, lets the player
+ * set inner and outer deadzones and a response curve, and shows the output live.
+ */
+
+const CalibrationScreen = {
+    // Reference elements
+    channelSelect: null,
+    deviceElement: null,
+    rawValueElement: null,
+    outputFillElement: null,
+    outputTextElement: null,
+    instructionsElement: null,
+    restValueElement: null,
+    fullValueElement: null,
+    innerDeadzoneSlider: null,
+    outerDeadzoneSlider: null,
+    curveCanvas: null,
+    curveTypeSelect: null,
+    curveParameterSlider: null,
+    
+    // Calibration being edited
+    channelName: 'throttle',
+    gamepadId: null,
+    axis: null,
+    draft: null,
+    curve: null,
+    
+    // Curve editor state
+    curvePadding: 12,       // Space around the plot (px)
+    pointRadius: 5,         // Radius of custom curve points (px)
+    dragPointIndex: null,   // Custom curve point being dragged
+    
+    // Capture in progress ({ type: 'rest' | 'full', values: [], endTime })
+    capture: null,
+    captureDuration: 500,   // Time the pedal is sampled for each recording (ms)
+    
+    // Live update loop
+    isActive: false,
+    
+    /**
+     * Initialize the calibration screen
+     */
+    initialize() {
+        console.log("Initializing calibration screen");
+        
+        // Cache references to DOM elements
+        this.channelSelect = document.getElementById('calibration-channel');
+        this.deviceElement = document.getElementById('calibration-device');
+        this.rawValueElement = document.getElementById('calibration-raw');
+        this.outputFillElement = document.getElementById('calibration-output').querySelector('.progress-fill');
+        this.outputTextElement = document.getElementById('calibration-output').querySelector('span');
+        this.instructionsElement = document.getElementById('calibration-instructions');
+        this.restValueElement = document.getElementById('calibration-rest-value');
+        this.fullValueElement = document.getElementById('calibration-full-value');
+        this.innerDeadzoneSlider = document.getElementById('inner-deadzone');
+        this.outerDeadzoneSlider = document.getElementById('outer-deadzone');
+        this.curveCanvas = document.getElementById('curve-canvas');
+        this.curveTypeSelect = document.getElementById('curve-type');
+        this.curveParameterSlider = document.getElementById('curve-parameter');
+        
+        // List the curve types
+        Object.keys(ResponseCurves.types).forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = ResponseCurves.types[type];
+            this.curveTypeSelect.appendChild(option);
+        });
+        
+        // Set up event listeners
+        this.setupEventListeners();
+    },
+    
+    /**
+     * Set up event listeners for the calibration screen
+     */
+    setupEventListeners() {
+        // Open the calibration screen from the main menu
+        const openButton = document.getElementById('calibrate-pedals');
+        if (openButton) {
+            openButton.addEventListener('click', () => {
+                App.state.changeState('calibrationScreen');
+            });
+        }
+        
+        // Pedal selection
+        this.channelSelect.addEventListener('change', () => {
+            this.selectChannel(this.channelSelect.value);
+        });
+        
+        // Travel recording
+        document.getElementById('capture-rest').addEventListener('click', () => {
+            this.startCapture('rest');
+        });
+        
+        document.getElementById('capture-full').addEventListener('click', () => {
+            this.startCapture('full');
+        });
+        
+        // Deadzone sliders
+        this.innerDeadzoneSlider.addEventListener('input', () => {
+            this.draft.innerDeadzone = parseFloat(this.innerDeadzoneSlider.value);
+            this.updateDraftDisplay();
+        });
+        
+        this.outerDeadzoneSlider.addEventListener('input', () => {
+            this.draft.outerDeadzone = parseFloat(this.outerDeadzoneSlider.value);
+            this.updateDraftDisplay();
+        });
+        
+        // Response curve
+        this.curveTypeSelect.addEventListener('change', () => {
+            this.curve.type = this.curveTypeSelect.value;
+            this.saveCurve();
+        });
+        
+        this.curveParameterSlider.addEventListener('input', () => {
+            const value = parseFloat(this.curveParameterSlider.value);
+            if (this.curve.type === 'gamma') {
+                this.curve.exponent = value;
+            } else {
+                this.curve.strength = value;
+            }
+            this.saveCurve();
+        });
+        
+        this.setupCurveEditor();
+        
+        // Actions
+        document.getElementById('calibration-save').addEventListener('click', () => {
+            this.saveCalibration();
+        });
+        
+        document.getElementById('calibration-reset').addEventListener('click', () => {
+            this.resetCalibration();
+        });
+        
+        document.getElementById('calibration-back').addEventListener('click', () => {
+            App.state.changeState('mainMenu');
+        });
+    },
+    
+    /**
+     * Show the calibration screen and start the live display
+     */
+    show() {
+        // List the pedal channels, starting with the one being configured
+        this.channelSelect.innerHTML = '';
+        App.input.channelNames.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = App.input.getChannelLabel(name);
+            this.channelSelect.appendChild(option);
+        });
+        
+        this.selectChannel(App.input.configuringChannel);
+        
+        // Start the live update loop
+        this.isActive = true;
+        const updateLoop = () => {
+            if (!this.isActive) {
+                return;
+            }
+            this.update();
+            requestAnimationFrame(updateLoop);
+        };
+        requestAnimationFrame(updateLoop);
+    },
+    
+    /**
+     * Stop the live display when leaving the screen
+     */
+    hide() {
+        this.isActive = false;
+        this.capture = null;
+    },
+    
+    /**
+     * Load the calibration of a pedal channel for editing
+     * @param {string} name - The channel name
+     */
+    selectChannel(name) {
+        const channel = App.input.channels[name];
+        const gamepad = App.input.getChannelGamepad(name);
+        
+        this.channelName = name;
+        this.channelSelect.value = name;
+        this.capture = null;
+        
+        if (gamepad) {
+            this.gamepadId = gamepad.id;
+            this.axis = channel.axis;
+            this.draft = { ...App.input.getChannelCalibration(channel, gamepad) };
+            this.deviceElement.textContent = `${gamepad.id} - Axis ${channel.axis}` +
+                (Calibration.getCalibration(gamepad.id, channel.axis) ? ' (calibrated)' : ' (not calibrated)');
+        } else {
+            this.gamepadId = null;
+            this.axis = null;
+            this.draft = Calibration.createDefault(channel.reversed);
+            this.deviceElement.textContent = 'No gamepad is mapped to this pedal. Choose one under Input Device first.';
+        }
+        
+        // Recording only works with a connected device
+        ['capture-rest', 'capture-full', 'calibration-save', 'calibration-reset'].forEach(id => {
+            document.getElementById(id).disabled = !gamepad;
+        });
+        
+        this.instructionsElement.textContent = 'Release the pedal completely and press "Record Released", ' +
+            'then hold it fully pressed and press "Record Fully Pressed".';
+        
+        // The response curve belongs to the pedal, not the device
+        this.curve = ResponseCurves.sanitize(ResponseCurves.getCurve(name));
+        this.dragPointIndex = null;
+        this.updateCurveControls();
+        
+        this.updateDraftDisplay();
+        this.drawCurve(null);
+    },
+    
+    /**
+     * Start recording the released or fully pressed position
+     * @param {string} type - 'rest' or 'full'
+     */
+    startCapture(type) {
+        this.capture = {
+            type: type,
+            values: [],
+            endTime: performance.now() + this.captureDuration
+        };
+        
+        this.instructionsElement.textContent = type === 'rest' ?
+            'Recording... keep the pedal released.' :
+            'Recording... keep the pedal fully pressed.';
+    },
+    
+    /**
+     * Finish a recording and store the averaged raw value
+     */
+    finishCapture() {
+        const capture = this.capture;
+        this.capture = null;
+        
+        if (capture.values.length === 0) {
+            this.instructionsElement.textContent = 'No pedal input was received. Check the pedal mapping and try again.';
+            return;
+        }
+        
+        // Averaging smooths out sensor noise
+        const average = capture.values.reduce((total, value) => total + value, 0) / capture.values.length;
+        this.draft[capture.type] = average;
+        
+        this.instructionsElement.textContent = capture.type === 'rest' ?
+            'Released position recorded. Now hold the pedal fully pressed and press "Record Fully Pressed".' :
+            'Fully pressed position recorded. Adjust the deadzones if needed, then save.';
+        
+        this.updateDraftDisplay();
+    },
+    
+    /**
+     * Update the live display (called on each animation frame)
+     */
+    update() {
+        const gamepad = this.gamepadId !== null ? App.input.getChannelGamepad(this.channelName) : null;
+        if (!gamepad || gamepad.id !== this.gamepadId || this.axis >= gamepad.axes.length) {
+            this.drawCurve(null);
+            return;
+        }
+        
+        const rawValue = gamepad.axes[this.axis];
+        
+        // Collect samples for a recording in progress
+        if (this.capture) {
+            this.capture.values.push(rawValue);
+            if (performance.now() >= this.capture.endTime) {
+                this.finishCapture();
+            }
+        }
+        
+        // Show the raw value and the output of the calibration and curve being edited
+        const calibrated = Calibration.normalize(rawValue, this.draft);
+        const output = ResponseCurves.apply(calibrated, this.curve);
+        this.rawValueElement.textContent = rawValue.toFixed(3);
+        this.outputFillElement.style.width = `${output}%`;
+        this.outputTextElement.textContent = `${Math.round(output)}%`;
+        
+        this.drawCurve(calibrated);
+    },
+    
+    /**
+     * Show the values of the calibration being edited
+     */
+    updateDraftDisplay() {
+        this.restValueElement.textContent = this.draft.rest.toFixed(3);
+        this.fullValueElement.textContent = this.draft.full.toFixed(3);
+        
+        this.innerDeadzoneSlider.value = this.draft.innerDeadzone;
+        this.outerDeadzoneSlider.value = this.draft.outerDeadzone;
+        document.getElementById('inner-deadzone-value').textContent = this.draft.innerDeadzone;
+        document.getElementById('outer-deadzone-value').textContent = this.draft.outerDeadzone;
+    },
+    
+    /**
+     * Save the edited calibration for the pedal's device and axis
+     */
+    saveCalibration() {
+        if (this.gamepadId === null) {
+            return;
+        }
+        
+        try {
+            Calibration.saveCalibration(this.gamepadId, this.axis, this.draft);
+            this.selectChannel(this.channelName);
+            this.instructionsElement.textContent = 'Calibration saved.';
+        } catch (error) {
+            alert(error.message);
+        }
+    },
+    
+    /**
+     * Remove the saved calibration and go back to the full axis range
+     */
+    resetCalibration() {
+        if (this.gamepadId === null) {
+            return;
+        }
+        
+        if (!confirm('Remove the calibration for this pedal?')) {
+            return;
+        }
+        
+        Calibration.clearCalibration(this.gamepadId, this.axis);
+        this.selectChannel(this.channelName);
+    },
+    
+    /**
+     * Set up mouse editing of custom curve points on the curve canvas
+     */
+    setupCurveEditor() {
+        // Press on a point to drag it, or on an empty spot to add a point there
+        this.curveCanvas.addEventListener('mousedown', (event) => {
+            if (this.curve.type !== 'custom') {
+                return;
+            }
+            
+            const position = this.getCurvePosition(event);
+            let index = this.findCurvePoint(position);
+            
+            if (index === null) {
+                const points = this.curve.points;
+                if (points.length >= ResponseCurves.maxPoints || points.some(point => point[0] === position.x)) {
+                    return;
+                }
+                
+                index = points.findIndex(point => point[0] > position.x);
+                points.splice(index, 0, [position.x, position.y]);
+                this.saveCurve();
+            }
+            
+            this.dragPointIndex = index;
+        });
+        
+        this.curveCanvas.addEventListener('mousemove', (event) => {
+            if (this.dragPointIndex === null) {
+                return;
+            }
+            
+            this.moveCurvePoint(this.dragPointIndex, this.getCurvePosition(event));
+            this.drawCurve(null);
+        });
+        
+        // Save once the drag is finished
+        window.addEventListener('mouseup', () => {
+            if (this.dragPointIndex !== null) {
+                this.dragPointIndex = null;
+                this.saveCurve();
+            }
+        });
+        
+        // Double-click removes a point (the end points always stay)
+        this.curveCanvas.addEventListener('dblclick', (event) => {
+            if (this.curve.type !== 'custom') {
+                return;
+            }
+            
+            const index = this.findCurvePoint(this.getCurvePosition(event));
+            if (index !== null && index > 0 && index < this.curve.points.length - 1) {
+                this.curve.points.splice(index, 1);
+                this.saveCurve();
+            }
+        });
+    },
+    
+    /**
+     * Convert a mouse position on the curve canvas to curve coordinates
+     * @param {MouseEvent} event - The mouse event
+     * @returns {Object} x (input %) and y (output %), rounded and clamped to 0-100
+     */
+    getCurvePosition(event) {
+        const rect = this.curveCanvas.getBoundingClientRect();
+        const size = this.curveCanvas.width - this.curvePadding * 2;
+        
+        // Account for the canvas being scaled by CSS
+        const canvasX = (event.clientX - rect.left) * this.curveCanvas.width / rect.width;
+        const canvasY = (event.clientY - rect.top) * this.curveCanvas.height / rect.height;
+        
+        const clamp = value => Math.max(0, Math.min(100, Math.round(value)));
+        
+        return {
+            x: clamp((canvasX - this.curvePadding) / size * 100),
+            y: clamp((this.curveCanvas.height - this.curvePadding - canvasY) / size * 100)
+        };
+    },
+    
+    /**
+     * Find the custom curve point under a position
+     * @param {Object} position - Curve coordinates (x, y)
+     * @returns {number|null} The point index, or null if no point is close enough
+     */
+    findCurvePoint(position) {
+        const size = this.curveCanvas.width - this.curvePadding * 2;
+        const tolerance = (this.pointRadius + 3) / size * 100;
+        
+        const index = this.curve.points.findIndex(point =>
+            Math.abs(point[0] - position.x) <= tolerance && Math.abs(point[1] - position.y) <= tolerance
+        );
+        
+        return index === -1 ? null : index;
+    },
+    
+    /**
+     * Move a custom curve point, keeping the points in order
+     * The end points only move vertically so the curve always covers the full travel
+     * @param {number} index - The point index
+     * @param {Object} position - New curve coordinates (x, y)
+     */
+    moveCurvePoint(index, position) {
+        const points = this.curve.points;
+        const point = points[index];
+        
+        if (index > 0 && index < points.length - 1) {
+            point[0] = Math.max(points[index - 1][0] + 1, Math.min(points[index + 1][0] - 1, position.x));
+        }
+        point[1] = position.y;
+    },
+    
+    /**
+     * Save the edited curve for the selected pedal
+     */
+    saveCurve() {
+        try {
+            ResponseCurves.setCurve(this.channelName, this.curve);
+        } catch (error) {
+            console.error("Failed to save response curve:", error);
+        }
+        
+        this.updateCurveControls();
+        this.drawCurve(null);
+    },
+    
+    /**
+     * Show the controls for the selected curve type
+     */
+    updateCurveControls() {
+        const type = this.curve.type;
+        this.curveTypeSelect.value = type;
+        
+        // Gamma and S-curve have a single parameter
+        const parameterSetting = document.getElementById('curve-parameter-setting');
+        parameterSetting.classList.toggle('hidden', type !== 'gamma' && type !== 'scurve');
+        
+        if (type === 'gamma') {
+            this.curveParameterSlider.min = ResponseCurves.minExponent;
+            this.curveParameterSlider.max = ResponseCurves.maxExponent;
+            this.curveParameterSlider.value = this.curve.exponent;
+            document.getElementById('curve-parameter-label').textContent = 'Exponent';
+            document.getElementById('curve-parameter-value').textContent = this.curve.exponent.toFixed(1);
+        } else if (type === 'scurve') {
+            this.curveParameterSlider.min = ResponseCurves.minStrength;
+            this.curveParameterSlider.max = ResponseCurves.maxStrength;
+            this.curveParameterSlider.value = this.curve.strength;
+            document.getElementById('curve-parameter-label').textContent = 'Strength';
+            document.getElementById('curve-parameter-value').textContent = this.curve.strength.toFixed(1);
+        }
+        
+        document.getElementById('curve-help').classList.toggle('hidden', type !== 'custom');
+    },
+    
+    /**
+     * Draw the response curve with the current input marked as a dot
+     * @param {number|null} input - Calibrated pedal position (0-100%), or null if there's no input
+     */
+    drawCurve(input) {
+        const canvas = this.curveCanvas;
+        const ctx = canvas.getContext('2d');
+        const padding = this.curvePadding;
+        const size = canvas.width - padding * 2;
+        
+        const toX = value => padding + value / 100 * size;
+        const toY = value => canvas.height - padding - value / 100 * size;
+        
+        // Background
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        
+        // Grid every 25%
+        ctx.strokeStyle = 'rgba(200, 200, 200, 0.6)';
+        ctx.lineWidth = 1;
+        for (let value = 0; value <= 100; value += 25) {
+            ctx.beginPath();
+            ctx.moveTo(toX(value), toY(0));
+            ctx.lineTo(toX(value), toY(100));
+            ctx.moveTo(toX(0), toY(value));
+            ctx.lineTo(toX(100), toY(value));
+            ctx.stroke();
+        }
+        
+        // Linear reference line
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.15)';
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(toX(0), toY(0));
+        ctx.lineTo(toX(100), toY(100));
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        // Curve
+        ctx.strokeStyle = 'rgba(52, 152, 219, 1)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let value = 0; value <= 100; value++) {
+            const x = toX(value);
+            const y = toY(ResponseCurves.apply(value, this.curve));
+            if (value === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        }
+        ctx.stroke();
+        
+        // Editable points of a custom curve
+        if (this.curve.type === 'custom') {
+            ctx.fillStyle = 'rgba(52, 152, 219, 1)';
+            this.curve.points.forEach(point => {
+                ctx.beginPath();
+                ctx.arc(toX(point[0]), toY(point[1]), this.pointRadius, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        }
+        
+        // Current input
+        if (input !== null) {
+            ctx.fillStyle = 'rgba(46, 204, 113, 1)';
+            ctx.beginPath();
+            ctx.arc(toX(input), toY(ResponseCurves.apply(input, this.curve)), 6, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    },
+    
+    /**
+     * Handle window resize event
+     */
+    handleResize() {
+        // Currently no resize-specific handling needed for the calibration screen
+    }
+};
+
+// Make CalibrationScreen available globally
+window.CalibrationScreen = CalibrationScreen;
@@ -0,0 +1,322 @@
+/**
+ * diagnosticsScreen.js
+ *
+ * Manages the input diagnostics screen for the Sim Racing Pedal Training application.
+ * Guides the player through resting, holding and sweeping the active pedal while its
+ * raw data is recorded, then shows the health report and lets it be exported.
+ */
+
+const DiagnosticsScreen = {
+    // Reference elements
+    deviceElement: null,
+    rawValueElement: null,
+    instructionsElement: null,
+    progressFillElement: null,
+    progressTextElement: null,
+    reportElement: null,
+    startButton: null,
+    exportButton: null,
+    
+    // Measurement steps, in order
+    steps: [
+        { phase: 'rest', duration: 3000, text: 'Take your foot off the pedal and keep it fully released.' },
+        { phase: 'hold', duration: 3000, text: 'Hold the pedal as steady as you can at about half travel.' },
+        { phase: 'sweep', duration: 6000, text: 'Press the pedal slowly all the way down and release it again, a few times.' }
+    ],
+    prepareDuration: 2000,  // Time to get ready before each step is recorded (ms)
+    
+    // Run in progress ({ stepIndex, stepStartTime, recording, phases, device, axis, pedal })
+    run: null,
+    unsubscribe: null,
+    
+    // Last report
+    report: null,
+    
+    // Live update loop
+    isActive: false,
+    
+    /**
+     * Initialize the diagnostics screen
+     */
+    initialize() {
+        console.log("Initializing diagnostics screen");
+        
+        // Cache references to DOM elements
+        this.deviceElement = document.getElementById('diagnostics-device');
+        this.rawValueElement = document.getElementById('diagnostics-raw');
+        this.instructionsElement = document.getElementById('diagnostics-instructions');
+        this.progressFillElement = document.getElementById('diagnostics-progress').querySelector('.progress-fill');
+        this.progressTextElement = document.getElementById('diagnostics-progress').querySelector('span');
+        this.reportElement = document.getElementById('diagnostics-report');
+        this.startButton = document.getElementById('diagnostics-start');
+        this.exportButton = document.getElementById('diagnostics-export');
+        
+        // Set up event listeners
+        this.setupEventListeners();
+    },
+    
+    /**
+     * Set up event listeners for the diagnostics screen
+     */
+    setupEventListeners() {
+        // Open the diagnostics screen from the main menu
+        const openButton = document.getElementById('open-diagnostics');
+        if (openButton) {
+            openButton.addEventListener('click', () => {
+                App.state.changeState('diagnosticsScreen');
+            });
+        }
+        
+        this.startButton.addEventListener('click', () => {
+            this.startRun();
+        });
+        
+        this.exportButton.addEventListener('click', () => {
+            this.exportReport();
+        });
+        
+        document.getElementById('diagnostics-back').addEventListener('click', () => {
+            App.state.changeState('mainMenu');
+        });
+    },
+    
+    /**
+     * Show the diagnostics screen and start the live display
+     */
+    show() {
+        this.cancelRun();
+        this.showDevice();
+        this.setProgress(0, '');
+        this.instructionsElement.textContent = 'Press "Start" and follow the instructions. The test takes about 20 seconds.';
+        
+        // Start the live update loop
+        this.isActive = true;
+        const updateLoop = () => {
+            if (!this.isActive) {
+                return;
+            }
+            this.update();
+            requestAnimationFrame(updateLoop);
+        };
+        requestAnimationFrame(updateLoop);
+    },
+    
+    /**
+     * Stop the live display and any run when leaving the screen
+     */
+    hide() {
+        this.isActive = false;
+        this.cancelRun();
+    },
+    
+    /**
+     * Show which pedal is tested
+     * Diagnostics read raw gamepad data, so they need a gamepad pedal
+     */
+    showDevice() {
+        const name = App.input.primaryChannel;
+        const gamepad = App.input.inputType === 'gamepad' ? App.input.getChannelGamepad(name) : null;
+        
+        if (gamepad) {
+            this.deviceElement.textContent = `${App.input.getChannelLabel(name)}: ${gamepad.id} - Axis ${App.input.channels[name].axis}`;
+        } else {
+            this.deviceElement.textContent = 'No gamepad pedal is active. Choose one under Input Device first.';
+        }
+        
+        this.startButton.disabled = !gamepad || this.run !== null;
+        return gamepad;
+    },
+    
+    /**
+     * Start a diagnostics run
+     */
+    startRun() {
+        const gamepad = this.showDevice();
+        if (!gamepad || !App.sampler) {
+            return;
+        }
+        
+        const name = App.input.primaryChannel;
+        this.run = {
+            stepIndex: 0,
+            stepStartTime: null,
+            recording: false,
+            phases: { rest: [], hold: [], sweep: [] },
+            device: gamepad.id,
+            axis: App.input.channels[name].axis,
+            pedal: App.input.getChannelLabel(name)
+        };
+        this.report = null;
+        this.exportButton.disabled = true;
+        this.startButton.disabled = true;
+        this.reportElement.innerHTML = '';
+        
+        this.unsubscribe = App.sampler.subscribe(sample => this.onSample(sample));
+    },
+    
+    /**
+     * Stop a run without a report
+     */
+    cancelRun() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        this.run = null;
+    },
+    
+    /**
+     * Record the raw pedal data of an input sample and move through the steps
+     * @param {Object} sample - Sample from the InputSampler
+     */
+    onSample(sample) {
+        const run = this.run;
+        const step = this.steps[run.stepIndex];
+        
+        if (run.stepStartTime === null) {
+            run.stepStartTime = sample.time;
+        }
+        const elapsed = sample.time - run.stepStartTime;
+        
+        // Give the player time to get ready before recording
+        if (!run.recording) {
+            if (elapsed >= this.prepareDuration) {
+                run.recording = true;
+                run.stepStartTime = sample.time;
+            }
+            return;
+        }
+        
+        const channel = App.input.channels[App.input.primaryChannel];
+        run.phases[step.phase].push({
+            time: sample.time,
+            raw: channel.rawValue,
+            timestamp: channel.rawTimestamp
+        });
+        
+        if (elapsed >= step.duration) {
+            run.stepIndex++;
+            run.stepStartTime = null;
+            run.recording = false;
+            
+            if (run.stepIndex >= this.steps.length) {
+                this.finishRun();
+            }
+        }
+    },
+    
+    /**
+     * Analyze the recorded data and show the report
+     */
+    finishRun() {
+        const run = this.run;
+        this.cancelRun();
+        
+        this.report = InputDiagnostics.analyze(run.phases, {
+            device: run.device,
+            axis: run.axis,
+            pedal: run.pedal,
+            measuredPollRate: App.sampler.getMeasuredRate()
+        });
+        
+        this.instructionsElement.textContent = this.report.warnings.length > 0 ?
+            'Test complete. Some problems were found, see below.' :
+            'Test complete. No problems were found.';
+        this.setProgress(1, 'Done');
+        this.renderReport();
+        
+        this.startButton.disabled = false;
+        this.exportButton.disabled = false;
+    },
+    
+    /**
+     * Show the measurements and warnings of the last report
+     */
+    renderReport() {
+        const report = this.report;
+        this.reportElement.innerHTML = '';
+        
+        const rows = [
+            ['Device update rate', `${report.timing.updateRate} Hz` + (report.timing.timestampsSupported ? '' : ' (estimated)')],
+            ['Polling rate', `${report.pollRate.measured} Hz (configured ${report.pollRate.configured} Hz)`],
+            ['Polls without new data', report.timing.duplicates],
+            ['Dropouts', report.timing.dropouts],
+            ['Noise at rest', `${report.noiseFloor.peakToPeak}% peak-to-peak`],
+            ['Jitter when held', `${report.jitter.standardDeviation}% standard deviation`],
+            ['Resolution', `${report.resolution.distinctValues} values (about ${report.resolution.bits} bits)`],
+            ['Spikes', report.spikes]
+        ];
+        
+        const table = document.createElement('table');
+        table.classList.add('diagnostics-table');
+        rows.forEach(([label, value]) => {
+            const row = document.createElement('tr');
+            const labelCell = document.createElement('th');
+            labelCell.textContent = label;
+            const valueCell = document.createElement('td');
+            valueCell.textContent = value;
+            row.appendChild(labelCell);
+            row.appendChild(valueCell);
+            table.appendChild(row);
+        });
+        this.reportElement.appendChild(table);
+        
+        report.warnings.forEach(warning => {
+            const warningElement = document.createElement('div');
+            warningElement.classList.add('diagnostics-warning');
+            warningElement.textContent = warning;
+            this.reportElement.appendChild(warningElement);
+        });
+    },
+    
+    /**
+     * Download the last report as a text file
+     */
+    exportReport() {
+        if (!this.report || typeof SessionExport === 'undefined') {
+            return;
+        }
+        
+        const date = this.report.createdAt.slice(0, 10);
+        SessionExport.downloadFile(`pedal-diagnostics-${date}.txt`, InputDiagnostics.formatReport(this.report), 'text/plain');
+    },
+    
+    /**
+     * Update the live display (called on each animation frame)
+     */
+    update() {
+        const channel = App.input.channels[App.input.primaryChannel];
+        this.rawValueElement.textContent = channel.rawValue.toFixed(4);
+        
+        const run = this.run;
+        if (!run || run.stepStartTime === null) {
+            return;
+        }
+        
+        // Show the current step and how far along it is
+        const step = this.steps[run.stepIndex];
+        const elapsed = (App.sampler.getLatestSample() || { time: run.stepStartTime }).time - run.stepStartTime;
+        const stepLabel = `Step ${run.stepIndex + 1} of ${this.steps.length}`;
+        
+        if (run.recording) {
+            this.instructionsElement.textContent = `${stepLabel}: ${step.text}`;
+            this.setProgress(elapsed / step.duration, 'Recording');
+        } else {
+            this.instructionsElement.textContent = `${stepLabel}, get ready: ${step.text}`;
+            this.setProgress(elapsed / this.prepareDuration, 'Get ready');
+        }
+    },
+    
+    /**
+     * Set the progress bar
+     * @param {number} progress - Progress (0-1)
+     * @param {string} text - Text on the bar
+     */
+    setProgress(progress, text) {
+        this.progressFillElement.style.width = `${Math.max(0, Math.min(1, progress)) * 100}%`;
+        this.progressTextElement.textContent = text;
+    }
+};
+
+// Make DiagnosticsScreen available globally
+window.DiagnosticsScreen = DiagnosticsScreen;
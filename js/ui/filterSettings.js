@@ -0,0 +1,167 @@
+/**
+ * filterSettings.js
+ *
+ * Settings panel for the input filter chain in the main menu.
+ * Each stage of the chain picks a filter, and the parameters of the
+ * chosen filters are shown as sliders below.
+ */
+
+const FilterSettings = {
+    // Reference elements
+    chainElement: null,
+    parametersElement: null,
+    
+    /**
+     * Initialize the filter settings panel
+     */
+    initialize() {
+        console.log("Initializing filter settings");
+        
+        // Cache references to DOM elements
+        this.chainElement = document.getElementById('filter-chain');
+        this.parametersElement = document.getElementById('filter-parameters');
+        
+        if (!this.chainElement || !this.parametersElement) {
+            console.error("Filter settings elements not found");
+            return;
+        }
+        
+        this.updateUI();
+    },
+    
+    /**
+     * Rebuild the panel from the current configuration
+     */
+    updateUI() {
+        if (!this.chainElement) {
+            return;
+        }
+        
+        this.renderChain();
+        this.renderParameters();
+    },
+    
+    /**
+     * Show a filter selector for each stage of the chain
+     * One empty stage is shown after the last filter until the chain is full
+     */
+    renderChain() {
+        const chain = Config.input_filter_chain;
+        const maxLength = Config.schema.input_filter_chain.maxLength;
+        const stageCount = Math.min(chain.length + 1, maxLength);
+        
+        this.chainElement.innerHTML = '';
+        
+        for (let stage = 0; stage < stageCount; stage++) {
+            const setting = document.createElement('div');
+            setting.classList.add('setting');
+            
+            const label = document.createElement('label');
+            label.htmlFor = `filter-stage-${stage}`;
+            label.textContent = `Filter ${stage + 1}:`;
+            
+            const select = document.createElement('select');
+            select.id = `filter-stage-${stage}`;
+            
+            Object.keys(InputFilters.types).forEach(type => {
+                const option = document.createElement('option');
+                option.value = type;
+                option.textContent = InputFilters.types[type].name;
+                select.appendChild(option);
+            });
+            select.value = chain[stage] || 'none';
+            
+            select.addEventListener('change', () => {
+                this.setStage(stage, select.value);
+            });
+            
+            setting.appendChild(label);
+            setting.appendChild(select);
+            this.chainElement.appendChild(setting);
+        }
+    },
+    
+    /**
+     * Show sliders for the parameters of the filters in the chain
+     */
+    renderParameters() {
+        this.parametersElement.innerHTML = '';
+        
+        // Each filter type's parameters are shown once, even if it is used twice
+        const types = Config.input_filter_chain.filter((type, index, chain) => chain.indexOf(type) === index);
+        
+        types.forEach(type => {
+            InputFilters.types[type].params.forEach(param => {
+                const field = Config.schema[param.key];
+                
+                const setting = document.createElement('div');
+                setting.classList.add('setting');
+                
+                const label = document.createElement('label');
+                label.htmlFor = `filter-param-${param.key}`;
+                label.textContent = `${InputFilters.types[type].name} - ${param.label}: `;
+                
+                const valueText = document.createElement('span');
+                valueText.textContent = Config[param.key];
+                label.appendChild(valueText);
+                
+                const slider = document.createElement('input');
+                slider.type = 'range';
+                slider.id = `filter-param-${param.key}`;
+                slider.min = field.min;
+                slider.max = field.max;
+                slider.step = param.step;
+                slider.value = Config[param.key];
+                
+                slider.addEventListener('input', () => {
+                    const value = Config.validateValue(param.key, parseFloat(slider.value));
+                    if (value === undefined) {
+                        return;
+                    }
+                    
+                    Config[param.key] = value;
+                    valueText.textContent = value;
+                    this.applySettings();
+                });
+                
+                setting.appendChild(label);
+                setting.appendChild(slider);
+                this.parametersElement.appendChild(setting);
+            });
+        });
+    },
+    
+    /**
+     * Change the filter of a chain stage
+     * Choosing "None" removes the stage
+     * @param {number} stage - The stage index
+     * @param {string} type - The filter type
+     */
+    setStage(stage, type) {
+        const chain = [...Config.input_filter_chain];
+        
+        if (type === 'none') {
+            chain.splice(stage, 1);
+        } else {
+            chain[stage] = type;
+        }
+        
+        Config.input_filter_chain = chain;
+        this.applySettings();
+        this.updateUI();
+    },
+    
+    /**
+     * Save the filter settings and rebuild the input filters
+     */
+    applySettings() {
+        Config.saveToStorage();
+        
+        if (App.input) {
+            App.input.configureFilters();
+        }
+    }
+};
+
+// Make FilterSettings available globally
+window.FilterSettings = FilterSettings;
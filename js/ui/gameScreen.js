@@ -16,6 +16,8 @@ const GameScreen = {
     validProgressElement: null,
     timerElement: null,
     targetCounterElement: null,
+    inputLostOverlay: null,
+    inputLostMessageElement: null,
     
     // Telemetry graph settings
     telemetryGraphSettings: {
@@ -24,6 +26,15 @@ const GameScreen = {
         timeWindow: 4000,    // 4 seconds of data
         lineWidth: 3,
         lineColor: 'rgba(46, 204, 113, 1)',
+        rawLineColor: 'rgba(52, 152, 219, 0.6)',   // Unfiltered input, shown when filters are active
+        targetLineColor: 'rgba(255, 149, 0, 0.9)', // Target of modes whose target moves (e.g. a trail braking curve)
+        laneColor: 'rgba(255, 149, 0, 0.25)',      // Band around a moving target
+        laneLookAhead: 1500, // How far ahead of the cursor a moving target is shown (ms)
+        channelColors: {     // Pedal lines of modes that use several pedals
+            throttle: 'rgba(46, 204, 113, 1)',
+            brake: 'rgba(231, 76, 60, 1)',
+            clutch: 'rgba(52, 152, 219, 1)'
+        },
         gridColor: 'rgba(200, 200, 200, 0.4)',
         backgroundColor: '#f8f8f8',
         fontFamily: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif",
@@ -34,7 +45,8 @@ const GameScreen = {
     statusColors: {
         red: 'var(--danger-color)',
         blue: 'var(--info-color)',
-        green: 'var(--secondary-color)'
+        green: 'var(--secondary-color)',
+        orange: 'var(--warning-color)'
     },
     
     /**
@@ -50,6 +62,8 @@ const GameScreen = {
         this.validProgressElement = document.getElementById('valid-progress').querySelector('.progress-fill');
         this.timerElement = document.getElementById('timer');
         this.targetCounterElement = document.getElementById('target-counter');
+        this.inputLostOverlay = document.getElementById('input-lost-overlay');
+        this.inputLostMessageElement = document.getElementById('input-lost-message');
         
         // Initialize telemetry graph
         this.initializeTelemetryGraph();
@@ -62,8 +76,37 @@ const GameScreen = {
      * Set up event listeners for the game screen
      */
     setupEventListeners() {
-        // Currently no specific event listeners needed for the game screen
         // Game logic is driven by the game loop
+        
+        // Give up on a disconnected pedal
+        const quitButton = document.getElementById('input-lost-quit');
+        if (quitButton) {
+            quitButton.addEventListener('click', () => {
+                App.state.changeState('mainMenu');
+            });
+        }
+    },
+    
+    /**
+     * Show that the game waits for a disconnected pedal
+     * @param {string} deviceId - Id of the lost device
+     */
+    showInputLostOverlay(deviceId) {
+        if (!this.inputLostOverlay) {
+            return;
+        }
+        
+        this.inputLostMessageElement.textContent = `Reconnect ${deviceId} to continue.`;
+        this.inputLostOverlay.classList.remove('hidden');
+    },
+    
+    /**
+     * Hide the disconnected pedal overlay
+     */
+    hideInputLostOverlay() {
+        if (this.inputLostOverlay) {
+            this.inputLostOverlay.classList.add('hidden');
+        }
     },
     
     /**
@@ -131,8 +174,11 @@ const GameScreen = {
         ctx.fillStyle = settings.backgroundColor;
         ctx.fillRect(0, 0, width, height);
         
+        // Modes with moving targets show what is coming on the right of the cursor
+        const lookAhead = this.hasMovingTargets() ? settings.laneLookAhead : 0;
+        
         // Draw simple grid
-        this.drawSimpleGrid();
+        this.drawSimpleGrid(lookAhead);
         
         // Skip drawing if no telemetry data available
         if (!App.telemetry) {
@@ -144,22 +190,146 @@ const GameScreen = {
             App.telemetry.startRecording();
         }
         
-        // Get telemetry data prepared for graphing
-        const graphData = App.telemetry.prepareGraphData(width, settings.timeWindow);
+        // Get telemetry data prepared for graphing, and make room for the look-ahead
+        const graphData = App.telemetry.prepareGraphData(width, settings.timeWindow - lookAhead);
+        graphData.timeRange.end += lookAhead;
+        
+        // Draw the band the pedal has to stay in, like a lane in a rhythm game
+        if (lookAhead > 0) {
+            this.drawTargetLane(graphData.timeRange, graphData.timeRange.end - lookAhead);
+        }
         
         // Skip if not enough data points
         if (!graphData.points || graphData.points.length < 2) {
             return;
         }
         
-        // Draw the pedal input line
-        this.drawInputLine(graphData);
+        // Show the unfiltered input under the filtered line, with the lag the filters add
+        if (Config.input_filter_chain.length > 0) {
+            this.drawInputLine(graphData, 'raw', settings.rawLineColor, 1.5);
+            this.drawFilterLag(App.telemetry.estimateFilterLag());
+        }
+        
+        // Show a moving target (such as a trail braking curve) so it can be compared with the trace
+        if (lookAhead > 0) {
+            this.drawInputLine(graphData, 'target', settings.targetLineColor, 2);
+        }
+        
+        // Draw the pedal input line, or a line for each pedal the mode uses
+        const mode = App.gameLoop ? App.gameLoop.gameMode : null;
+        if (mode && mode.requiredChannels) {
+            mode.requiredChannels.forEach(name => {
+                this.drawInputLine(graphData, point => point.channels ? point.channels[name] : null, settings.channelColors[name]);
+            });
+        } else {
+            this.drawInputLine(graphData);
+        }
+    },
+    
+    /**
+     * Check whether the game mode's targets move
+     * @returns {boolean} True for modes that run their own targets, unless they keep them hidden
+     */
+    hasMovingTargets() {
+        const mode = App.gameLoop ? App.gameLoop.gameMode : null;
+        return !!(mode && mode.createTarget && (!mode.isTargetVisible || mode.isTargetVisible()));
+    },
+    
+    /**
+     * Draw the band around the current moving target, from the start of the target to
+     * the look-ahead on the right, and a cursor at the current time
+     * @param {Object} timeRange - Time range of the graph (ms since the start of the recording)
+     * @param {number} now - Current time (ms since the start of the recording)
+     */
+    drawTargetLane(timeRange, now) {
+        const ctx = this.telemetryGraphCtx;
+        const settings = this.telemetryGraphSettings;
+        const width = settings.width;
+        const height = settings.height;
+        const timeWindow = timeRange.end - timeRange.start;
+        const gameLoop = App.gameLoop;
+        
+        // Leave space for axis labels (same as in drawSimpleGrid)
+        const leftMargin = 10;     // Small space at the left
+        const rightMargin = 40;    // Space for y-axis labels on the right
+        const bottomMargin = 25;   // Space for x-axis labels
+        const topMargin = 10;      // Space at the top
+        
+        const graphWidth = width - leftMargin - rightMargin;
+        const graphHeight = height - bottomMargin - topMargin;
+        const toX = time => width - rightMargin - ((timeRange.end - time) / timeWindow) * graphWidth;
+        const toY = value => height - bottomMargin - (Math.max(0, Math.min(100, value)) / 100) * graphHeight;
+        
+        // Cursor at the current time
+        ctx.strokeStyle = settings.targetLineColor;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(toX(now), topMargin);
+        ctx.lineTo(toX(now), height - bottomMargin);
+        ctx.stroke();
+        
+        // Only a target shown right now has a lane
+        const target = gameLoop.targetState;
+        if (!target || gameLoop.isInTransition) {
+            return;
+        }
+        
+        // Graph time of the target's start (the game loop times targets with performance.now())
+        const targetStart = gameLoop.targetStartTime - App.telemetry.sessionStartTime;
+        const start = Math.max(timeRange.start, targetStart);
+        const end = Math.min(timeRange.end, targetStart + target.duration);
+        if (end <= start) {
+            return;
+        }
+        
+        // Sample the target every couple of pixels
+        const step = Math.max(1, timeWindow / graphWidth * 2);
+        const times = [];
+        for (let time = start; time < end; time += step) {
+            times.push(time);
+        }
+        times.push(end);
+        
+        const bands = times.map(time => gameLoop.getTargetBand(time - targetStart));
+        
+        // Upper edge forwards, lower edge backwards
+        ctx.fillStyle = settings.laneColor;
+        ctx.beginPath();
+        times.forEach((time, index) => {
+            const y = toY(bands[index].high);
+            if (index === 0) {
+                ctx.moveTo(toX(time), y);
+            } else {
+                ctx.lineTo(toX(time), y);
+            }
+        });
+        for (let index = times.length - 1; index >= 0; index--) {
+            ctx.lineTo(toX(times[index]), toY(bands[index].low));
+        }
+        ctx.closePath();
+        ctx.fill();
+    },
+    
+    /**
+     * Draw the estimated filter lag in the corner of the telemetry graph
+     * @param {number|null} lag - The lag in ms, or null if it isn't known yet
+     */
+    drawFilterLag(lag) {
+        const ctx = this.telemetryGraphCtx;
+        const settings = this.telemetryGraphSettings;
+        
+        ctx.fillStyle = settings.rawLineColor;
+        ctx.font = `${settings.fontSize}px ${settings.fontFamily}`;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(lag === null ? 'Filter lag: move the pedal' : `Filter lag: ~${lag} ms`, 14, 12);
     },
     
     /**
      * Draw a simple grid
+     * @param {number} lookAhead - Time shown to the right of the current time (ms)
      */
-    drawSimpleGrid() {
+    drawSimpleGrid(lookAhead = 0) {
         const ctx = this.telemetryGraphCtx;
         const settings = this.telemetryGraphSettings;
         const width = settings.width;
@@ -215,15 +385,16 @@ const GameScreen = {
             ctx.fillText(`${i}%`, width - rightMargin + 5, y);
         }
         
-        // Draw grid and x-axis labels (0, -1, -2, -3, -4 seconds)
+        // Draw grid and x-axis labels (0, -1, -2, -3, -4 seconds, and +1 ahead of the current time)
         ctx.textAlign = 'center';
         ctx.textBaseline = 'top';
         
         const timeWindow = settings.timeWindow;
         const secondWidth = graphWidth / (timeWindow / 1000);
+        const nowX = width - rightMargin - (lookAhead / 1000) * secondWidth;
         
-        for (let i = 0; i <= timeWindow / 1000; i++) {
-            const x = width - rightMargin - (i * secondWidth);
+        for (let i = -Math.floor(lookAhead / 1000); i <= (timeWindow - lookAhead) / 1000; i++) {
+            const x = nowX - (i * secondWidth);
             
             // Only draw at second intervals
             if (x >= leftMargin) {
@@ -235,7 +406,7 @@ const GameScreen = {
                 
                 // Draw x-axis label
                 ctx.fillStyle = '#000';
-                ctx.fillText(`-${i}`, x, height - bottomMargin + 5);
+                ctx.fillText(i < 0 ? `+${-i}` : `-${i}`, x, height - bottomMargin + 5);
             }
         }
     },
@@ -243,8 +414,12 @@ const GameScreen = {
     /**
      * Draw the pedal input line
      * @param {Object} graphData - The prepared graph data
+     * @param {string|Function} field - Point field to draw ('y' for the filtered input, 'raw' for the unfiltered input,
+     *     'target' for the target), or a function that reads the value from a point
+     * @param {string} color - Line color (defaults to the input line color)
+     * @param {number} lineWidth - Line width (defaults to the input line width)
      */
-    drawInputLine(graphData) {
+    drawInputLine(graphData, field = 'y', color = null, lineWidth = null) {
         const ctx = this.telemetryGraphCtx;
         const settings = this.telemetryGraphSettings;
         const width = settings.width;
@@ -268,21 +443,29 @@ const GameScreen = {
         
         // Draw the main input line
         ctx.beginPath();
-        ctx.strokeStyle = settings.lineColor;
-        ctx.lineWidth = settings.lineWidth;
+        ctx.strokeStyle = color || settings.lineColor;
+        ctx.lineWidth = lineWidth || settings.lineWidth;
         ctx.lineCap = 'round';
         ctx.lineJoin = 'round';
         
         let started = false;
+        const getValue = typeof field === 'function' ? field : point => point[field];
         
         points.forEach(point => {
             // Calculate position - adjusted for margins
+            const value = getValue(point);
             const x = width - rightMargin - ((timeRange.end - point.x) / timeWindow) * graphWidth;
-            const y = height - bottomMargin - (point.y / 100) * graphHeight;
+            const y = height - bottomMargin - (value / 100) * graphHeight;
             
             // Skip if out of visible graph area
             if (x < leftMargin) return;
             
+            // Break the line where the value wasn't recorded (e.g. no target during transitions)
+            if (typeof value !== 'number') {
+                started = false;
+                return;
+            }
+            
             // Start or continue the line
             if (!started) {
                 ctx.moveTo(x, y);
@@ -308,10 +491,11 @@ const GameScreen = {
     /**
      * Set the current percentage display
      * @param {number} percentage - The current pedal position percentage
+     * @param {string} label - Name of the pedal, for targets on a pedal other than the game's
      */
-    setCurrentPercentage(percentage) {
+    setCurrentPercentage(percentage, label = 'Current') {
         if (this.currentElement) {
-            this.currentElement.textContent = `Current: ${Math.round(percentage)}%`;
+            this.currentElement.textContent = `${label}: ${Math.round(percentage)}%`;
         }
     },
     
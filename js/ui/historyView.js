@@ -0,0 +1,438 @@
+/**
+ * historyView.js
+ *
+ * Session history panel on the main menu.
+ * Lists archived sessions page by page (traces are only loaded when a session
+ * is opened), shows a full telemetry trace for review and lets the player
+ * export, import and delete sessions.
+ */
+
+const HistoryView = {
+    // Reference elements
+    panelElement: null,
+    toggleButton: null,
+    listElement: null,
+    loadMoreButton: null,
+    usageElement: null,
+    traceContainer: null,
+    
+    // Paging state
+    pageSize: 20,       // Number of sessions loaded per page
+    loadedCount: 0,     // Number of sessions currently shown
+    isLoading: false,   // Whether a page is being loaded
+    isOpen: false,      // Whether the panel is expanded
+    
+    // Currently displayed trace graph
+    traceGraph: null,
+    openSessionId: null,
+    
+    /**
+     * Initialize the history view
+     */
+    initialize() {
+        console.log("Initializing history view");
+        
+        // Cache references to DOM elements
+        this.panelElement = document.getElementById('history-panel');
+        this.toggleButton = document.getElementById('toggle-history');
+        this.listElement = document.getElementById('history-list');
+        this.loadMoreButton = document.getElementById('history-load-more');
+        this.usageElement = document.getElementById('archive-usage');
+        this.traceContainer = document.getElementById('history-trace-container');
+        
+        // Hide the whole section if the archive can't be used
+        if (typeof SessionArchive === 'undefined' || !SessionArchive.isSupported()) {
+            const section = document.getElementById('history-section');
+            if (section) {
+                section.classList.add('hidden');
+            }
+            return;
+        }
+        
+        // Set up event listeners
+        this.setupEventListeners();
+    },
+    
+    /**
+     * Set up event listeners for the history view
+     */
+    setupEventListeners() {
+        if (this.toggleButton) {
+            this.toggleButton.addEventListener('click', () => {
+                if (this.isOpen) {
+                    this.close();
+                } else {
+                    this.open();
+                }
+            });
+        }
+        
+        if (this.loadMoreButton) {
+            this.loadMoreButton.addEventListener('click', () => {
+                this.loadNextPage();
+            });
+        }
+        
+        // Import uses a hidden file input opened by the import button
+        const importButton = document.getElementById('import-session');
+        const importInput = document.getElementById('import-session-file');
+        if (importButton && importInput) {
+            importButton.addEventListener('click', () => {
+                importInput.click();
+            });
+            
+            importInput.addEventListener('change', () => {
+                if (importInput.files.length > 0) {
+                    this.importFile(importInput.files[0]);
+                }
+                // Allow the same file to be picked again
+                importInput.value = '';
+            });
+        }
+    },
+    
+    /**
+     * Import a session file and refresh the list
+     * @param {File} file - The selected file
+     */
+    importFile(file) {
+        SessionExport.importFile(file)
+            .then(result => {
+                if (!result.imported) {
+                    alert('This session is already in your history.');
+                }
+                this.refresh();
+            })
+            .catch(error => {
+                console.error("Failed to import session:", error);
+                alert(error.message);
+            });
+    },
+    
+    /**
+     * Export an archived session
+     * @param {string} id - The session ID
+     * @param {string} format - 'json' or 'csv'
+     */
+    exportSession(id, format) {
+        SessionExport.buildExportFromArchive(id)
+            .then(exportData => {
+                if (format === 'csv') {
+                    SessionExport.downloadCSV(exportData);
+                } else {
+                    SessionExport.downloadJSON(exportData);
+                }
+            })
+            .catch(error => {
+                console.error("Failed to export session:", error);
+            });
+    },
+    
+    /**
+     * Refresh the list if the panel is open (called when returning to the main menu)
+     */
+    updateUI() {
+        if (this.isOpen) {
+            this.refresh();
+        }
+    },
+    
+    /**
+     * Expand the panel and load the first page of sessions
+     * Nothing is read from the archive until the panel is opened
+     */
+    open() {
+        this.isOpen = true;
+        this.panelElement.classList.remove('hidden');
+        this.toggleButton.textContent = 'Hide History';
+        this.refresh();
+    },
+    
+    /**
+     * Collapse the panel
+     */
+    close() {
+        this.isOpen = false;
+        this.panelElement.classList.add('hidden');
+        this.toggleButton.textContent = 'Show History';
+        this.closeTrace();
+    },
+    
+    /**
+     * Reload the session list from the start
+     */
+    refresh() {
+        this.listElement.innerHTML = '';
+        this.loadedCount = 0;
+        this.closeTrace();
+        this.loadNextPage();
+        this.updateStorageUsage();
+    },
+    
+    /**
+     * Load and display the next page of sessions
+     */
+    loadNextPage() {
+        if (this.isLoading) {
+            return;
+        }
+        
+        this.isLoading = true;
+        this.loadMoreButton.classList.add('hidden');
+        
+        SessionArchive.listSessions({
+            offset: this.loadedCount,
+            limit: this.pageSize,
+            profileId: this.getProfileId()
+        })
+            .then(sessions => {
+                sessions.forEach(summary => {
+                    this.listElement.appendChild(this.createSessionRow(summary));
+                });
+                
+                this.loadedCount += sessions.length;
+                
+                if (this.loadedCount === 0) {
+                    this.showMessage('No archived sessions yet. Finish a game to record one.');
+                }
+                
+                // A full page suggests there may be more to load
+                if (sessions.length === this.pageSize) {
+                    this.loadMoreButton.classList.remove('hidden');
+                }
+            })
+            .catch(error => {
+                console.error("Failed to load session history:", error);
+                this.showMessage('Session history could not be loaded.');
+            })
+            .then(() => {
+                this.isLoading = false;
+            });
+    },
+    
+    /**
+     * Create a list row for an archived session
+     * @param {Object} summary - The session summary
+     * @returns {HTMLElement} The row element
+     */
+    createSessionRow(summary) {
+        const row = document.createElement('div');
+        row.classList.add('history-row');
+        row.dataset.sessionId = summary.id;
+        
+        // Session description
+        const info = document.createElement('div');
+        info.classList.add('history-info');
+        
+        const modeName = typeof GameModes !== 'undefined' && GameModes.getMode(summary.gameMode) ?
+            GameModes.getMode(summary.gameMode).getName() : summary.gameMode;
+        const title = document.createElement('div');
+        title.classList.add('history-title');
+        title.textContent = `${new Date(summary.date).toLocaleString()} - ${modeName}${summary.reflexMode ? ' (Reflex)' : ''}`;
+        
+        const details = document.createElement('div');
+        details.classList.add('history-details');
+        const scores = summary.scores || {};
+        details.textContent = [
+            `Time ${Scoring.formatTime(scores.gameTime)}`,
+            `Reaction ${Scoring.formatReactionTime(scores.avgReactionTime)}`,
+            `Precision ${Scoring.formatPrecision(scores.avgPrecision)}`,
+            `${summary.sampleCount} samples`
+        ].join(' | ');
+        
+        info.appendChild(title);
+        info.appendChild(details);
+        
+        // Actions
+        const actions = document.createElement('div');
+        actions.classList.add('history-actions');
+        
+        const viewButton = document.createElement('button');
+        viewButton.textContent = 'View';
+        viewButton.classList.add('secondary-button');
+        viewButton.addEventListener('click', () => {
+            this.viewSession(summary.id);
+        });
+        
+        const jsonButton = document.createElement('button');
+        jsonButton.textContent = 'JSON';
+        jsonButton.classList.add('secondary-button');
+        jsonButton.addEventListener('click', () => {
+            this.exportSession(summary.id, 'json');
+        });
+        
+        const csvButton = document.createElement('button');
+        csvButton.textContent = 'CSV';
+        csvButton.classList.add('secondary-button');
+        csvButton.addEventListener('click', () => {
+            this.exportSession(summary.id, 'csv');
+        });
+        
+        const deleteButton = document.createElement('button');
+        deleteButton.textContent = 'Delete';
+        deleteButton.classList.add('secondary-button');
+        deleteButton.addEventListener('click', () => {
+            this.deleteSession(summary.id, row);
+        });
+        
+        actions.appendChild(viewButton);
+        actions.appendChild(jsonButton);
+        actions.appendChild(csvButton);
+        actions.appendChild(deleteButton);
+        
+        row.appendChild(info);
+        row.appendChild(actions);
+        
+        return row;
+    },
+    
+    /**
+     * Load a session's full trace and draw it
+     * @param {string} id - The session ID
+     */
+    viewSession(id) {
+        // Clicking the open session again closes it
+        if (this.openSessionId === id) {
+            this.closeTrace();
+            return;
+        }
+        
+        SessionArchive.getSession(id)
+            .then(session => {
+                if (!session) {
+                    this.showMessage('This session is no longer in the archive.');
+                    return;
+                }
+                this.showTrace(session);
+            })
+            .catch(error => {
+                console.error("Failed to load archived session:", error);
+            });
+    },
+    
+    /**
+     * Draw a full session trace in the trace container
+     * @param {Object} session - Session from SessionArchive.getSession
+     */
+    showTrace(session) {
+        this.closeTrace();
+        
+        const samples = session.samples;
+        if (samples.length < 2) {
+            this.traceContainer.textContent = 'No telemetry was recorded for this session.';
+            return;
+        }
+        
+        const duration = samples[samples.length - 1].time;
+        
+        this.traceGraph = Components.createTelemetryGraph({
+            containerId: 'history-trace-container',
+            width: this.traceContainer.clientWidth || 600,
+            height: 200,
+            timeWindow: Math.max(1000, duration)
+        });
+        
+        if (!this.traceGraph) {
+            return;
+        }
+        
+        this.traceGraph.setData({
+            points: samples.map(sample => ({
+                x: sample.time,
+                y: sample.position,
+                isInTarget: sample.isInTarget,
+                isTransition: sample.isTransition
+            })),
+            targets: session.markers,
+            timeRange: { start: 0, end: duration }
+        });
+        
+        this.openSessionId = session.summary.id;
+    },
+    
+    /**
+     * Remove the displayed trace
+     */
+    closeTrace() {
+        if (this.traceContainer) {
+            this.traceContainer.innerHTML = '';
+        }
+        this.traceGraph = null;
+        this.openSessionId = null;
+    },
+    
+    /**
+     * Delete a session after confirmation
+     * @param {string} id - The session ID
+     * @param {HTMLElement} row - The session's list row
+     */
+    deleteSession(id, row) {
+        if (!confirm('Delete this session and its telemetry? This cannot be undone.')) {
+            return;
+        }
+        
+        SessionArchive.deleteSession(id)
+            .then(() => {
+                // The summary in local history belongs to the same session
+                if (typeof LocalData !== 'undefined') {
+                    LocalData.deleteResult(id);
+                }
+                
+                if (this.openSessionId === id) {
+                    this.closeTrace();
+                }
+                
+                row.remove();
+                this.loadedCount = Math.max(0, this.loadedCount - 1);
+                this.updateStorageUsage();
+            })
+            .catch(error => {
+                console.error("Failed to delete archived session:", error);
+            });
+    },
+    
+    /**
+     * Show the archive size and browser storage usage
+     */
+    updateStorageUsage() {
+        if (!this.usageElement) {
+            return;
+        }
+        
+        Promise.all([SessionArchive.countSessions(this.getProfileId()), SessionArchive.getStorageUsage()])
+            .then(([count, usage]) => {
+                let text = `${count} archived session${count === 1 ? '' : 's'}`;
+                if (usage && usage.quota) {
+                    const usedMb = (usage.usage / (1024 * 1024)).toFixed(1);
+                    const quotaMb = (usage.quota / (1024 * 1024)).toFixed(0);
+                    text += ` - ${usedMb} MB of ${quotaMb} MB used`;
+                }
+                this.usageElement.textContent = text;
+            })
+            .catch(error => {
+                console.warn("Could not read archive usage:", error);
+            });
+    },
+    
+    /**
+     * Get the driver profile whose sessions are shown
+     * @returns {string|null} The active profile ID, or null to show all sessions
+     */
+    getProfileId() {
+        return typeof Profiles !== 'undefined' ? Profiles.getActiveProfileId() : null;
+    },
+    
+    /**
+     * Show a message in place of the session list
+     * @param {string} message - The message to display
+     */
+    showMessage(message) {
+        const messageEl = document.createElement('div');
+        messageEl.classList.add('history-message');
+        messageEl.textContent = message;
+        this.listElement.appendChild(messageEl);
+    }
+};
+
+// Make HistoryView available globally
+window.HistoryView = HistoryView;
@@ -0,0 +1,163 @@
+/**
+ * keyboardSettings.js
+ *
+ * Settings panel for the keyboard pedal emulation in the main menu.
+ * Shows sliders for the spring model and the options for the fine-adjust
+ * modifier and the number keys.
+ */
+
+const KeyboardSettings = {
+    // Configuration fields shown as sliders
+    sliders: [
+        { key: 'keyboard_press_acceleration', label: 'Press acceleration (%/s²)', step: 50 },
+        { key: 'keyboard_max_speed', label: 'Maximum speed (%/s)', step: 10 },
+        { key: 'keyboard_release_rate', label: 'Return speed (%/s, 0 holds)', step: 10 },
+        { key: 'keyboard_fine_factor', label: 'Fine-adjust speed factor', step: 0.05 }
+    ],
+    
+    // Names of the fine-adjust modifier keys
+    modifierNames: {
+        shift: 'Shift',
+        control: 'Ctrl',
+        alt: 'Alt'
+    },
+    
+    // Reference elements
+    container: null,
+    
+    /**
+     * Initialize the keyboard settings panel
+     */
+    initialize() {
+        console.log("Initializing keyboard settings");
+        
+        // Cache references to DOM elements
+        this.container = document.getElementById('keyboard-settings');
+        
+        if (!this.container) {
+            console.error("Keyboard settings element not found");
+            return;
+        }
+        
+        this.updateUI();
+    },
+    
+    /**
+     * Rebuild the panel from the current configuration
+     */
+    updateUI() {
+        if (!this.container) {
+            return;
+        }
+        
+        this.container.innerHTML = '';
+        
+        this.sliders.forEach(slider => this.renderSlider(slider));
+        this.renderModifierSelect();
+        this.renderNumberKeysCheckbox();
+    },
+    
+    /**
+     * Show a slider for a configuration field
+     * @param {Object} slider - The field key, label and step
+     */
+    renderSlider({ key, label: labelText, step }) {
+        const field = Config.schema[key];
+        
+        const setting = document.createElement('div');
+        setting.classList.add('setting');
+        
+        const label = document.createElement('label');
+        label.htmlFor = `keyboard-${key}`;
+        label.textContent = `${labelText}: `;
+        
+        const valueText = document.createElement('span');
+        valueText.textContent = Config[key];
+        label.appendChild(valueText);
+        
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.id = `keyboard-${key}`;
+        input.min = field.min;
+        input.max = field.max;
+        input.step = step;
+        input.value = Config[key];
+        
+        input.addEventListener('input', () => {
+            const value = Config.validateValue(key, parseFloat(input.value));
+            if (value === undefined) {
+                return;
+            }
+            
+            Config[key] = value;
+            valueText.textContent = value;
+            Config.saveToStorage();
+        });
+        
+        setting.appendChild(label);
+        setting.appendChild(input);
+        this.container.appendChild(setting);
+    },
+    
+    /**
+     * Show the selector for the fine-adjust modifier key
+     */
+    renderModifierSelect() {
+        const setting = document.createElement('div');
+        setting.classList.add('setting');
+        
+        const label = document.createElement('label');
+        label.htmlFor = 'keyboard-fine-modifier';
+        label.textContent = 'Fine-adjust key:';
+        
+        const select = document.createElement('select');
+        select.id = 'keyboard-fine-modifier';
+        
+        Config.schema.keyboard_fine_modifier.values.forEach(modifier => {
+            const option = document.createElement('option');
+            option.value = modifier;
+            option.textContent = this.modifierNames[modifier];
+            select.appendChild(option);
+        });
+        select.value = Config.keyboard_fine_modifier;
+        
+        select.addEventListener('change', () => {
+            Config.keyboard_fine_modifier = select.value;
+            Config.saveToStorage();
+        });
+        
+        setting.appendChild(label);
+        setting.appendChild(select);
+        this.container.appendChild(setting);
+    },
+    
+    /**
+     * Show the checkbox that enables the number keys
+     */
+    renderNumberKeysCheckbox() {
+        const setting = document.createElement('div');
+        setting.classList.add('setting', 'checkbox');
+        
+        const label = document.createElement('label');
+        label.htmlFor = 'keyboard-number-keys';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = 'keyboard-number-keys';
+        checkbox.checked = Config.keyboard_number_keys;
+        
+        checkbox.addEventListener('change', () => {
+            Config.keyboard_number_keys = checkbox.checked;
+            Config.saveToStorage();
+        });
+        
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(' Number keys hold the pedal at 10-90% (0 = 100%)'));
+        
+        setting.appendChild(label);
+        this.container.appendChild(setting);
+    }
+};
+
+// Make KeyboardSettings available globally
+window.KeyboardSettings = KeyboardSettings;
@@ -32,9 +32,19 @@ const MainMenu = {
                 
                 // Add 'selected' class to clicked button
                 event.target.classList.add('selected');
+                
+                // Personal bests are shown for the selected mode
+                this.updatePersonalBests();
+                this.updatePresetUI();
             });
         });
         
+        // Driver profile controls
+        this.setupProfileControls();
+        
+        // Training preset controls
+        this.setupPresetControls();
+        
         // Start game button
         const startButton = document.getElementById('start-game');
         if (startButton) {
@@ -127,6 +137,270 @@ const MainMenu = {
         if (reflexModeCheckbox) {
             reflexModeCheckbox.checked = Config.reflex_mode_enabled;
         }
+        
+        // Update driver profile selection and personal bests
+        this.updateProfileUI();
+        this.updatePersonalBests();
+        
+        // Show which preset matches the settings
+        this.updatePresetUI();
+    },
+    
+    /**
+     * Set up the training preset selector and its buttons
+     */
+    setupPresetControls() {
+        if (typeof Presets === 'undefined') {
+            return;
+        }
+        
+        // Apply the selected preset
+        const presetSelect = document.getElementById('preset-select');
+        if (presetSelect) {
+            presetSelect.addEventListener('change', () => {
+                if (presetSelect.value && Presets.applyPreset(presetSelect.value)) {
+                    this.updateUI();
+                }
+            });
+        }
+        
+        // Changing any setting by hand may turn the settings into a custom set
+        const settingsContainer = document.querySelector('#main-menu-screen .settings-container');
+        if (settingsContainer) {
+            settingsContainer.addEventListener('change', () => {
+                this.updatePresetUI();
+            });
+        }
+        
+        // Save the current settings as a new preset
+        const saveButton = document.getElementById('preset-save');
+        if (saveButton) {
+            saveButton.addEventListener('click', () => {
+                const name = prompt('Name for this preset:');
+                if (name === null) {
+                    return;
+                }
+                
+                try {
+                    Presets.savePreset(name);
+                    this.updatePresetUI();
+                } catch (error) {
+                    alert(error.message);
+                }
+            });
+        }
+        
+        // Show a share code for the selected preset (or the current settings)
+        const shareButton = document.getElementById('preset-share');
+        if (shareButton) {
+            shareButton.addEventListener('click', () => {
+                const preset = Presets.findMatchingPreset() ||
+                    { name: 'Shared preset', values: Presets.getCurrentValues() };
+                const code = Presets.encodePreset(preset);
+                
+                if (navigator.clipboard) {
+                    navigator.clipboard.writeText(code).catch(() => {});
+                }
+                prompt('Share this code with a teammate:', code);
+            });
+        }
+        
+        // Add a preset from a code
+        const importButton = document.getElementById('preset-import');
+        if (importButton) {
+            importButton.addEventListener('click', () => {
+                const code = prompt('Paste a preset code:');
+                if (code === null) {
+                    return;
+                }
+                
+                try {
+                    const preset = Presets.importPreset(code);
+                    Presets.applyPreset(preset.id);
+                    this.updateUI();
+                } catch (error) {
+                    alert(error.message);
+                }
+            });
+        }
+        
+        // Delete the selected user preset
+        const deleteButton = document.getElementById('preset-delete');
+        if (deleteButton) {
+            deleteButton.addEventListener('click', () => {
+                const preset = Presets.findMatchingPreset();
+                if (!preset || preset.builtIn) {
+                    return;
+                }
+                
+                if (confirm(`Delete the preset "${preset.name}"?`)) {
+                    Presets.deletePreset(preset.id);
+                    this.updatePresetUI();
+                }
+            });
+        }
+    },
+    
+    /**
+     * Update the preset selector to show the presets and the one matching the current settings
+     */
+    updatePresetUI() {
+        const presetSelect = document.getElementById('preset-select');
+        if (!presetSelect || typeof Presets === 'undefined') {
+            return;
+        }
+        
+        const match = Presets.findMatchingPreset();
+        
+        presetSelect.innerHTML = '';
+        
+        // Settings that don't match any preset are shown as custom
+        const customOption = document.createElement('option');
+        customOption.value = '';
+        customOption.textContent = 'Custom';
+        presetSelect.appendChild(customOption);
+        
+        Presets.getPresets().forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = preset.builtIn ? preset.name : `${preset.name} (saved)`;
+            presetSelect.appendChild(option);
+        });
+        
+        presetSelect.value = match ? match.id : '';
+        
+        // Only saved presets can be deleted
+        const deleteButton = document.getElementById('preset-delete');
+        if (deleteButton) {
+            deleteButton.disabled = !match || match.builtIn;
+        }
+    },
+    
+    /**
+     * Set up the driver profile selector and its create/rename/delete buttons
+     */
+    setupProfileControls() {
+        if (typeof Profiles === 'undefined') {
+            return;
+        }
+        
+        // Switch profile
+        const profileSelect = document.getElementById('profile-select');
+        if (profileSelect) {
+            profileSelect.addEventListener('change', () => {
+                Profiles.setActiveProfile(profileSelect.value);
+            });
+        }
+        
+        // Create a new profile and switch to it
+        const newButton = document.getElementById('profile-new');
+        if (newButton) {
+            newButton.addEventListener('click', () => {
+                const name = prompt('Name for the new driver profile:');
+                if (name === null) {
+                    return;
+                }
+                
+                try {
+                    const profile = Profiles.createProfile(name);
+                    Profiles.setActiveProfile(profile.id);
+                } catch (error) {
+                    alert(error.message);
+                }
+            });
+        }
+        
+        // Rename the active profile
+        const renameButton = document.getElementById('profile-rename');
+        if (renameButton) {
+            renameButton.addEventListener('click', () => {
+                const profile = Profiles.getActiveProfile();
+                const name = prompt('New name for this driver profile:', profile.name);
+                if (name === null) {
+                    return;
+                }
+                
+                try {
+                    Profiles.renameProfile(profile.id, name);
+                    this.updateProfileUI();
+                } catch (error) {
+                    alert(error.message);
+                }
+            });
+        }
+        
+        // Delete the active profile after confirmation
+        const deleteButton = document.getElementById('profile-delete');
+        if (deleteButton) {
+            deleteButton.addEventListener('click', () => {
+                const profile = Profiles.getActiveProfile();
+                const message = `Delete the profile "${profile.name}" with its settings and session history? This cannot be undone.`;
+                if (!confirm(message)) {
+                    return;
+                }
+                
+                try {
+                    Profiles.deleteProfile(profile.id);
+                } catch (error) {
+                    alert(error.message);
+                }
+            });
+        }
+    },
+    
+    /**
+     * Update the driver profile selector with the current profiles
+     */
+    updateProfileUI() {
+        const profileSelect = document.getElementById('profile-select');
+        if (!profileSelect || typeof Profiles === 'undefined') {
+            return;
+        }
+        
+        const activeId = Profiles.getActiveProfileId();
+        
+        profileSelect.innerHTML = '';
+        Profiles.getProfiles().forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            option.selected = profile.id === activeId;
+            profileSelect.appendChild(option);
+        });
+        
+        // The default profile can't be deleted
+        const deleteButton = document.getElementById('profile-delete');
+        if (deleteButton) {
+            deleteButton.disabled = activeId === Profiles.defaultProfileId;
+        }
+    },
+    
+    /**
+     * Show the active profile's personal bests for the selected game mode
+     */
+    updatePersonalBests() {
+        const bestsElement = document.getElementById('profile-bests');
+        if (!bestsElement || typeof LocalData === 'undefined') {
+            return;
+        }
+        
+        const gameMode = this.getSelectedMode();
+        const modeName = typeof GameModes !== 'undefined' && GameModes.getMode(gameMode) ?
+            GameModes.getMode(gameMode).getName() : gameMode;
+        const bests = LocalData.getPersonalBests(gameMode);
+        
+        if (!bests) {
+            bestsElement.textContent = `No sessions in ${modeName} mode yet.`;
+            return;
+        }
+        
+        const parts = [];
+        if (bests.gameTime) parts.push(`Time ${Scoring.formatTime(bests.gameTime.value)}`);
+        if (bests.avgReactionTime) parts.push(`Reaction ${Scoring.formatReactionTime(bests.avgReactionTime.value)}`);
+        if (bests.avgPrecision) parts.push(`Precision ${Scoring.formatPrecision(bests.avgPrecision.value)}`);
+        if (bests.consistencyScore) parts.push(`Consistency ${Math.round(bests.consistencyScore.value)}`);
+        
+        bestsElement.textContent = `Personal bests (${modeName}): ${parts.join(' | ')}`;
     },
     
     /**
@@ -135,46 +409,21 @@ const MainMenu = {
     updateModeSelection() {
         const currentMode = Config.default_game_mode;
         
-        // Get mode button elements
-        const fromZeroButton = document.getElementById('mode-from-zero');
-        const fromHundredButton = document.getElementById('mode-from-hundred');
-        const continuousButton = document.getElementById('mode-continuous');
-        
-        // Remove 'selected' class from all buttons
-        if (fromZeroButton) fromZeroButton.classList.remove('selected');
-        if (fromHundredButton) fromHundredButton.classList.remove('selected');
-        if (continuousButton) continuousButton.classList.remove('selected');
-        
-        // Add 'selected' class to the appropriate button
-        switch (currentMode) {
-            case 'fromZero':
-                if (fromZeroButton) fromZeroButton.classList.add('selected');
-                break;
-            case 'fromHundred':
-                if (fromHundredButton) fromHundredButton.classList.add('selected');
-                break;
-            case 'continuous':
-                if (continuousButton) continuousButton.classList.add('selected');
-                break;
-        }
+        // Select the button whose data-mode is the current mode
+        document.querySelectorAll('.mode-button').forEach(button => {
+            button.classList.toggle('selected', button.dataset.mode === currentMode);
+        });
     },
     
     /**
      * Get the currently selected game mode
-     * @returns {string} The selected game mode key ('fromZero', 'fromHundred', 'continuous')
+     * @returns {string} The selected game mode key (a key of GameModes, e.g. 'fromZero')
      */
     getSelectedMode() {
-        // Check which mode button is selected
-        const fromZeroButton = document.getElementById('mode-from-zero');
-        const fromHundredButton = document.getElementById('mode-from-hundred');
-        const continuousButton = document.getElementById('mode-continuous');
-        
-        if (fromZeroButton && fromZeroButton.classList.contains('selected')) {
-            return 'fromZero';
-        } else if (fromHundredButton && fromHundredButton.classList.contains('selected')) {
-            return 'fromHundred';
-        } else if (continuousButton && continuousButton.classList.contains('selected')) {
-            return 'continuous';
+        const selectedButton = document.querySelector('.mode-button.selected');
+        
+        if (selectedButton && selectedButton.dataset.mode) {
+            return selectedButton.dataset.mode;
         }
         
         // Default to 'fromZero' if nothing is selected
@@ -13,6 +13,9 @@ const ResultsScreen = {
     finalTimeElement: null,
     avgReactionTimeElement: null,
     avgPrecisionElement: null,
+    trendSummaryElement: null,
+    modeResultsElement: null,
+    modeTargetResultsElement: null,
     
     // Chart settings
     chartSettings: {
@@ -39,6 +42,9 @@ const ResultsScreen = {
         this.finalTimeElement = document.getElementById('final-time');
         this.avgReactionTimeElement = document.getElementById('avg-reaction-time');
         this.avgPrecisionElement = document.getElementById('avg-precision');
+        this.trendSummaryElement = document.getElementById('trend-summary');
+        this.modeResultsElement = document.getElementById('mode-results');
+        this.modeTargetResultsElement = document.getElementById('mode-target-results');
         
         // Initialize history chart
         this.initializeHistoryChart();
@@ -68,6 +74,40 @@ const ResultsScreen = {
                 console.log("Return to menu button clicked");
             });
         }
+        
+        // Export buttons
+        const exportJsonButton = document.getElementById('export-json');
+        if (exportJsonButton) {
+            exportJsonButton.addEventListener('click', () => {
+                const exportData = this.buildSessionExport();
+                if (exportData) {
+                    SessionExport.downloadJSON(exportData);
+                }
+            });
+        }
+        
+        const exportCsvButton = document.getElementById('export-csv');
+        if (exportCsvButton) {
+            exportCsvButton.addEventListener('click', () => {
+                const exportData = this.buildSessionExport();
+                if (exportData) {
+                    SessionExport.downloadCSV(exportData);
+                }
+            });
+        }
+    },
+    
+    /**
+     * Build an export of the session currently shown on the results screen
+     * @returns {Object|null} The export object, or null if export is not available
+     */
+    buildSessionExport() {
+        if (typeof SessionExport === 'undefined' || !App.state) {
+            return null;
+        }
+        
+        const samples = App.telemetry ? App.telemetry.getFullTrace() : [];
+        return SessionExport.buildExport(App.state.getSessionData(), samples);
     },
     
     /**
@@ -145,8 +185,116 @@ const ResultsScreen = {
             this.avgPrecisionElement.textContent = Scoring.formatPrecision(scores.avgPrecision);
         }
         
+        // Show the results only some game modes have
+        this.updateModeResults(sessionData);
+        
         // Update history chart
         this.updateHistoryChart(sessionData);
+        
+        // Update long-term trend summary
+        this.updateTrendSummary(sessionData);
+    },
+    
+    /**
+     * Show the results of the session's game mode
+     * @param {Object} sessionData - The game session data
+     */
+    updateModeResults(sessionData) {
+        if (!this.modeResultsElement) {
+            return;
+        }
+        
+        const mode = typeof GameModes !== 'undefined' ? GameModes.getMode(sessionData.gameMode) : null;
+        const items = mode && mode.getResultItems ? mode.getResultItems(sessionData.scores, sessionData) : [];
+        
+        this.modeResultsElement.innerHTML = '';
+        this.modeResultsElement.classList.toggle('hidden', items.length === 0);
+        
+        items.forEach(item => {
+            const itemElement = document.createElement('div');
+            itemElement.classList.add('result-item');
+            
+            const labelElement = document.createElement('h2');
+            labelElement.textContent = item.label;
+            const valueElement = document.createElement('div');
+            valueElement.classList.add('result-value');
+            valueElement.textContent = item.value;
+            
+            itemElement.appendChild(labelElement);
+            itemElement.appendChild(valueElement);
+            this.modeResultsElement.appendChild(itemElement);
+        });
+        
+        this.updateModeTargetTable(mode, sessionData);
+    },
+    
+    /**
+     * Show the per-target results of modes that have them
+     * @param {Object|null} mode - The session's game mode
+     * @param {Object} sessionData - The game session data
+     */
+    updateModeTargetTable(mode, sessionData) {
+        if (!this.modeTargetResultsElement) {
+            return;
+        }
+        
+        const table = mode && mode.getTargetTable && sessionData.targets.length > 0 ?
+            mode.getTargetTable(sessionData.targets) : null;
+        
+        this.modeTargetResultsElement.innerHTML = '';
+        this.modeTargetResultsElement.classList.toggle('hidden', !table);
+        if (!table) {
+            return;
+        }
+        
+        const tableElement = document.createElement('table');
+        tableElement.classList.add('mode-results-table');
+        
+        const headerRow = document.createElement('tr');
+        table.headers.forEach(header => {
+            const cell = document.createElement('th');
+            cell.textContent = header;
+            headerRow.appendChild(cell);
+        });
+        tableElement.appendChild(headerRow);
+        
+        table.rows.forEach(row => {
+            const rowElement = document.createElement('tr');
+            row.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                rowElement.appendChild(cell);
+            });
+            tableElement.appendChild(rowElement);
+        });
+        
+        this.modeTargetResultsElement.appendChild(tableElement);
+    },
+    
+    /**
+     * Update the long-term trend summary for the current game mode
+     * @param {Object} sessionData - The current game session data
+     */
+    updateTrendSummary(sessionData) {
+        if (!this.trendSummaryElement) {
+            return;
+        }
+        
+        if (typeof Statistics === 'undefined') {
+            this.trendSummaryElement.textContent = '';
+            return;
+        }
+        
+        try {
+            const summary = Statistics.getTrendSummary({
+                gameMode: sessionData.gameMode,
+                reflexMode: !!sessionData.reflexMode
+            });
+            this.trendSummaryElement.textContent = Statistics.describeTrend(summary);
+        } catch (error) {
+            console.warn("Error calculating trend summary:", error);
+            this.trendSummaryElement.textContent = '';
+        }
     },
     
     /**
@@ -171,7 +319,10 @@ const ResultsScreen = {
         let historicalData = [];
         if (typeof LocalData !== 'undefined' && LocalData.getHistoricalResults) {
             try {
-                historicalData = LocalData.getHistoricalResults(sessionData.gameMode) || [];
+                // The current session has already been saved, so leave it out of the history
+                historicalData = LocalData.getHistoricalResults(sessionData.gameMode, {
+                    excludeId: sessionData.resultId
+                }) || [];
             } catch (error) {
                 console.warn("Error getting historical data:", error);
                 historicalData = [];